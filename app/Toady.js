@@ -4,31 +4,86 @@
  */
 
 // Dependencies
-var client = require('./irc/Client'),
+var Client = require('./irc/Client'),
+	ConnectionManager = require('./irc/ConnectionManager'),
+	Networks = require('./irc/Networks'),
 	ModManager = require('./modmanager/ModManager'),
 	Seq = require('seq');
 
-client.setMaxListeners(0);
-client.addListener('error', function(message) {
-	console.log('[ERROR] ', message);
-});
-
-Seq()
-	.seq(function() {
-		console.log('Loading Core modules...');
-		ModManager.loadCoreMods(this);
-	})
-	.seq(function() {
-		console.log('Loading User modules...');
-		ModManager.loadUserMods(this);
-	})
-	.seq(function() {
-		console.log('Connecting to IRC...');
-		client.connect(3, function() {
-			console.log('Connected.');
+/**
+ * Creates the IRC client and ModManager for a single network, loads all
+ * core and user mods into it, and connects to the network.
+ *
+ * @param {String} netId The ID of the network to be started
+ * @param {Function} cb A callback function to be executed once the
+ *      network's mods are loaded and the connection has been started.
+ *      Arguments provided are:
+ *          - {Error} An error object, if an error occurred
+ */
+function startNetwork(netId, cb) {
+	var netConf = Networks.getNetworkConfig(netId),
+		prefix = '[' + netId + '] ',
+		client, connection, modMan;
+	try {
+		client = Client.createClient(netConf);
+	}
+	catch (e) {
+		e.message = prefix + e.message;
+		e.known = true;
+		return cb(e);
+	}
+	connection = new ConnectionManager(client, netConf);
+	modMan = new ModManager(netConf, client, connection);
+	client.setMaxListeners(0);
+	client.addListener('error', function(message) {
+		console.log(prefix + '[ERROR] ', message);
+	});
+	client.addListener('saslSuccess', function(account) {
+		console.log(prefix + 'Authenticated as ' + account + '.');
+	});
+	client.addListener('saslFailure', function(err) {
+		console.log(prefix + '[ERROR] ' + err.message +
+			".  Check the 'sasl' settings in the identity config.");
+	});
+	connection.on('state', function(desc) {
+		switch (desc.state) {
+			case 'registered':
+				console.log(prefix + 'Connected.');
+				break;
+			case 'disconnected':
+				console.log(prefix + 'Disconnected' + (desc.error ?
+					': ' + desc.error.message : '.'));
+				break;
+			case 'backoff':
+				console.log(prefix + 'Reconnecting in ' +
+					(desc.delay / 1000).toFixed(1) + ' seconds...');
+				break;
+		}
+	});
+	Seq()
+		.seq(function() {
+			console.log(prefix + 'Loading Core modules...');
+			modMan.loadCoreMods(this);
+		})
+		.seq(function() {
+			console.log(prefix + 'Loading User modules...');
+			modMan.loadUserMods(this);
+		})
+		.seq(function() {
+			console.log(prefix + 'Connecting to IRC...');
+			connection.connect();
+			cb();
+		})
+		.catch(function(err) {
+			cb(err);
 		});
+}
+
+Seq(Networks.getNetworkIds())
+	.seqEach(function(netId) {
+		startNetwork(netId, this);
 	})
 	.catch(function(err) {
-		console.log(err);
+		console.log(err.known ? err.message : err);
 		process.exit(1);
 	});
@@ -0,0 +1,401 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var Seq = require('seq'),
+	objUtil = require('../util/Object');
+
+const ALIAS_NAME = /^[^\s#&.:][^\s.:]*$/;
+
+/**
+ * Alias lets new names be given to commands at runtime.  An alias can
+ * include preset arguments, which are placed before any arguments the user
+ * gives, so "alias add hi say #room Hello" makes "!hi there" say "Hello
+ * there" in #room.  Aliases are resolved by the Command Runner, and are
+ * subject to the same permissions as the commands they name.  A loaded
+ * command always takes precedence over an alias with the same name.
+ *
+ * When more than one mod provides a command with the same name, Owners can
+ * choose which mod's command answers to that name.  The others can still be
+ * executed by their qualified names, such as "weather.stats".  Owners can
+ * also remap a mod's command to another name entirely.
+ *
+ * The following config options are available:
+ *      - aliases: A mapping of lowercase alias names to objects with a
+ *        'command' property naming the command to be executed, and
+ *        optionally an 'args' string of preset arguments.  Generally, this
+ *        is managed through the IRC commands exposed by this module.
+ *      - preferred: A mapping of lowercase command names to the IDs of the
+ *        mods whose commands should answer to them.  Generally, this is
+ *        managed through the IRC commands exposed by this module.
+ *      - remaps: A mapping of mod IDs to objects mapping the lowercase IDs
+ *        of their commands to the names they should be loaded under.
+ *        Generally, this is managed through the IRC commands exposed by
+ *        this module.
+ *
+ * @param {Object} config A Toady config object
+ * @param {Object} client An IRC client object
+ * @param {Object} modMan The Toady ModManager object
+ * @returns {Object} A Toady mod
+ */
+module.exports = function(config, client, modMan) {
+
+	// Apply the saved remaps and preferences to every mod loaded from now on
+	objUtil.forEach(config.remaps, function(modId, remaps) {
+		objUtil.forEach(remaps, function(key, newId) {
+			modMan.remapCommand(modId, key, newId);
+		});
+	});
+	objUtil.forEach(config.preferred, function(cmdId, modId) {
+		modMan.preferCommand(cmdId, modId);
+	});
+
+	/**
+	 * Saves the aliases, preferences, and remaps to the Alias config file.
+	 *
+	 * @param {Function} [cb] A callback function to be executed on
+	 *      completion.  Arguments provided are:
+	 *          - {Error} An error object, if the file couldn't be saved
+	 */
+	function saveConfig(cb) {
+		config.save(['aliases', 'preferred', 'remaps'], cb);
+	}
+
+	/**
+	 * Gets an alias.
+	 *
+	 * @param {String} name The name of the alias
+	 * @returns {Object|null} A copy of the alias, with a 'command' property
+	 *      and optionally an 'args' property, or null if no such alias
+	 *      exists
+	 */
+	function getAlias(name) {
+		var alias = config.aliases[name.toLowerCase()];
+		return alias ? objUtil.clone(alias) : null;
+	}
+
+	/**
+	 * Gets every alias.
+	 *
+	 * @returns {Object} A copy of the mapping of lowercase alias names to
+	 *      alias objects
+	 */
+	function getAliases() {
+		return objUtil.clone(config.aliases);
+	}
+
+	/**
+	 * Creates an alias for a command.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} name The name of the new alias
+	 * @param {String} cmdId The ID of the command to be aliased
+	 * @param {String} [args] Preset arguments for the command
+	 */
+	function addAlias(ctx, name, cmdId, args) {
+		var lowName = name.toLowerCase(),
+			lowId = cmdId.toLowerCase();
+		if (!ALIAS_NAME.test(lowName)) {
+			return ctx.error("Alias names can't start with a channel \
+prefix or contain '.' or ':'.");
+		}
+		if (modMan.getCommand(lowName) || config.aliases[lowName]) {
+			return ctx.error("A command or alias named '" + lowName +
+				"' already exists.");
+		}
+		if (!modMan.getCommand(lowId)) {
+			return ctx.error("Command '" + cmdId + "' does not exist.");
+		}
+		config.aliases[lowName] = {command: lowId};
+		if (args)
+			config.aliases[lowName].args = args;
+		saveConfig(function(err) {
+			if (err)
+				ctx.error(err.message);
+			else {
+				ctx.reply("Alias '" + lowName + "' added for '" + lowId +
+					(args ? ' ' + args : '') + "'.");
+			}
+		});
+	}
+
+	/**
+	 * Deletes an alias.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} name The name of the alias to be deleted
+	 */
+	function deleteAlias(ctx, name) {
+		var lowName = name.toLowerCase();
+		if (!config.aliases[lowName]) {
+			return ctx.error("Alias '" + name + "' does not exist.");
+		}
+		delete config.aliases[lowName];
+		saveConfig(function(err) {
+			if (err)
+				ctx.error(err.message);
+			else
+				ctx.reply("Alias '" + lowName + "' deleted.");
+		});
+	}
+
+	/**
+	 * Lists every alias and remapped command in reply to a user on IRC.
+	 *
+	 * @param {CommandContext} ctx The context of the alias list command,
+	 *      through which the list should be sent
+	 */
+	function listAliases(ctx) {
+		var names = Object.keys(config.aliases).sort(),
+			preferred = Object.keys(config.preferred).sort(),
+			remaps = [];
+		objUtil.forEach(config.remaps, function(modId, modRemaps) {
+			objUtil.forEach(modRemaps, function(key, newId) {
+				remaps.push(modId + '.' + key + ' -> ' + newId);
+			});
+		});
+		if (!names.length && !preferred.length && !remaps.length)
+			return ctx.reply('No aliases have been added.');
+		if (names.length)
+			ctx.reply('All aliases:');
+		names.forEach(function(name) {
+			var alias = config.aliases[name];
+			ctx.reply('  ' + name + ' = ' + alias.command +
+				(alias.args ? ' ' + alias.args : '') +
+				(modMan.getCommand(alias.command) ? '' : ' (not loaded)'));
+		});
+		if (preferred.length) {
+			ctx.reply('Preferred commands:');
+			ctx.reply('  ' + preferred.map(function(cmdId) {
+				return cmdId + ' -> ' + config.preferred[cmdId] + '.' + cmdId;
+			}).join(', '));
+		}
+		if (remaps.length) {
+			ctx.reply('Remapped commands:');
+			ctx.reply('  ' + remaps.sort().join(', '));
+		}
+	}
+
+	/**
+	 * Remaps a mod's command to a new name, or restores its own name.  The
+	 * change takes effect the next time the mod is loaded.  If the mod is
+	 * loaded now, it must provide the command.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} modId The ID of the mod providing the command
+	 * @param {String} key The command's own name in the mod
+	 * @param {String} [newId] The name the command should be loaded under.
+	 *      Omit to restore the command's own name.
+	 */
+	function remapCommand(ctx, modId, key, newId) {
+		var lowKey = key.toLowerCase(),
+			lowNew = newId && newId.toLowerCase(),
+			mod = modMan.isLoaded(modId) ? modMan.getMod(modId) : null,
+			known = !mod || Object.keys(mod.commands || {}).some(function(k) {
+				return k.toLowerCase() == lowKey;
+			});
+		Seq()
+			.seq(function checkArgs() {
+				if (!known) {
+					this(new Error("Mod '" + modId + "' has no command \
+named '" + lowKey + "'."));
+				}
+				else if (lowNew && !ALIAS_NAME.test(lowNew)) {
+					this(new Error("Command names can't start with a \
+channel prefix or contain '.' or ':'."));
+				}
+				else if (lowNew && (modMan.getCommand(lowNew) ||
+						config.aliases[lowNew])) {
+					this(new Error("A command or alias named '" + lowNew +
+						"' already exists."));
+				}
+				else if (!lowNew && !(config.remaps[modId] || {})[lowKey]) {
+					this(new Error("'" + lowKey + "' from '" + modId +
+						"' has not been remapped."));
+				}
+				else
+					this();
+			})
+			.seq(function saveRemap() {
+				if (lowNew) {
+					config.remaps[modId] = config.remaps[modId] || {};
+					config.remaps[modId][lowKey] = lowNew;
+				}
+				else {
+					delete config.remaps[modId][lowKey];
+					if (!Object.keys(config.remaps[modId]).length)
+						delete config.remaps[modId];
+				}
+				modMan.remapCommand(modId, lowKey, lowNew || null);
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				ctx.reply("'" + lowKey + "' from '" + modId +
+					"' will be loaded as '" + (lowNew || lowKey) + "'.  " +
+					(modMan.isLoaded(modId) ? 'Reload' : 'Load') +
+					" the mod to apply the change.");
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Chooses the mod whose command answers to a command name, when more
+	 * than one mod provides it.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} cmdId The name of the command
+	 * @param {String} [modId] The ID of the mod whose command should answer
+	 *      to the name.  Omit to go back to the mod that was loaded first.
+	 */
+	function preferCommand(ctx, cmdId, modId) {
+		var lowId = cmdId.toLowerCase();
+		Seq()
+			.seq(function checkArgs() {
+				if (modId && modMan.isLoaded(modId) &&
+						!modMan.getCommand(modId + '.' + lowId)) {
+					this(new Error("Mod '" + modId + "' has no command '" +
+						lowId + "'."));
+				}
+				else if (!modId && !config.preferred[lowId])
+					this(new Error("No mod is preferred for '" + lowId + "'."));
+				else
+					this();
+			})
+			.seq(function savePreference() {
+				if (modId)
+					config.preferred[lowId] = modId;
+				else
+					delete config.preferred[lowId];
+				modMan.preferCommand(lowId, modId || null);
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				var cmd = modMan.getCommand(lowId);
+				ctx.reply("'" + lowId + "' " + (cmd ?
+					"now executes '" + cmd.qualifiedId + "'." :
+					"will execute '" + modId + '.' + lowId +
+						"' once it's loaded."));
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	return {
+		name: 'Alias',
+		desc: "Gives commands new names",
+		author: 'Tom Frost',
+		commands: {
+			alias: {
+				desc: "Adds, deletes, or lists command aliases",
+				help: [
+					"Format: {cmd} <subcommand> [options]",
+					"When more than one mod provides a command, the first mod \
+loaded answers to its name, and the others to names like 'modId.command'.  \
+Owners can choose which mod answers with prefer, or load a mod's command \
+under a new name with remap."
+				],
+				minPermission: 'S',
+				subcommands: {
+					add: {
+						handler: function(from, to, target, args) {
+							addAlias(this, args.name,
+								args.command, args.arguments);
+						},
+						desc: "Adds an alias for a command",
+						help: [
+							"  arguments: Arguments to be placed before any \
+given with the alias",
+							"Example:",
+							"  /msg {nick} {cmd} hi say #room Hello"
+						],
+						args: [
+							{name: 'name'},
+							{name: 'command'},
+							{name: 'arguments', type: 'text', optional: true}
+						]
+					},
+					del: {
+						handler: function(from, to, target, args) {
+							deleteAlias(this, args.name);
+						},
+						desc: "Deletes an alias",
+						help: [
+							"Example:",
+							"  /msg {nick} {cmd} hi"
+						],
+						args: [{name: 'name'}]
+					},
+					list: {
+						handler: function(from, to, target, args) {
+							listAliases(this);
+						},
+						desc: "Lists every alias, preference, and remapping",
+						args: []
+					},
+					prefer: {
+						handler: function(from, to, target, args) {
+							preferCommand(this, args.command,
+								args.modId);
+						},
+						desc: "Chooses the mod that answers to a command name",
+						help: [
+							"Omit modId to go back to the first mod loaded.",
+							"Example:",
+							"  /msg {nick} {cmd} stats weather"
+						],
+						minPermission: 'O',
+						args: [
+							{name: 'command'},
+							{name: 'modId', optional: true}
+						]
+					},
+					remap: {
+						handler: function(from, to, target, args) {
+							remapCommand(this, args.modId,
+								args.command, args.newName);
+						},
+						desc: "Loads a mod's command under a new name",
+						help: [
+							"Omit newName to restore the command's own name.",
+							"Example:",
+							"  /msg {nick} {cmd} weather forecast wforecast"
+						],
+						minPermission: 'O',
+						args: [
+							{name: 'modId'},
+							{name: 'command'},
+							{name: 'newName', optional: true}
+						]
+					}
+				}
+			}
+		},
+		getAlias: getAlias,
+		getAliases: getAliases,
+		unload: function() {
+			objUtil.forEach(config.preferred, function(cmdId) {
+				modMan.preferCommand(cmdId, null);
+			});
+			objUtil.forEach(config.remaps, function(modId, remaps) {
+				objUtil.forEach(remaps, function(key) {
+					modMan.remapCommand(modId, key, null);
+				});
+			});
+		}
+	};
+};
+
+module.exports.configDefaults = {
+	aliases: {},
+	preferred: {},
+	remaps: {}
+};
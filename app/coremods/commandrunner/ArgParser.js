@@ -0,0 +1,293 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var strUtil = require('../../util/String');
+
+const CHAN_PREFIXES = "#&";
+const NICK_PATTERN = /^[a-z\[\]\\`_^{|}][a-z0-9\[\]\\`_^{|}\-]*$/i;
+const NUMBER_PATTERN = /^-?(?:\d+\.?\d*|\.\d+)$/;
+const FLAG_PATTERN = /^--([a-z0-9][a-z0-9_\-]*)(?:=(.*))?$/i;
+
+/**
+ * Converters for each argument type.  Each accepts the argument definition
+ * and the string given by the user, and returns an object with either the
+ * converted 'value' or an 'error' describing why the string was refused.
+ * @type {Object}
+ */
+const TYPES = {
+	string: function(def, str) {
+		return {value: str};
+	},
+	text: function(def, str) {
+		return {value: str};
+	},
+	nick: function(def, str) {
+		if (!NICK_PATTERN.test(str))
+			return {error: "'" + str + "' isn't a valid nick"};
+		return {value: str};
+	},
+	channel: function(def, str) {
+		if (CHAN_PREFIXES.indexOf(str[0]) == -1 || str.length < 2)
+			return {error: "'" + str + "' isn't a channel"};
+		return {value: str};
+	},
+	number: function(def, str) {
+		var num = parseFloat(str);
+		if (!NUMBER_PATTERN.test(str))
+			return {error: def.name + " must be a number, not '" + str + "'"};
+		if (def.min !== undefined && num < def.min)
+			return {error: def.name + " must be at least " + def.min};
+		if (def.max !== undefined && num > def.max)
+			return {error: def.name + " can't be more than " + def.max};
+		return {value: num};
+	},
+	duration: function(def, str) {
+		var ms = strUtil.parseDuration(str);
+		if (ms === null) {
+			return {error: def.name + " must be a duration like 30m or 1d12h, \
+not '" + str + "'"};
+		}
+		return {value: ms};
+	},
+	enum: function(def, str) {
+		var lowStr = str.toLowerCase(),
+			values = def.values || [];
+		for (var i = 0; i < values.length; i++) {
+			if (values[i].toLowerCase() == lowStr)
+				return {value: values[i]};
+		}
+		return {error: def.name + " must be one of " + values.join(', ') +
+			", not '" + str + "'"};
+	},
+	boolean: function(def, str) {
+		if (/^(?:true|yes|on|1)$/i.test(str))
+			return {value: true};
+		if (/^(?:false|no|off|0)$/i.test(str))
+			return {value: false};
+		return {error: def.name + " must be on or off, not '" + str + "'"};
+	}
+};
+
+/**
+ * Splits a line of text into words, keeping words wrapped in double or
+ * single quotes together.  Inside quotes, a backslash escapes the next
+ * character.
+ *
+ * @param {String} text The text to be split
+ * @returns {Array|null} An array of objects with the following properties,
+ *      or null if a quote is never closed:
+ *          - {String} value: The word, without its quotes
+ *          - {boolean} quoted: true if any part of the word was quoted
+ */
+function tokenize(text) {
+	var tokens = [],
+		token = null,
+		quote = null;
+	for (var i = 0; i < text.length; i++) {
+		var c = text[i];
+		if (!quote && /\s/.test(c)) {
+			if (token)
+				tokens.push(token);
+			token = null;
+			continue;
+		}
+		if (!token)
+			token = {value: '', quoted: false};
+		if (quote && c == '\\' && i + 1 < text.length)
+			token.value += text[++i];
+		else if (quote && c == quote)
+			quote = null;
+		else if (!quote && (c == '"' || c == "'") && !token.value) {
+			quote = c;
+			token.quoted = true;
+		}
+		else
+			token.value += c;
+	}
+	if (quote)
+		return null;
+	if (token)
+		tokens.push(token);
+	return tokens;
+}
+
+/**
+ * Converts a user's string to the type an argument calls for.
+ *
+ * @param {Object} def The argument definition
+ * @param {String} str The string given by the user
+ * @returns {Object} An object with either the converted 'value' or an
+ *      'error' message
+ */
+function convert(def, str) {
+	var type = TYPES[def.type] || TYPES.string;
+	return type(def, str);
+}
+
+/**
+ * Describes a single argument for a command's "Format:" line.
+ *
+ * @param {Object} def The argument definition
+ * @returns {String} The description, such as "<nick>", "[channel]",
+ *      "<on|off>", "[reason...]", or "[--limit <number>]"
+ */
+function describe(def) {
+	var desc = def.type == 'enum' && def.values ? def.values.join('|') :
+			def.name;
+	if (def.flag) {
+		return '[--' + def.name + (def.type == 'boolean' ? '' :
+			' <' + (def.type || 'string') + '>') + ']';
+	}
+	if (def.variadic || def.type == 'text')
+		desc += '...';
+	return def.optional ? '[' + desc + ']' : '<' + desc + '>';
+}
+
+/**
+ * Creates the "Format:" line of a command's help from its argument schema.
+ * The line starts with "{cmd}", which the help page replaces with the
+ * command's name.
+ *
+ * @param {Object} cmd The command object, with an 'args' schema
+ * @returns {String} The format line
+ */
+function format(cmd) {
+	var parts = ['Format: {cmd}'];
+	if (cmd.targetNick)
+		parts.push('<nick>');
+	else if (cmd.targetChannel)
+		parts.push('[channel]');
+	(cmd.args || []).forEach(function(def) {
+		parts.push(describe(def));
+	});
+	return parts.join(' ');
+}
+
+/**
+ * Parses the text following a command according to the command's 'args'
+ * schema.  The schema is an array of argument definitions, each an object
+ * with the following properties:
+ *      - {String} name: The property the argument is delivered in, and the
+ *        name it's shown with in the help
+ *      - {String} [type]: One of 'string' (the default), 'text' (every
+ *        remaining word, joined by spaces), 'nick', 'channel', 'number',
+ *        'duration' (such as "1d12h", delivered in milliseconds), 'enum',
+ *        or 'boolean' (flags only)
+ *      - {Array} [values]: For 'enum' arguments, the values allowed
+ *      - {Number} [min]: For 'number' arguments, the lowest value allowed
+ *      - {Number} [max]: For 'number' arguments, the highest value allowed
+ *      - {boolean} [optional]: true if the argument can be left out.  An
+ *        optional argument that doesn't accept the word in its place, such
+ *        as a channel given a nick, is skipped in favor of the next one.
+ *      - {boolean} [variadic]: true to collect every remaining word into
+ *        an array
+ *      - {boolean} [flag]: true if the argument is given by name, such as
+ *        "--limit 5" or "--limit=5", anywhere in the line.  Boolean flags
+ *        take no value, and are false unless given.
+ *      - {*} [default]: The value delivered if the argument is left out
+ *
+ * Words can be wrapped in double or single quotes to include spaces.  A
+ * "--" stops anything after it from being read as a flag.
+ *
+ * @param {Array} schema The argument definitions
+ * @param {String} text The text following the command and any target
+ * @param {Function} cb A callback function to be executed on completion.
+ *      Arguments provided are:
+ *          - {Error} An error object, if the text doesn't fit the schema.
+ *            The message is suitable for the user.
+ *          - {Object} A mapping of argument names to their values
+ */
+function parse(schema, text, cb) {
+	var tokens = tokenize(text),
+		positional = schema.filter(function(def) { return !def.flag; }),
+		flags = {},
+		args = {},
+		pos = 0,
+		flagsDone = false,
+		error = null;
+	if (!tokens)
+		return cb(new Error("there's a quote that was never closed"));
+	schema.forEach(function(def) {
+		if (def.flag) {
+			flags[def.name.toLowerCase()] = def;
+			args[def.name] = def.type == 'boolean' ? false : def.default;
+		}
+	});
+	// Commands without flags can take words starting with "--" as is.
+	flagsDone = !Object.keys(flags).length;
+	for (var i = 0; i < tokens.length && !error; i++) {
+		var token = tokens[i],
+			flagMatch = !token.quoted && !flagsDone ?
+				token.value.match(FLAG_PATTERN) : null,
+			def, result;
+		if (!token.quoted && token.value == '--' && !flagsDone) {
+			flagsDone = true;
+			continue;
+		}
+		if (flagMatch) {
+			def = flags[flagMatch[1].toLowerCase()];
+			if (!def) {
+				error = "'--" + flagMatch[1] + "' isn't an option";
+				break;
+			}
+			if (def.type == 'boolean' && flagMatch[2] === undefined)
+				result = {value: true};
+			else if (flagMatch[2] !== undefined)
+				result = convert(def, flagMatch[2]);
+			else if (i + 1 < tokens.length)
+				result = convert(def, tokens[++i].value);
+			else
+				result = {error: "--" + def.name + " needs a value"};
+			error = result.error;
+			args[def.name] = result.value;
+			continue;
+		}
+		while ((def = positional[pos])) {
+			result = convert(def, token.value);
+			if (result.error && def.optional && !def.variadic &&
+					pos < positional.length - 1) {
+				pos++;
+				continue;
+			}
+			break;
+		}
+		if (!def) {
+			error = "there are too many arguments";
+			break;
+		}
+		error = result.error;
+		if (def.type == 'text') {
+			args[def.name] = args[def.name] === undefined ? result.value :
+				args[def.name] + ' ' + result.value;
+		}
+		else if (def.variadic) {
+			args[def.name] = args[def.name] || [];
+			args[def.name].push(result.value);
+		}
+		else {
+			args[def.name] = result.value;
+			pos++;
+		}
+	}
+	if (!error) {
+		positional.forEach(function(def) {
+			if (args[def.name] !== undefined)
+				return;
+			if (def.default !== undefined)
+				args[def.name] = def.default;
+			else if (def.variadic && def.optional)
+				args[def.name] = [];
+			else if (!def.optional && !error)
+				error = def.name + " is missing";
+		});
+	}
+	cb(error ? new Error(error) : null, args);
+}
+
+module.exports = {
+	format: format,
+	parse: parse
+};
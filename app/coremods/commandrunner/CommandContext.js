@@ -0,0 +1,323 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var strUtil = require('../../util/String');
+
+/**
+ * The reply preferences used for users who haven't set their own.
+ * @type {Object}
+ */
+const DEFAULT_PREFS = {
+	// 'notice' or 'message'
+	replymethod: 'notice',
+	// 'channel' to reply where the command was said, or 'private'
+	replyin: 'channel'
+};
+
+/**
+ * A CommandContext describes a single execution of a command, and gives its
+ * handler and middleware a consistent way to answer the user.  Handlers
+ * receive it as 'this'.  Replies follow the user's preferences for being
+ * answered with notices or messages, and in the channel or privately, and
+ * are wrapped to the network's messageLength.
+ *
+ * When the command's output is piped into another command, {@link #reply},
+ * {@link #action}, and {@link #paginate} add to that output instead of
+ * sending anything.  {@link #replyPrivately} and {@link #error} always go to
+ * the user.
+ *
+ * Everything the context sends goes through the client it's given, so
+ * tests can construct one with a stand-in client that records what's sent.
+ *
+ * Handlers used to be called with the command object as 'this', so the
+ * context also exposes the command's properties, such as 'id', 'mod', and
+ * 'desc', wherever they don't clash with its own.  The command's 'args'
+ * schema, which the context's 'args' hides, is still at 'this.cmd.args'.
+ *
+ * @param {Object} client The IRC client, or any object with say, notice,
+ *      and action functions accepting a target, text, and priority
+ * @param {Object} props The details of the execution:
+ *      - {String} network: The ID of the network the command came from
+ *      - {String} nick: The nick of the user executing the command
+ *      - {String} to: The channel the command was said in, or the bot's
+ *        nick if it was sent in a private message
+ *      - {String|null} target: The command's target, if it has one
+ *      - {Array|Object} args: The command's arguments, as the handler
+ *        receives them
+ *      - {Object} cmd: The command or subcommand object
+ *      - {boolean} inChan: true if the command was said in a channel
+ *      - {Object} message: The IRC library's message object
+ *      - {Object} [prefs]: The user's reply preferences, overriding those
+ *        in {@link #DEFAULT_PREFS}
+ *      - {Number} [messageLength]: The longest line to be sent, or 0 for
+ *        no limit
+ *      - {Array} [output]: An array to collect the command's output in,
+ *        if it's being piped into another command
+ *      - {Function} [pager]: A function that splits long output into pages
+ *        for {@link #paginate}.  Accepts the lines and a function that
+ *        sends one line.  Omit to send every line at once.
+ * @constructor
+ */
+var CommandContext = function(client, props) {
+	/**
+	 * The ID of the network the command came from
+	 * @type {String}
+	 */
+	this.network = props.network;
+
+	/**
+	 * The nick of the user executing the command
+	 * @type {String}
+	 */
+	this.nick = props.nick;
+
+	/**
+	 * The channel the command was said in, or the bot's nick
+	 * @type {String}
+	 */
+	this.to = props.to;
+
+	/**
+	 * The command's target, which middleware can change
+	 * @type {String|null}
+	 */
+	this.target = props.target;
+
+	/**
+	 * The command's arguments, which middleware can change
+	 * @type {Array|Object}
+	 */
+	this.args = props.args;
+
+	/**
+	 * The command or subcommand object being executed
+	 * @type {Object}
+	 */
+	this.cmd = props.cmd;
+
+	/**
+	 * true if the command was said in a channel; false otherwise
+	 * @type {boolean}
+	 */
+	this.inChan = props.inChan;
+
+	/**
+	 * The IRC library's message object
+	 * @type {Object}
+	 */
+	this.message = props.message;
+
+	/**
+	 * The client replies are sent through
+	 * @type {Object}
+	 * @private
+	 */
+	this._client = client;
+
+	/**
+	 * The user's reply preferences
+	 * @type {Object}
+	 * @private
+	 */
+	this._prefs = {
+		replymethod: DEFAULT_PREFS.replymethod,
+		replyin: DEFAULT_PREFS.replyin
+	};
+	if (props.prefs) {
+		for (var key in this._prefs) {
+			if (props.prefs[key])
+				this._prefs[key] = props.prefs[key];
+		}
+	}
+
+	/**
+	 * The longest line to be sent, or 0 for no limit
+	 * @type {Number}
+	 * @private
+	 */
+	this._messageLength = props.messageLength || 0;
+
+	/**
+	 * The array collecting output for the next command in a pipe, or null
+	 * @type {Array|null}
+	 * @private
+	 */
+	this._output = props.output || null;
+
+	/**
+	 * The function that splits long output into pages, or null
+	 * @type {Function|null}
+	 * @private
+	 */
+	this._pager = props.pager || null;
+
+	exposeCommand(this);
+};
+
+/**
+ * Defines a getter on a context for each of its command's properties that
+ * the context doesn't have itself, so that handlers written to be called
+ * with the command as 'this' keep working.
+ *
+ * @param {CommandContext} ctx The context on which to define the getters
+ */
+function exposeCommand(ctx) {
+	Object.keys(ctx.cmd || {}).forEach(function(key) {
+		if (!(key in ctx)) {
+			Object.defineProperty(ctx, key, {
+				get: function() {
+					return ctx.cmd[key];
+				}
+			});
+		}
+	});
+}
+
+/**
+ * Exposes the reply preferences used for users who haven't set their own.
+ * @type {Object}
+ */
+CommandContext.DEFAULT_PREFS = DEFAULT_PREFS;
+
+/**
+ * Gets the nick or channel that replies should be sent to: the channel the
+ * command was said in, unless it was sent privately or the user prefers
+ * private replies.
+ *
+ * @returns {String} The nick or channel
+ */
+CommandContext.prototype.getReplyTarget = function() {
+	if (this.inChan && this._prefs.replyin != 'private')
+		return this.to;
+	return this.nick;
+};
+
+/**
+ * Sends text to the user, in the channel or privately as they prefer, with
+ * a notice or a message as they prefer.  If the command is piped into
+ * another, the text is added to the output instead.
+ *
+ * @param {String} text The text to be sent
+ * @param {String} [priority] The send queue priority of the text
+ */
+CommandContext.prototype.reply = function(text, priority) {
+	if (this._output)
+		this._output.push(String(text));
+	else
+		this._send(this._getMethod(), this.getReplyTarget(), text, priority);
+};
+
+/**
+ * Sends text to the user privately, with a notice or a message as they
+ * prefer.  This is never piped into another command.
+ *
+ * @param {String} text The text to be sent
+ * @param {String} [priority] The send queue priority of the text
+ */
+CommandContext.prototype.replyPrivately = function(text, priority) {
+	this._send(this._getMethod(), this.nick, text, priority);
+};
+
+/**
+ * Tells the user something went wrong, with a notice in the channel or
+ * privately as they prefer.  This is never piped into another command.
+ *
+ * @param {String} text The error message
+ */
+CommandContext.prototype.error = function(text) {
+	this._send('notice', this.getReplyTarget(), text);
+};
+
+/**
+ * Sends text as an action ("/me"), in the channel or privately as the user
+ * prefers.  If the command is piped into another, the text is added to the
+ * output instead.
+ *
+ * @param {String} text The action to be sent
+ * @param {String} [priority] The send queue priority of the action
+ */
+CommandContext.prototype.action = function(text, priority) {
+	if (this._output)
+		this._output.push(String(text));
+	else
+		this._send('action', this.getReplyTarget(), text, priority);
+};
+
+/**
+ * Sends a long listing to the user, as {@link #reply} would.  The lines are
+ * sent at low priority so they don't hold up other replies, and if the
+ * context has a pager, only the first page is sent until the user asks for
+ * more.  Piped output gets every line.
+ *
+ * @param {Array} lines The lines to be sent
+ * @param {boolean} [privately] true to send the lines to the user
+ *      privately, as {@link #replyPrivately} would, even when piped
+ */
+CommandContext.prototype.paginate = function(lines, privately) {
+	var self = this,
+		method = this._getMethod(),
+		target = privately ? this.nick : this.getReplyTarget(),
+		send = function(line) {
+			self._send(method, target, line, 'low');
+		};
+	if (this._output && !privately) {
+		lines.forEach(function(line) {
+			self._output.push(String(line));
+		});
+	}
+	else if (this._pager)
+		this._pager(lines, send);
+	else
+		lines.forEach(send);
+};
+
+/**
+ * Stops adding the command's output to the output array, so that anything
+ * sent afterward goes to the user instead.  Output sent once the command
+ * has finished can no longer reach the command it's piped into.
+ *
+ * @returns {Array|null} The output collected so far, or null if the
+ *      command wasn't piped
+ */
+CommandContext.prototype.stopPiping = function() {
+	var output = this._output;
+	this._output = null;
+	return output;
+};
+
+/**
+ * Gets the client function replies should be sent with, according to the
+ * user's preference.
+ *
+ * @returns {String} 'notice' or 'say'
+ * @private
+ */
+CommandContext.prototype._getMethod = function() {
+	return this._prefs.replymethod == 'message' ? 'say' : 'notice';
+};
+
+/**
+ * Sends text through the client, one line at a time, wrapped to the
+ * messageLength.
+ *
+ * @param {String} method The client function to be called: 'say',
+ *      'notice', or 'action'
+ * @param {String} target The nick or channel to which the text is sent
+ * @param {String} text The text to be sent
+ * @param {String} [priority] The send queue priority of the text
+ * @private
+ */
+CommandContext.prototype._send = function(method, target, text, priority) {
+	var client = this._client,
+		len = this._messageLength;
+	String(text).split(/\r?\n/).forEach(function(line) {
+		strUtil.wrap(line, len).forEach(function(part) {
+			client[method](target, part, priority);
+		});
+	});
+};
+
+module.exports = CommandContext;
@@ -0,0 +1,142 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * Paginator holds the unsent remainder of long replies, so that users can
+ * read them a page at a time instead of being flooded.  Each nick has at
+ * most one buffer: starting a new paginated reply replaces the old one.
+ * Buffers expire if they aren't read within the TTL.
+ *
+ * A page object has the following properties:
+ *      - {Array} lines: The lines to be sent for this page
+ *      - {Number} remaining: The number of lines still buffered after this
+ *        page
+ *      - {Function} send: The function the reply's lines should be sent
+ *        with, accepting a single line of text
+ *
+ * @param {Number} pageSize The most lines to be sent in a page, or 0 to
+ *      send every reply whole
+ * @param {Number} ttl The number of milliseconds after which unread
+ *      buffers are discarded, or 0 to keep them until replaced
+ * @constructor
+ */
+var Paginator = function(pageSize, ttl) {
+	/**
+	 * The most lines to be sent in a page
+	 * @type {Number}
+	 * @private
+	 */
+	this._pageSize = pageSize;
+
+	/**
+	 * The buffer lifetime, in milliseconds
+	 * @type {Number}
+	 * @private
+	 */
+	this._ttl = ttl;
+
+	/**
+	 * A mapping of lowercase nicks to objects with the 'lines' not yet
+	 * sent, the 'send' function, and the timestamp at which the buffer
+	 * 'expires'
+	 * @type {Object}
+	 * @private
+	 */
+	this._buffers = {};
+};
+
+/**
+ * Gets the most lines sent in a page.
+ *
+ * @returns {Number} The page size, or 0 if replies aren't paginated
+ */
+Paginator.prototype.getPageSize = function() {
+	return this._pageSize;
+};
+
+/**
+ * Begins a reply to a user, returning its first page.  If the reply doesn't
+ * fit in one page, the rest is buffered for {@link #next}, replacing
+ * anything already buffered for the nick.  Replies that fit leave the buffer
+ * alone.
+ *
+ * @param {String} nick The nick of the user being replied to
+ * @param {Array} lines The lines of the reply
+ * @param {Function} send The function the lines should be sent with
+ * @returns {Object} The first page, as described in {@link Paginator}
+ */
+Paginator.prototype.start = function(nick, lines, send) {
+	var size = this._pageSize;
+	if (!size || lines.length <= size)
+		return {lines: lines, remaining: 0, send: send};
+	this.sweep();
+	this._buffers[nick.toLowerCase()] = {
+		lines: lines.slice(size),
+		send: send,
+		expires: this._ttl ? Date.now() + this._ttl : 0
+	};
+	return {
+		lines: lines.slice(0, size),
+		remaining: lines.length - size,
+		send: send
+	};
+};
+
+/**
+ * Takes the next page from a nick's buffer.  The buffer is discarded once
+ * its last page is taken.
+ *
+ * @param {String} nick The nick whose next page should be retrieved
+ * @returns {Object|null} The page, as described in {@link Paginator}, or
+ *      null if the nick has nothing buffered or the buffer expired
+ */
+Paginator.prototype.next = function(nick) {
+	var lowNick = nick.toLowerCase(),
+		buffer = this._buffers[lowNick],
+		lines;
+	if (!buffer)
+		return null;
+	if (buffer.expires && buffer.expires <= Date.now()) {
+		delete this._buffers[lowNick];
+		return null;
+	}
+	lines = buffer.lines.splice(0, this._pageSize);
+	if (!buffer.lines.length)
+		delete this._buffers[lowNick];
+	return {
+		lines: lines,
+		remaining: buffer.lines.length,
+		send: buffer.send
+	};
+};
+
+/**
+ * Discards a nick's buffer, if it has one.
+ *
+ * @param {String} nick The nick whose buffer should be discarded
+ * @returns {boolean} true if a buffer was discarded; false otherwise
+ */
+Paginator.prototype.clear = function(nick) {
+	var lowNick = nick.toLowerCase();
+	if (!this._buffers[lowNick])
+		return false;
+	delete this._buffers[lowNick];
+	return true;
+};
+
+/**
+ * Discards every buffer that has expired.
+ */
+Paginator.prototype.sweep = function() {
+	var now = Date.now(),
+		self = this;
+	Object.keys(this._buffers).forEach(function(lowNick) {
+		var expires = self._buffers[lowNick].expires;
+		if (expires && expires <= now)
+			delete self._buffers[lowNick];
+	});
+};
+
+module.exports = Paginator;
@@ -0,0 +1,1410 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var crypto = require('crypto'),
+	Seq = require('seq'),
+	objUtil = require('../../util/Object'),
+	strUtil = require('../../util/String'),
+	ArgParser = require('./ArgParser'),
+	CommandContext = require('./CommandContext'),
+	Paginator = require('./Paginator');
+
+const CHAN_PREFIXES = "#&";
+const PERMISSIONS_MOD = 'users';
+const IGNORE_MOD = 'ignore';
+const ALIAS_MOD = 'alias';
+const THROTTLE_SCOPES = ['user', 'channel', 'global'];
+const THROTTLE_SWEEP_INTERVAL = 60000;
+const MAX_SUGGESTIONS = 3;
+const ERROR_ID_BYTES = 4;
+const REDACTED = '(redacted)';
+
+/**
+ * Gets the name a user executes a command by, including the subcommand if
+ * the command object is one.
+ *
+ * @param {Object} cmd The command or subcommand object
+ * @returns {String} The name, such as "ribbit" or "ribbit install"
+ */
+function getName(cmd) {
+	return cmd.subId ? cmd.id + ' ' + cmd.subId : cmd.id;
+}
+
+/**
+ * Collects the limits a command places on how often it can be executed,
+ * from its 'cooldown' and 'rateLimit' properties.  A cooldown is a number
+ * of seconds that must pass between executions, and a rate limit is an
+ * object with a 'count' of executions allowed within a number of
+ * 'seconds'.  Either property can be given directly, in which case it
+ * applies to each user, or as an object with any of the keys 'user',
+ * 'channel', and 'global'.
+ *
+ * @param {Object} cmd The command object whose limits should be collected
+ * @returns {Array} An array of objects with the following properties:
+ *      - {String} scope: One of 'user', 'channel', or 'global'
+ *      - {Number} count: The number of executions allowed in the window
+ *      - {Number} ms: The length of the window, in milliseconds
+ */
+function getLimits(cmd) {
+	var cooldown = cmd.cooldown,
+		rateLimit = cmd.rateLimit,
+		limits = [];
+	function addLimit(scope, count, seconds) {
+		if (count > 0 && seconds > 0)
+			limits.push({scope: scope, count: count, ms: seconds * 1000});
+	}
+	if (typeof cooldown == 'number')
+		addLimit('user', 1, cooldown);
+	else if (cooldown) {
+		THROTTLE_SCOPES.forEach(function(scope) {
+			addLimit(scope, 1, cooldown[scope]);
+		});
+	}
+	if (rateLimit && rateLimit.count)
+		addLimit('user', rateLimit.count, rateLimit.seconds);
+	else if (rateLimit) {
+		THROTTLE_SCOPES.forEach(function(scope) {
+			if (rateLimit[scope]) {
+				addLimit(scope, rateLimit[scope].count,
+					rateLimit[scope].seconds);
+			}
+		});
+	}
+	return limits;
+}
+
+/**
+ * Splits a line of text into the commands it chains and pipes together.
+ * Commands are chained with a semicolon, as in "cmd1 ; cmd2", and piped
+ * with a vertical bar, as in "cmd1 | cmd2".  Either only counts if it
+ * stands on its own between spaces and the text after it names a command,
+ * so that nicks containing a vertical bar and sentences containing a
+ * semicolon aren't split.  Neither splits the line inside a word wrapped in
+ * double or single quotes, in which a backslash escapes the next
+ * character.
+ *
+ * @param {String} text The line of text to be split
+ * @param {Function} [isCommand] A function that accepts the text following
+ *      a semicolon or vertical bar, and returns true if it starts with a
+ *      command.  Omit to split at every one.
+ * @returns {Array} An array of pipelines, in the order they should run,
+ *      each an array of the command lines piped together
+ */
+function splitLine(text, isCommand) {
+	var pipelines = [[]],
+		stage = '',
+		quote = null;
+	function endStage() {
+		if (stage.trim())
+			pipelines[pipelines.length - 1].push(stage.trim());
+		stage = '';
+	}
+	for (var i = 0; i < text.length; i++) {
+		var c = text[i],
+			prev = i ? text[i - 1] : ' ',
+			after = i + 1 < text.length ? text[i + 1] : ' ';
+		if (quote && c == '\\' && i + 1 < text.length) {
+			stage += c + text[++i];
+			continue;
+		}
+		if (quote && c == quote)
+			quote = null;
+		else if (!quote && (c == '"' || c == "'") && /\s/.test(prev))
+			quote = c;
+		else if (!quote && (c == ';' || c == '|') && /\s/.test(prev) &&
+				/\s/.test(after) &&
+				(!isCommand || isCommand(text.substr(i + 1)))) {
+			endStage();
+			if (c == ';' && pipelines[pipelines.length - 1].length)
+				pipelines.push([]);
+			continue;
+		}
+		stage += c;
+	}
+	endStage();
+	return pipelines.filter(function(pipeline) {
+		return pipeline.length;
+	});
+}
+
+/**
+ * Makes a copy of a command's arguments with every value hidden, for
+ * commands flagged 'sensitive', such as those taking passwords.
+ *
+ * @param {Array|Object} args The arguments, as a match array from the
+ *      command's pattern or the object built from its 'args'
+ * @returns {Array|Object} The copy, of the same shape, in which every
+ *      value that was set has been replaced
+ */
+function redactArgs(args) {
+	var copy = Array.isArray(args) ? [] : {};
+	objUtil.forEach(args, function(key, val) {
+		copy[key] = val === undefined || val === null ? val : REDACTED;
+	});
+	return copy;
+}
+
+/**
+ * Creates an error that stops a command without telling the user anything,
+ * for attempts that are dropped on purpose.  Such errors have a 'silent'
+ * property set to true, and are ignored where commands' errors are
+ * reported.
+ *
+ * @param {String} reason Why the command was dropped, for debugging
+ * @returns {Error} The error
+ */
+function silentDrop(reason) {
+	var err = new Error(reason);
+	err.silent = true;
+	return err;
+}
+
+/**
+ * Command Runner handles all execution of commands, including formatting
+ * and permissions enforcement.  Its only command is 'more', which continues
+ * long replies, as described in {@link #sendPaginated}.  As with every
+ * mod, one Command Runner is loaded for each network, so it only handles
+ * the commands that arrive on its own network's client.
+ *
+ * Commands can group related actions in a 'subcommands' map, each with its
+ * own handler, pattern or args, permission, and help.  The first word after
+ * the command names the subcommand to be executed, as described in
+ * {@link #splitSubcommand}.
+ *
+ * Commands can declare their arguments in an 'args' schema, as described
+ * in {@link ArgParser#parse}, to have them parsed, validated, and delivered
+ * to the handler as an object mapping argument names to values.  Commands
+ * without a schema receive the match of their 'pattern', if they have one.
+ *
+ * Commands can limit how often they're executed with 'cooldown' and
+ * 'rateLimit' properties, as described in {@link #getLimits}.  A user who
+ * exceeds a limit is told once how long to wait, after which further
+ * attempts are silently dropped until the limit has passed.  Users who keep
+ * trying are ignored for a while, if the Ignore mod is loaded.
+ *
+ * Handlers are called with a {@link CommandContext} as 'this', whose
+ * functions answer the user according to their reply preferences.
+ *
+ * Handlers can finish their work asynchronously, as described in
+ * {@link #callAsync}.  A handler that fails is reported to the user with
+ * a generic message and an error ID, which can be found in the log
+ * alongside the full stack trace.  Every execution is followed by a
+ * 'command:complete' or 'command:error' event on the ModManager.
+ *
+ * Mods can inspect, change, or stop commands before they execute by adding
+ * middleware, as described in {@link #addMiddleware}.
+ *
+ * Users can chain commands to run one after another, as in
+ * "cmd1 ; cmd2", and pipe the output of one command into the arguments of
+ * the next, as in "cmd1 | cmd2", as described in {@link #splitLine}.  Each
+ * command is checked and executed as if it had been sent on its own, and
+ * the line stops at the first that fails.  Only the output a handler sends
+ * through its reply callback can be piped; the last command's output goes
+ * to the user.
+ *
+ * A private message that doesn't name a command is answered with the
+ * closest command and alias names, if any are similar enough, as found by
+ * {@link #getSuggestions}.
+ *
+ * Available config options:
+ *      - autoPrefix (default false): true to execute the command or alias
+ *        whose name starts with an unknown command name, if exactly one
+ *        does.  With this set, "/msg Toady listm" runs "listmods".
+ *      - addressable (default true): true to accept commands addressed to
+ *        the bot by nick in a channel, such as "Toady: help" or
+ *        "Toady, help", in addition to those with a fantasyChar
+ *      - channelFantasyChars (default {}): A mapping of channel names to the
+ *        fantasyChar to be used there instead of the global one, in the
+ *        same format, or false to disable fantasy commands in that channel.
+ *        A '#' channel can be named without its '#', which YAML would
+ *        otherwise take for a comment.
+ *      - fantasyChar (default "!"): The prefix which should precede
+ *        commands said in a channel, or an array of prefixes.  Prefixes can
+ *        be longer than one character, such as ".t ".
+ *      - handlerTimeout (default 30): The number of seconds asynchronous
+ *        handlers and middleware have to finish before they're reported as
+ *        failed, or 0 to wait forever
+ *      - maxCommands (default 5): The most commands that can be chained
+ *        and piped together in one line, or 1 to turn chaining and piping
+ *        off
+ *      - pageSize (default 10): The most lines of a long reply to be sent
+ *        before the user must ask for more, or 0 to send replies whole
+ *      - pageTimeout (default 300): The number of seconds the rest of a
+ *        long reply is kept for the 'more' command, or 0 to keep it until
+ *        it's replaced
+ *      - throttleBypass (default "P"): The permission that exempts users
+ *        from every command's cooldown and rate limit
+ *      - throttleIgnoreAfter (default 5): The number of consecutive
+ *        throttled attempts after which a user is ignored, or 0 to never
+ *        ignore them
+ *      - throttleIgnoreTime (default 600): The number of seconds for which
+ *        a throttled user is ignored
+ *
+ * @param {Object} config A Toady config object
+ * @param {Object} client An IRC client object
+ * @param {Object} modMan The Toady ModManager object
+ * @returns {Object} A Toady mod
+ */
+module.exports = function(config, client, modMan) {
+
+	/**
+	 * A mapping of throttle keys, naming a command limit and the user,
+	 * channel, or nothing it applies to, to objects with the limit's window
+	 * length in 'ms' and the timestamps of recent executions in 'times'
+	 * @type {Object}
+	 */
+	var usage = {};
+
+	/**
+	 * A mapping of lowercase nicks to objects tracking their throttled
+	 * attempts, with a 'count' of attempts and the timestamp 'until' which
+	 * they remain throttled
+	 * @type {Object}
+	 */
+	var strikes = {};
+
+	/**
+	 * The middleware registered with {@link #addMiddleware}, in the order it
+	 * runs, as objects with the 'modId' that added it, the middleware
+	 * 'func', and its 'priority'
+	 * @type {Array}
+	 */
+	var middlewares = [];
+
+	/**
+	 * The buffers of long replies waiting for the 'more' command
+	 * @type {Paginator}
+	 */
+	var paginator = new Paginator(config.pageSize,
+		config.pageTimeout * 1000);
+
+	/**
+	 * Applies a regex pattern to the string of arguments following a
+	 * command, and returns the matches in the callback.  If the pattern
+	 * does not match, a user-appropriate error message will be sent in the
+	 * error response.
+	 *
+	 * @param {String|null} channel The channel the command was said in, or
+	 *      null if it was sent in a private message
+	 * @param {Object} cmd The command object that was triggered
+	 * @param {String} cmdText The line of text following the command (and
+	 *      optional target)
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if the pattern did not match
+	 *          - {Array} An array of matches, with the first element being
+	 *            the full string that matched
+	 */
+	function applyPattern(channel, cmd, cmdText, cb) {
+		var args = [cmdText],
+			err = null;
+		if (cmd.pattern) {
+			args = cmdText.match(cmd.pattern);
+			if (!args) {
+				err = new Error( "Sorry, that's the wrong format for '" +
+					getName(cmd) + "'.  Try \"" +
+					(channel ? getFantasyChar(channel) : '') + "help " +
+					getName(cmd) + "\" for more info.");
+				err.userError = true;
+			}
+		}
+		cb(err, args);
+	}
+
+	/**
+	 * Parses the string of arguments following a command according to the
+	 * command's 'args' schema, and returns the named arguments in the
+	 * callback.  If the arguments don't fit the schema, a user-appropriate
+	 * error message will be sent in the error response.
+	 *
+	 * @param {String|null} channel The channel the command was said in, or
+	 *      null if it was sent in a private message
+	 * @param {Object} cmd The command object that was triggered
+	 * @param {String} cmdText The line of text following the command (and
+	 *      optional target)
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if the arguments were invalid
+	 *          - {Object} A mapping of argument names to their values
+	 */
+	function applyArgs(channel, cmd, cmdText, cb) {
+		ArgParser.parse(cmd.args, cmdText, function(err, args) {
+			if (err) {
+				err = new Error("Sorry, " + err.message + ".  Try \"" +
+					(channel ? getFantasyChar(channel) : '') + "help " +
+					getName(cmd) + "\" for the format.");
+				err.userError = true;
+			}
+			cb(err, args);
+		});
+	}
+
+	/**
+	 * Asserts that a user has the appropriate permissions to execute a
+	 * given command, and calls back with an error if not.  The permissions
+	 * mod decides, so that the command ACL is applied.
+	 *
+	 * @param {Object} cmd The command object to be tested against
+	 * @param {String} nick Thenickname of the user whose permissions are to
+	 *      be checked
+	 * @param {String} target The command target, if applicable.  Set to null
+	 *      if this command does not require a target.
+	 * @param {String|null} context The channel the command was said in, or
+	 *      null if it was sent in a private message
+	 * @param {function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred or if the user
+	 *            does not have the appropriate permissions to run the command
+	 */
+	function assertPermission(cmd, nick, target, context, cb) {
+		Seq()
+			.seq(function getPermissionsMod() {
+				var pMod = modMan.getMod(PERMISSIONS_MOD);
+				if (!pMod)
+					this(new Error("Permissions module not found"));
+				else
+					this(null, pMod);
+			})
+			.seq(function checkPermission(pMod) {
+				this.vars.pMod = pMod;
+				var channel = cmd.targetChannel ? target : context;
+				pMod.canExecute(cmd, nick, channel, this);
+			})
+			.seq(function complete(allowed, minPerm, permChan) {
+				if (allowed)
+					return cb();
+				var pMod = this.vars.pMod,
+					err;
+				// Only groups have no permission name
+				if (minPerm && pMod.getPermName(minPerm) === null) {
+					err = new Error("Sorry, you must be in the '" + minPerm +
+						"' group to execute '" + getName(cmd) + "'.");
+				}
+				else if (minPerm) {
+					err = new Error("Sorry, you must be " +
+						pMod.getPermName(minPerm) + " or higher" +
+						(permChan ? ' in ' + permChan : '') +
+						" to execute '" + getName(cmd) + "'.");
+				}
+				else {
+					err = new Error("Sorry, you aren't allowed to execute '" +
+						getName(cmd) + "'.");
+				}
+				err.userError = true;
+				cb(err);
+			})
+			.catch(function(err) {
+				cb(err);
+			});
+	}
+
+	/**
+	 * Checks a command execution against the command's limits, and records
+	 * it if none of them has been reached.
+	 *
+	 * @param {Object} cmd The command object being executed
+	 * @param {String} nick The nick of the user executing the command
+	 * @param {String|null} context The channel the command was said in, or
+	 *      null if it was sent in a private message
+	 * @returns {Number} The number of milliseconds the user must wait before
+	 *      executing the command, or 0 if it may be executed now
+	 */
+	function checkThrottle(cmd, nick, context) {
+		var now = Date.now(),
+			wait = 0,
+			entries = getLimits(cmd).map(function(limit, idx) {
+				var key = getName(cmd) + ' ' + idx;
+				if (limit.scope == 'user')
+					key += ' ' + nick.toLowerCase();
+				else if (limit.scope == 'channel')
+					key += ' ' + (context || nick).toLowerCase();
+				var entry = usage[key] || {ms: limit.ms, times: []};
+				entry.times = entry.times.filter(function(time) {
+					return time > now - limit.ms;
+				});
+				if (entry.times.length >= limit.count) {
+					wait = Math.max(wait, entry.times[entry.times.length -
+						limit.count] + limit.ms - now);
+				}
+				usage[key] = entry;
+				return entry;
+			});
+		if (!wait) {
+			entries.forEach(function(entry) {
+				entry.times.push(now);
+			});
+		}
+		return wait;
+	}
+
+	/**
+	 * Deletes the usage records and strikes that can no longer affect any
+	 * command execution.
+	 */
+	function sweepThrottles() {
+		var now = Date.now();
+		Object.keys(usage).forEach(function(key) {
+			var times = usage[key].times;
+			if (!times.length || times[times.length - 1] + usage[key].ms <= now)
+				delete usage[key];
+		});
+		Object.keys(strikes).forEach(function(lowNick) {
+			if (strikes[lowNick].until <= now)
+				delete strikes[lowNick];
+		});
+	}
+	var sweepTimer = setInterval(sweepThrottles, THROTTLE_SWEEP_INTERVAL);
+
+	/**
+	 * Ignores a user who kept trying to execute commands while throttled,
+	 * if the Ignore mod is loaded.  The ignore matches the user's
+	 * user@host, so that changing nicks doesn't get around it.  Note that
+	 * this also ignores everyone else sharing that user@host, such as the
+	 * other users of a web chat gateway or shared shell account.
+	 *
+	 * @param {String} nick The nick of the user to be ignored
+	 * @param {Object} message The IRC library's message object for the
+	 *      user's latest attempt
+	 */
+	function ignoreFlooder(nick, message) {
+		var ignoreMod = modMan.getMod(IGNORE_MOD),
+			mins = Math.ceil(config.throttleIgnoreTime / 60);
+		if (!ignoreMod)
+			return;
+		ignoreMod.addIgnore('*!' + message.user + '@' + message.host, {
+			duration: config.throttleIgnoreTime * 1000,
+			reason: 'Flooding commands',
+			by: client.nick
+		}, function(err) {
+			if (err)
+				console.log("FAILED IGNORING '" + nick + "'", err.stack || err);
+			else {
+				client.notice(nick, "You're being ignored for " + mins +
+					" minute" + (mins == 1 ? '' : 's') + " for flooding " +
+					"commands.");
+			}
+		});
+	}
+
+	/**
+	 * Asserts that a user hasn't reached any of a command's limits, and
+	 * counts the attempt toward them if not.  This is only called once the
+	 * user's permission has been checked, so users who can't execute a
+	 * command can't use up its shared limits.  A user who has reached a
+	 * limit is told how long to wait with an error the first time, and
+	 * hears nothing for further attempts until the limit passes: those get
+	 * an error made by {@link #silentDrop}.  Users with the throttleBypass
+	 * permission are exempt.
+	 *
+	 * @param {Object} cmd The command object being executed
+	 * @param {String} nick The nick of the user executing the command
+	 * @param {String|null} context The channel the command was said in, or
+	 *      null if it was sent in a private message
+	 * @param {Object} message The IRC library's message object
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred or if the user
+	 *            is throttled
+	 */
+	function assertNotThrottled(cmd, nick, context, message, cb) {
+		var lowNick = nick.toLowerCase(),
+			wait = checkThrottle(cmd, nick, context);
+		if (!wait) {
+			delete strikes[lowNick];
+			return cb();
+		}
+		Seq()
+			.seq(function getPermissionsMod() {
+				var pMod = modMan.getMod(PERMISSIONS_MOD);
+				if (!pMod)
+					this(new Error("Permissions module not found"));
+				else {
+					pMod.hasPermission(config.throttleBypass, nick, context,
+						this);
+				}
+			})
+			.seq(function checkBypass(bypass) {
+				if (bypass)
+					return cb();
+				var now = Date.now(),
+					strike = strikes[lowNick],
+					err;
+				if (!strike || strike.until <= now)
+					strike = strikes[lowNick] = {count: 0, until: 0};
+				strike.count++;
+				strike.until = Math.max(strike.until, now + wait);
+				if (config.throttleIgnoreAfter &&
+						strike.count >= config.throttleIgnoreAfter) {
+					delete strikes[lowNick];
+					ignoreFlooder(nick, message);
+					cb(silentDrop('User ignored for flooding'));
+				}
+				else if (strike.count == 1) {
+					err = new Error("Easy there!  You can use '" +
+						getName(cmd) + "' again in " + Math.ceil(wait / 1000) +
+						" seconds.");
+					err.userError = true;
+					cb(err);
+				}
+				else
+					cb(silentDrop('User throttled'));
+			})
+			.catch(function(err) {
+				cb(err);
+			});
+	}
+
+	/**
+	 * Removes the target from the command text, if the command calls for it,
+	 * and returns both the target and the updated command args in the
+	 * callback.
+	 *
+	 * @param {boolean} inChan true if the command was triggered in a channel;
+	 *      false otherwise
+	 * @param {Object} cmd The command object being executed
+	 * @param {String} cmdText The text following the command
+	 * @param {String} context The channel name if the command was said in a
+	 *      channel, or the bot name otherwise
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred or if a target
+	 *            is required for this command but not included
+	 *          - {String} The target (a channel or nick, depending on the
+	 *            command)
+	 *          - {String} The new argument string for the command, with the
+	 *            target split off.
+	 */
+	function splitTarget(inChan, cmd, cmdText, context, cb) {
+		var target = null,
+			err = null,
+			args = cmdText;
+		if (cmd.targetChannel || cmd.targetNick) {
+			var targetRegex = cmd.targetNick ? '(\\S+)' :
+					'([' + CHAN_PREFIXES + ']\\S+)?',
+				regex = new RegExp('^' + targetRegex + '\\s?(.*)$'),
+				targetArgs = cmdText.match(regex);
+			target = targetArgs[1];
+			args = targetArgs[2];
+			if (cmd.targetChannel && !target) {
+				if (inChan)
+					target = context;
+				else {
+					err = new Error("I need a target channel for the '" +
+						getName(cmd) + "' command.  Try \"help " +
+						getName(cmd) + "\" for more info.");
+					err.userError = true;
+				}
+			}
+		}
+		cb(err, target, args);
+	}
+
+	/**
+	 * Finds the subcommand named by the first word of the command text, if
+	 * the command has subcommands, and returns it in the callback along
+	 * with the text that follows it.  Commands with subcommands can still
+	 * have a handler of their own, which is executed when no subcommand is
+	 * named.  Otherwise, a user-appropriate error listing the subcommands
+	 * is sent in the error response.
+	 *
+	 * @param {String|null} channel The channel the command was said in, or
+	 *      null if it was sent in a private message
+	 * @param {Object} cmd The command object that was triggered
+	 * @param {String} cmdText The text following the command
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if no subcommand was named
+	 *          - {Object} The subcommand object, or the command object
+	 *            itself if it has no subcommands or none was named
+	 *          - {String} The text following the subcommand
+	 */
+	function splitSubcommand(channel, cmd, cmdText, cb) {
+		var split = cmdText.match(/^(\S*)\s*(.*)$/),
+			subId = split[1].toLowerCase(),
+			sub = null,
+			err = null;
+		if (!cmd.subcommands)
+			return cb(null, cmd, cmdText);
+		objUtil.forEach(cmd.subcommands, function(key, val) {
+			if (val.subId == subId)
+				sub = val;
+		});
+		if (sub)
+			return cb(null, sub, split[2]);
+		if (cmd.handler)
+			return cb(null, cmd, cmdText);
+		err = new Error("Sorry, '" + cmd.id + "' needs one of: " +
+			Object.keys(cmd.subcommands).join(', ') + ".  Try \"" +
+			(channel ? getFantasyChar(channel) : '') + "help " + cmd.id +
+			"\" for more info.");
+		err.userError = true;
+		cb(err);
+	}
+
+	/**
+	 * Calls a function that may finish its work asynchronously, and waits
+	 * for it to finish.  The function can finish in one of three ways:
+	 *      - By returning a promise, which finishes the function when it
+	 *        settles.  A rejection is the function's error.
+	 *      - By accepting one more argument than it's given, which is a
+	 *        callback to be called when the function is done, with an error
+	 *        if it failed and optionally a result.  Any properties in
+	 *        callbackProps are added to the callback.
+	 *      - By returning anything else, which finishes the function right
+	 *        away with the returned value as its result.
+	 * An error thrown by the function is caught and passed along, as is a
+	 * timeout if it works asynchronously for longer than handlerTimeout.
+	 *
+	 * @param {Function} func The function to be called
+	 * @param {Object} thisArg The object to call the function on
+	 * @param {Array} args The arguments to call the function with
+	 * @param {Function} cb A callback function to be executed once the
+	 *      function finishes.  Arguments provided are:
+	 *          - {Error} An error object, if the function failed
+	 *          - {*} The function's result
+	 * @param {Object} [callbackProps] Properties to be added to the callback
+	 *      given to the function, if it accepts one
+	 */
+	function callAsync(func, thisArg, args, cb, callbackProps) {
+		var takesCallback = func.length > args.length,
+			finished = false,
+			timer = null,
+			result;
+		function finish(err, res) {
+			if (finished)
+				return;
+			finished = true;
+			clearTimeout(timer);
+			if (err && !(err instanceof Error))
+				err = new Error(String(err));
+			cb(err || null, res);
+		}
+		objUtil.forEach(callbackProps || {}, function(key, val) {
+			finish[key] = val;
+		});
+		try {
+			result = func.apply(thisArg,
+				takesCallback ? args.concat(finish) : args);
+		}
+		catch (e) {
+			return finish(e);
+		}
+		if (result && typeof result.then == 'function') {
+			result.then(function(res) {
+				finish(null, res);
+			}, function(err) {
+				finish(err || new Error("Promise rejected"));
+			});
+		}
+		else if (!takesCallback)
+			return finish(null, result);
+		if (!finished && config.handlerTimeout > 0) {
+			timer = setTimeout(function() {
+				finish(new Error("Timed out after " + config.handlerTimeout +
+					" seconds"));
+			}, config.handlerTimeout * 1000);
+		}
+	}
+
+	/**
+	 * Logs an unexpected error from a command's handler or middleware with
+	 * its stack trace, and tells the user only that something went wrong,
+	 * along with an ID that can be found in the log.
+	 *
+	 * @param {String} replyTo The nick or channel to which the notice
+	 *      should be sent
+	 * @param {Object} cmd The command or subcommand object that failed
+	 * @param {Error} err The error
+	 * @returns {String} The error ID
+	 */
+	function reportError(replyTo, cmd, err) {
+		var errorId = crypto.randomBytes(ERROR_ID_BYTES).toString('hex');
+		console.log("FAILED RUNNING COMMAND '" + getName(cmd) + "' [" +
+			errorId + "]", err.stack || err);
+		client.notice(replyTo, "Sorry, something went wrong with '" +
+			getName(cmd) + "'.  If it keeps happening, let my owner know " +
+			"the error ID: " + errorId);
+		return errorId;
+	}
+
+	/**
+	 * Reports a command's result once its handler has finished, by emitting
+	 * a 'command:complete' or 'command:error' event on the ModManager.  The
+	 * event is given the same object as the 'command' event, with these
+	 * additional properties:
+	 *      - {Number} duration: The number of milliseconds the handler took
+	 *      - {Error} error: The error, for 'command:error' only
+	 *      - {String} errorId: The ID the error was logged and reported to
+	 *        the user with, for 'command:error' only, unless the error was
+	 *        a user error
+	 * Errors flagged as user errors are sent to the user as they are.  Any
+	 * other error is reported with {@link #reportError}.
+	 *
+	 * @param {Object} cmdArgs The object given to the 'command' event
+	 * @param {CommandContext} context The context the handler was given
+	 * @param {Number} startTime The timestamp at which the handler started
+	 * @param {Error|null} err The handler's error, if it failed
+	 */
+	function reportResult(cmdArgs, context, startTime, err) {
+		var result = objUtil.merge(cmdArgs, {
+			duration: Date.now() - startTime
+		});
+		if (!err)
+			return modMan.emit('command:complete', result);
+		result.error = err;
+		if (err.userError)
+			context.error(err.message);
+		else {
+			result.errorId = reportError(context.getReplyTarget(),
+				cmdArgs.cmd, err);
+		}
+		modMan.emit('command:error', result);
+	}
+
+	/**
+	 * Registers a middleware function to be run before every command's
+	 * handler, once the command's permissions have been checked and its
+	 * arguments parsed.  Middleware runs in order of priority, lowest
+	 * first, and in the order it was added within the same priority.  Each
+	 * is called with the {@link CommandContext} the handler will receive,
+	 * whose 'target' and 'args' can be changed, and whose reply functions
+	 * can answer the user in the command's place.  A command flagged
+	 * 'sensitive' shows middleware only redacted args, and ignores changes
+	 * to them.
+	 * Middleware finishes as described in {@link #callAsync}: by returning
+	 * a value or a promise, or by calling back.  Finishing with an error
+	 * keeps the command from executing; errors flagged as user errors are
+	 * sent to the user as they are, and others are reported with an error
+	 * ID.  Finishing with a result of false keeps the command from executing
+	 * without an error, such as after replying to the user in its place.
+	 * Any other result lets the command continue.
+	 *
+	 * Middleware belongs to a mod, and is removed when that mod is unloaded.
+	 *
+	 * @param {String} modId The ID of the mod adding the middleware
+	 * @param {Function} middleware The middleware function, accepting the
+	 *      context object and optionally a callback
+	 * @param {Number} [priority] The order in which the middleware runs,
+	 *      lowest first.  Defaults to 0.
+	 */
+	function addMiddleware(modId, middleware, priority) {
+		var idx = 0;
+		priority = priority || 0;
+		while (idx < middlewares.length &&
+				middlewares[idx].priority <= priority)
+			idx++;
+		middlewares.splice(idx, 0, {
+			modId: modId,
+			func: middleware,
+			priority: priority
+		});
+	}
+
+	/**
+	 * Removes middleware registered with {@link #addMiddleware}.
+	 *
+	 * @param {String} modId The ID of the mod that added the middleware
+	 * @param {Function} [middleware] The middleware function to be removed.
+	 *      Omit to remove all of the mod's middleware.
+	 */
+	function removeMiddleware(modId, middleware) {
+		middlewares = middlewares.filter(function(entry) {
+			return entry.modId != modId ||
+				(middleware && entry.func != middleware);
+		});
+	}
+
+	/**
+	 * Removes the middleware of mods as they're unloaded.  This function is
+	 * an event listener and should be added to the ModManager's
+	 * 'modunloaded' event.
+	 *
+	 * @param {String} modId The ID of the unloaded mod
+	 */
+	function handleModUnloaded(modId) {
+		removeMiddleware(modId);
+	}
+	modMan.on('modunloaded', handleModUnloaded);
+
+	/**
+	 * Runs every registered middleware function on a command's context, in
+	 * order, stopping at the first that fails or returns false.
+	 *
+	 * @param {Object} context The context object described in
+	 *      {@link #addMiddleware}
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if a middleware function failed
+	 *          - {boolean} true if the command should be executed; false
+	 *            if a middleware function stopped it
+	 */
+	function runMiddleware(context, cb) {
+		var queue = middlewares.slice();
+		function next(err, result) {
+			if (err || result === false)
+				return cb(err || null, false);
+			if (!queue.length)
+				return cb(null, true);
+			callAsync(queue.shift().func, null, [context], next);
+		}
+		next();
+	}
+
+	/**
+	 * Resolves an alias to the command it names, if no command has been
+	 * loaded under the given name.
+	 *
+	 * @param {String} cmdId The lowercase name spoken by the user
+	 * @returns {Object|null} The alias, with a 'command' property and
+	 *      optionally an 'args' property, or null if the name is a command
+	 *      or isn't an alias
+	 */
+	function resolveAlias(cmdId) {
+		var aliasMod = modMan.getMod(ALIAS_MOD);
+		if (!aliasMod || modMan.getCommand(cmdId))
+			return null;
+		return aliasMod.getAlias(cmdId);
+	}
+
+	/**
+	 * Gets the prefixes that mark a message as a command in a channel,
+	 * from the channel's entry in channelFantasyChars if it has one, or
+	 * fantasyChar otherwise.  Entries for '#' channels can leave out the
+	 * '#'.
+	 *
+	 * @param {String|null} channel The channel, or null for the prefixes
+	 *      used in channels without their own
+	 * @returns {Array} The prefixes, in the order they were configured.
+	 *      This is empty if fantasy commands are disabled in the channel.
+	 */
+	function getPrefixes(channel) {
+		var prefixes = config.fantasyChar,
+			lowChan = channel ? channel.toLowerCase() : null;
+		objUtil.forEach(config.channelFantasyChars || {}, function(chan, val) {
+			chan = chan.toLowerCase();
+			if (chan == lowChan || '#' + chan == lowChan)
+				prefixes = val;
+		});
+		if (!prefixes)
+			return [];
+		if (!Array.isArray(prefixes))
+			prefixes = [prefixes];
+		return prefixes.filter(function(prefix) {
+			return typeof prefix == 'string' && prefix.length;
+		});
+	}
+
+	/**
+	 * Gets the text users should put before a command name to execute it
+	 * in a channel, for use in help and error messages.  This is the first
+	 * of the channel's prefixes, or the bot's nick if fantasy commands are
+	 * disabled there.
+	 *
+	 * @param {String} [channel] The channel.  Omit for the prefix used in
+	 *      channels without their own.
+	 * @returns {String} The prefix, such as "!" or "Toady: "
+	 */
+	function getFantasyChar(channel) {
+		var prefixes = getPrefixes(channel || null);
+		if (prefixes.length)
+			return prefixes[0];
+		return config.addressable ? client.nick + ': ' : '';
+	}
+
+	/**
+	 * Removes whatever marks a message as a command: one of the prefixes
+	 * for the channel, or the bot's nick followed by a colon or comma.  In
+	 * a private message, neither is needed.
+	 *
+	 * @param {String|null} channel The channel the message was said in, or
+	 *      null if it was sent in a private message
+	 * @param {String} text The text of the message
+	 * @returns {String|null} The text following the prefix or nick, or null
+	 *      if the message isn't a command
+	 */
+	function stripTrigger(channel, text) {
+		var escNick = client.nick.replace(/[.*+?^${}()|[\]\\\-]/g, '\\$&'),
+			address = text.match(new RegExp('^\\s*' + escNick +
+				'[:,]\\s*(.*)$', 'i')),
+			prefixes = getPrefixes(channel).sort(function(a, b) {
+				return b.length - a.length;
+			});
+		text = text.replace(/^\s+/, '');
+		if (address && (config.addressable || !channel))
+			return address[1];
+		for (var i = 0; i < prefixes.length; i++) {
+			if (text.indexOf(prefixes[i]) === 0)
+				return text.substr(prefixes[i].length);
+		}
+		return channel ? null : text;
+	}
+
+	/**
+	 * Sends a page of a long reply, followed by a line telling the user how
+	 * to get the next page, if there is one.
+	 *
+	 * @param {Object} page The page, as described in {@link Paginator}
+	 * @param {String|null} channel The channel the user is talking in, or
+	 *      null if they're messaging the bot privately, for the hint
+	 */
+	function sendPage(page, channel) {
+		var next = Math.min(page.remaining, paginator.getPageSize());
+		page.lines.forEach(function(line) {
+			page.send(line);
+		});
+		if (page.remaining) {
+			page.send('-- Type ' + (channel ? getFantasyChar(channel) :
+				'/msg ' + client.nick + ' ') + 'more for the next ' + next +
+				(next == 1 ? ' line' : ' lines') + ' (' + page.remaining +
+				' left) --');
+		}
+	}
+
+	/**
+	 * Sends the first page of a long reply, and holds the rest until the
+	 * user asks for it with the 'more' command.  Only a user's latest long
+	 * reply is held, and it's discarded after the pageTimeout, or when the
+	 * user quits or changes nicks.
+	 *
+	 * @param {String} nick The nick of the user being replied to
+	 * @param {Array} lines The lines of the reply
+	 * @param {Function} send A function that sends one line of the reply
+	 *      where it should go.  Accepts the text to be sent.
+	 * @param {String|null} [channel] The channel the user is talking in, or
+	 *      null if they're messaging the bot privately
+	 */
+	function sendPaginated(nick, lines, send, channel) {
+		sendPage(paginator.start(nick, lines, send), channel || null);
+	}
+
+	/**
+	 * Sends a long reply as low-priority notices, a page at a time, as
+	 * described in {@link #sendPaginated}.  Command handlers can call
+	 * 'this.paginate' instead, which follows the user's reply preferences.
+	 *
+	 * @param {String} nick The nick of the user being replied to
+	 * @param {String} target The nick or channel to which the reply should
+	 *      be sent
+	 * @param {Array} lines The lines of the reply
+	 * @param {String|null} [channel] The channel the user is talking in, or
+	 *      null if they're messaging the bot privately
+	 */
+	function paginate(nick, target, lines, channel) {
+		sendPaginated(nick, lines, function(line) {
+			client.notice(target, line, 'low');
+		}, channel);
+	}
+
+	/**
+	 * Discards the held reply of a user who quit, was killed, or changed
+	 * nicks, so it can't be read by whoever has the nick next.  This
+	 * function is attached to the client's 'quit', 'kill', and 'nick'
+	 * events.
+	 *
+	 * @param {String} nick The user's nick, or old nick
+	 */
+	function handleUserGone(nick) {
+		paginator.clear(nick);
+	}
+	client.on('quit', handleUserGone);
+	client.on('kill', handleUserGone);
+	client.on('nick', handleUserGone);
+
+	/**
+	 * Gets the names of every visible command and alias a user could
+	 * execute by name.
+	 *
+	 * @returns {Array} The command and alias names
+	 */
+	function getCallableNames() {
+		var aliasMod = modMan.getMod(ALIAS_MOD),
+			names = [];
+		objUtil.forEach(modMan.getCommands(), function(cmdId, cmd) {
+			if (!cmd.hidden)
+				names.push(cmdId);
+		});
+		if (aliasMod) {
+			objUtil.forEach(aliasMod.getAliases(), function(name) {
+				if (names.indexOf(name) == -1)
+					names.push(name);
+			});
+		}
+		return names;
+	}
+
+	/**
+	 * Finds the command and alias names closest to a name that isn't a
+	 * command, for suggesting to a user who may have mistyped it.  Names
+	 * starting with the given name come first, followed by those within a
+	 * few typos of it.  Hidden commands are never suggested.
+	 *
+	 * @param {String} name The name to find suggestions for
+	 * @returns {Array} Up to three command or alias names, closest first
+	 */
+	function getSuggestions(name) {
+		return strUtil.findSimilar(name, getCallableNames(), MAX_SUGGESTIONS);
+	}
+
+	/**
+	 * Finds the single command or alias whose name starts with the given
+	 * name, for the autoPrefix option.
+	 *
+	 * @param {String} cmdId The lowercase name spoken by the user
+	 * @returns {String|null} The matching command or alias name, or null if
+	 *      none or more than one match
+	 */
+	function getPrefixMatch(cmdId) {
+		var matches = getCallableNames().filter(function(name) {
+			return name.indexOf(cmdId) === 0;
+		});
+		return matches.length == 1 ? matches[0] : null;
+	}
+
+	/**
+	 * Finds the command a command line names, following the autoPrefix
+	 * option and aliases.
+	 *
+	 * @param {String} cmdLine The command name, followed by its arguments
+	 * @returns {Object} An object with the following properties:
+	 *      - {String} spokenId: The lowercase name the user gave
+	 *      - {String} cmdId: The name of the command to be executed
+	 *      - {String} cmdText: The arguments for the command, including any
+	 *        from an alias
+	 */
+	function resolveLine(cmdLine) {
+		var split = cmdLine.match(/^\s*(\S*)\s*(.*)$/),
+			cmdId = split[1].toLowerCase(),
+			cmdText = split[2],
+			spokenId = cmdId,
+			alias;
+		if (config.autoPrefix && cmdId && !modMan.getCommand(cmdId) &&
+				!resolveAlias(cmdId)) {
+			cmdId = getPrefixMatch(cmdId) || cmdId;
+		}
+		alias = resolveAlias(cmdId);
+		if (alias) {
+			cmdId = alias.command;
+			if (alias.args)
+				cmdText = alias.args + (cmdText ? ' ' + cmdText : '');
+		}
+		return {spokenId: spokenId, cmdId: cmdId, cmdText: cmdText};
+	}
+
+	/**
+	 * Creates the error telling a user that a name isn't a command, along
+	 * with the closest command names.
+	 *
+	 * @param {String} spokenId The name the user gave
+	 * @returns {Error} The error, flagged as a user error
+	 */
+	function unknownCommandError(spokenId) {
+		var suggestions = getSuggestions(spokenId),
+			err = new Error("Sorry, '" + spokenId + "' isn't a command." +
+				(suggestions.length ? "  Did you mean: " +
+				suggestions.join(', ') + '?' : ''));
+		err.userError = true;
+		return err;
+	}
+
+	/**
+	 * Checks and executes a single command from a user's line.  Errors are
+	 * reported to the user before the callback, and the callback is never
+	 * called if the command isn't executed, so that the rest of the line is
+	 * dropped.  The same goes for a piped command that finishes without any
+	 * output, such as one that replies privately or only after it reports
+	 * being done; whatever it sends later goes to the user.
+	 *
+	 * @param {Object} source An object describing where the line came from,
+	 *      with the 'nick' who sent it, who it was sent 'to', 'inChan', and
+	 *      the IRC library's 'message' object
+	 * @param {String} cmdLine The command name, followed by its arguments
+	 * @param {boolean} first true if this is the first command in the line,
+	 *      which is ignored if it isn't a command; false to tell the user
+	 * @param {Array|null} output An array to collect the handler's output
+	 *      in, for piping into the next command, or null to send it to the
+	 *      user
+	 * @param {Function} cb A callback function to be executed once the
+	 *      command's handler has finished successfully
+	 */
+	function runCommand(source, cmdLine, first, output, cb) {
+		var nick = source.nick,
+			to = source.to,
+			inChan = source.inChan,
+			message = source.message,
+			resolved = resolveLine(cmdLine),
+			cmdText = resolved.cmdText;
+		Seq()
+			.seq(function getCmd() {
+				var cmd = modMan.getCommand(resolved.cmdId);
+				if (cmd)
+					this(null, cmd);
+				else if (!first ||
+						(!inChan && getSuggestions(resolved.spokenId).length))
+					this(unknownCommandError(resolved.spokenId));
+				else
+					this(silentDrop('Not a command'));
+			})
+			.seq(function callSplitSubcommand(cmd) {
+				splitSubcommand(inChan ? to : null, cmd, cmdText, this);
+			})
+			.seq(function callSplitTarget(cmd, subText) {
+				this.vars.cmd = cmd;
+				splitTarget(inChan, cmd, subText, to, this);
+			})
+			.seq(function callAssertPermission(target, args) {
+				this.vars.target = target;
+				cmdText = args;
+				assertPermission(this.vars.cmd, nick, target,
+					inChan ? to : null, this);
+			})
+			.seq(function callAssertNotThrottled() {
+				// Only attempts the user is allowed to make count toward
+				// the command's limits
+				assertNotThrottled(this.vars.cmd, nick, inChan ? to : null,
+					message, this);
+			})
+			.seq(function callApplyArgs() {
+				if (this.vars.cmd.args) {
+					applyArgs(inChan ? to : null, this.vars.cmd, cmdText,
+						this);
+				}
+				else {
+					applyPattern(inChan ? to : null, this.vars.cmd, cmdText,
+						this);
+				}
+			})
+			.seq(function callRunMiddleware(args) {
+				var next = this,
+					cmd = this.vars.cmd,
+					pMod = modMan.getMod(PERMISSIONS_MOD),
+					server = modMan.getNetworkConfig().server || {},
+					context = new CommandContext(client, {
+						network: modMan.getNetworkId(),
+						nick: nick,
+						to: to,
+						target: this.vars.target,
+						args: cmd.sensitive ? redactArgs(args) : args,
+						cmd: cmd,
+						inChan: inChan,
+						message: message,
+						prefs: pMod.getPreferences(nick),
+						messageLength: server.messageLength,
+						output: output,
+						pager: function(lines, send) {
+							sendPaginated(nick, lines, send,
+								inChan ? to : null);
+						}
+					});
+				runMiddleware(context, function(err, proceed) {
+					if (err && err.userError)
+						context.error(err.message);
+					else if (err)
+						reportError(context.getReplyTarget(), context.cmd, err);
+					if (err)
+						next(silentDrop('Stopped by failed middleware'));
+					else if (!proceed)
+						next(silentDrop('Stopped by middleware'));
+					else {
+						// Middleware can't change a sensitive command's
+						// arguments, as it never saw them.
+						next(null, context, cmd.sensitive ? args :
+							context.args);
+					}
+				});
+			})
+			.seq(function executeCmd(context, args) {
+				var cmd = this.vars.cmd,
+					startTime = Date.now(),
+					cmdArgs = {
+						network: modMan.getNetworkId(),
+						nick: nick,
+						to: to,
+						target: context.target,
+						args: context.args,
+						cmd: cmd
+					};
+				modMan.emit('command', cmdArgs);
+				modMan.emit('command:' + cmd.id, cmdArgs);
+				context.args = args;
+				callAsync(cmd.handler, context, [nick, to, context.target,
+					args, inChan], function(err) {
+					var piped = context.stopPiping();
+					reportResult(cmdArgs, context, startTime, err);
+					if (err)
+						return;
+					if (piped && !piped.length) {
+						context.error("'" + resolved.spokenId + "' has no \
+output to pipe into the next command.");
+					}
+					else
+						cb();
+				}, {send: context.reply.bind(context)});
+			})
+			.catch(function(err) {
+				if (err.silent)
+					return;
+				if (err.userError)
+					client.notice(inChan ? to : nick, err.message);
+				else {
+					console.log("FAILED RUNNING COMMAND '" + resolved.cmdId +
+						"'", err.stack || err);
+				}
+			});
+	}
+
+	/**
+	 * Executes the commands of a pipeline in order, adding the output of
+	 * each to the end of the next one's arguments.  Only the output of the
+	 * last command is sent to the user.
+	 *
+	 * @param {Object} source An object describing where the line came from,
+	 *      as described in {@link #runCommand}
+	 * @param {Array} stages The command lines to be piped together
+	 * @param {boolean} first true if this is the first pipeline in the
+	 *      line; false otherwise
+	 * @param {Function} cb A callback function to be executed once every
+	 *      command has finished successfully
+	 */
+	function runPipeline(source, stages, first, cb) {
+		var input = null;
+		function next(idx) {
+			var last = idx == stages.length - 1,
+				output = last ? null : [],
+				cmdLine = stages[idx];
+			if (input)
+				cmdLine += ' ' + input;
+			runCommand(source, cmdLine, !idx && first, output, function() {
+				if (last)
+					return cb();
+				input = output.join(' ').replace(/\s*[\r\n]+\s*/g, ' ')
+					.trim();
+				next(idx + 1);
+			});
+		}
+		next(0);
+	}
+
+	/**
+	 * Checks whether the text following a semicolon or vertical bar in a
+	 * line starts with a command or alias, and so should be split off from
+	 * the command before it.  It may start with a command prefix, but
+	 * doesn't need one.
+	 *
+	 * @param {String} text The text following the semicolon or vertical bar
+	 * @returns {boolean} true if the text starts with a command; false
+	 *      otherwise
+	 */
+	function isCommand(text) {
+		return !!modMan.getCommand(resolveLine(stripTrigger(null,
+			text)).cmdId);
+	}
+
+	/**
+	 * Listens for a command to be spoken in a channel, or directly in a
+	 * private message.  This function is an event listener and should be
+	 * added to the 'message' event of the IRC client library.
+	 *
+	 * @param {String} nick The nick originating the message
+	 * @param {String} to The channel or nickname to which the message was sent
+	 * @param {String} text The text of the message
+	 * @param {Object} message The IRC library's message object
+	 */
+	function handleMessage(nick, to, text, message) {
+		var inChan = CHAN_PREFIXES.indexOf(to[0]) != -1,
+			cmdLine = stripTrigger(inChan ? to : null, text),
+			source = {nick: nick, to: to, inChan: inChan, message: message},
+			pipelines,
+			count = 0;
+		if (cmdLine === null || !cmdLine.trim())
+			return;
+		pipelines = config.maxCommands > 1 ? splitLine(cmdLine, isCommand) :
+			[[cmdLine]];
+		pipelines.forEach(function(pipeline, pIdx) {
+			pipeline.forEach(function(stage, sIdx) {
+				count++;
+				// Only the first command needs a prefix
+				if (pIdx || sIdx)
+					pipeline[sIdx] = stripTrigger(null, stage);
+			});
+		});
+		if (count > 1 && inChan &&
+				!modMan.getCommand(resolveLine(pipelines[0][0]).cmdId))
+			return;
+		if (count > config.maxCommands) {
+			return client.notice(inChan ? to : nick, "Sorry, you can only " +
+				"chain or pipe " + config.maxCommands + " commands at once.");
+		}
+		(function next(idx) {
+			if (idx < pipelines.length) {
+				runPipeline(source, pipelines[idx], !idx, function() {
+					next(idx + 1);
+				});
+			}
+		})(0);
+	}
+	client.on('message', handleMessage);
+
+	return {
+		name: 'Command Runner',
+		desc: "Handles the execution of user-triggered commands",
+		author: 'Tom Frost',
+		commands: {
+			more: {
+				handler: function(from, to, target, args, inChan) {
+					var page = paginator.next(from);
+					if (page)
+						sendPage(page, inChan ? to : null);
+					else
+						this.error("There's nothing more to show you.");
+				},
+				desc: "Shows the next page of a long reply",
+				help: [
+					"Format: {cmd}",
+					" ",
+					"Long replies are sent a page at a time.  Use this to \
+see the next page.  Only your latest long reply is kept, and only for a \
+few minutes.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd}",
+					"  {!}{cmd}"
+				],
+				pattern: /^$/
+			}
+		},
+		blockUnload: true,
+		unload: function() {
+			client.removeListener('message', handleMessage);
+			client.removeListener('quit', handleUserGone);
+			client.removeListener('kill', handleUserGone);
+			client.removeListener('nick', handleUserGone);
+			modMan.removeListener('modunloaded', handleModUnloaded);
+			clearInterval(sweepTimer);
+		},
+		getFantasyChar: getFantasyChar,
+		addMiddleware: addMiddleware,
+		removeMiddleware: removeMiddleware,
+		getFormat: ArgParser.format,
+		getSuggestions: getSuggestions,
+		paginate: paginate
+	};
+};
+
+module.exports.splitLine = splitLine;
+
+module.exports.configDefaults = {
+	addressable: true,
+	autoPrefix: false,
+	channelFantasyChars: {},
+	fantasyChar: '!',
+	handlerTimeout: 30,
+	maxCommands: 5,
+	pageSize: 10,
+	pageTimeout: 300,
+	throttleBypass: 'P',
+	throttleIgnoreAfter: 5,
+	throttleIgnoreTime: 600
+};
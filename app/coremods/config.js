@@ -65,7 +65,8 @@ module.exports = function(config, client, modMan) {
 			})
 			.seq(function getConf(newVal) {
 				this.vars.newVal = newVal;
-				ModConfig.getModConfigFile(modId, this);
+				ModConfig.getModConfigFile(modId, modMan.getNetworkId(),
+					this);
 			})
 			.seq(function saveConf(modFile) {
 				var props = Object.keys(modFile);
@@ -84,14 +85,14 @@ module.exports = function(config, client, modMan) {
 	}
 
 	/**
-	 * Shows the current value for a config key to a nick or channel.
+	 * Shows the current value for a config key to the user.
 	 *
-	 * @param {String} replyTo The nick or channel to which messages should
-	 *      be sent
+	 * @param {CommandContext} ctx The context of the viewconfig command,
+	 *      through which messages should be sent
 	 * @param {String} modId The ID of the mod whose config will be viewed
 	 * @param {String} key The config key to be shown
 	 */
-	function showConfig(replyTo, modId, key) {
+	function showConfig(ctx, modId, key) {
 		var mod = modMan.getMod(modId.toLowerCase());
 		Seq()
 			.seq(function assertModExists() {
@@ -109,13 +110,13 @@ module.exports = function(config, client, modMan) {
 				else this();
 			})
 			.seq(function displayVal() {
-				client.notice(replyTo, mod.id + '.' + key + ': {' +
+				ctx.reply(mod.id + '.' + key + ': {' +
 					(mod.configItems[key].type || 'string') + '} ' +
 					(mod.config[key] === undefined ? "(unset)" :
 						mod.config[key]));
 			})
 			.catch(function(err) {
-				client.notice(replyTo, err.message);
+				ctx.error(err.message);
 			});
 	}
 
@@ -194,13 +195,13 @@ module.exports = function(config, client, modMan) {
 		author: 'Tom Frost',
 		commands: {
 			setconfig: {
-				handler: function(from, to, target, args, inChan) {
-					var replyTo = inChan ? to : from;
+				handler: function(from, to, target, args) {
+					var ctx = this;
 					setConfig(args[1], args[2], args[3], function(err) {
 						if (err)
-							client.notice(replyTo, err.message);
+							ctx.error(err.message);
 						else
-							client.notice(replyTo, 'Value saved.');
+							ctx.reply('Value saved.');
 					});
 				},
 				desc: "Sets a config option on a specified mod",
@@ -214,8 +215,8 @@ module.exports = function(config, client, modMan) {
 				minPermission: 'S'
 			},
 			viewconfig: {
-				handler: function(from, to, target, args, inChan) {
-					showConfig(inChan ? to : from, args[1], args[2]);
+				handler: function(from, to, target, args) {
+					showConfig(this, args[1], args[2]);
 				},
 				desc: "Shows the current value of a mod's config option",
 				help: [
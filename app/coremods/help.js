@@ -4,14 +4,18 @@
  */
 
 var objUtil = require('../util/Object'),
+	strUtil = require('../util/String'),
 	modLoad = require('../modmanager/ModLoader'),
+	Networks = require('../irc/Networks'),
 	pkgjson = require('../../package.json'),
 	name = pkgjson.name,
 	version = pkgjson.version,
 	author = pkgjson.author,
 	url = pkgjson.homepage;
 
-const PERM_CHARS = ['O', 'S', 'P', '~', '&', '@', '%', '+', '', '0'];
+// Help pages run dozens of lines, so each user gets only a few at a time.
+const HELP_RATE_LIMIT = {count: 3, seconds: 30};
+const MAX_SUGGESTIONS = 3;
 
 function padStr(str, len) {
 	while (str.length < len)
@@ -36,32 +40,74 @@ function strSort(a, b) {
  */
 module.exports = function(config, client, modMan) {
 
+	/**
+	 * Gets the first line of every help page.  When Toady is connected to
+	 * more than one network, the header names the network this help
+	 * applies to, since commands and permissions can differ between them.
+	 *
+	 * @returns {String} The help page header
+	 */
+	function getHeader() {
+		var header = '***** ' + client.nick + ' Help';
+		if (Networks.isMultiNetwork())
+			header += ' (' + modMan.getNetworkId() + ')';
+		return header + ' *****';
+	}
+
+	/**
+	 * Describes a permission for a help page.  Permission chars and custom
+	 * roles are shown with their name, while groups, which have no name,
+	 * are labeled as such.
+	 *
+	 * @param {String} perm The permission char, role, or group
+	 * @returns {String} The description of the permission
+	 */
+	function describePerm(perm) {
+		var permName = modMan.getMod('users').getPermName(perm);
+		if (permName === null)
+			return 'Group ' + perm;
+		return '[' + perm + ']' + permName;
+	}
+
+	/**
+	 * Gets the name a command should be listed under: its bare ID if that
+	 * resolves to it, or its qualified ID if the bare ID belongs to another
+	 * mod's command.
+	 *
+	 * @param {Object} cmd The command object to be named
+	 * @returns {String} The name users can execute the command by
+	 */
+	function getCallName(cmd) {
+		return modMan.getCommand(cmd.id) == cmd ? cmd.id : cmd.qualifiedId;
+	}
+
 	/**
 	 * Gets an object mapping of all Mod IDs to an additional object mapping
 	 * of command IDs to command objects.  This result set will be limited to
 	 * commands requiring permissions equal to or less than maxPerm, and
-	 * mods which contain commands after that filter is applied.
+	 * mods which contain commands after that filter is applied.  The
+	 * command ACL is respected, so commands the nick has been allowed are
+	 * included and commands it has been denied are not.
 	 *
+	 * @param {String} nick The nick for which commands are being listed
 	 * @param {String} maxPerm The maximum permission char for which to
 	 *      return commands
 	 * @returns {Object} An object mapping mod IDs to objects mapping command
 	 *      IDs to commands, where each command's required permission is equal
 	 *      to or less than maxPerm
 	 */
-	function getModCommands(maxPerm) {
+	function getModCommands(nick, maxPerm) {
 		var mods = modMan.getMods(),
 			pMod = modMan.getMod('users'),
 			modCommands = {};
 		if (!maxPerm && maxPerm != '')
 			maxPerm = null;
 		mods.forEach(function(mod) {
-			objUtil.forEach(mod.commands || {}, function(cmdId, cmd) {
-				var hasPerm = cmd.hasOwnProperty('minPermission');
-				if (!cmd.hidden && (!hasPerm || (maxPerm !== null && hasPerm &&
-						pMod.permEqualOrGreater(maxPerm, cmd.minPermission)))) {
+			objUtil.forEach(mod.commands || {}, function(key, cmd) {
+				if (!cmd.hidden && pMod.isCommandVisible(cmd, nick, maxPerm)) {
 					if (!modCommands[mod.id])
 						modCommands[mod.id] = {};
-					modCommands[mod.id][cmdId] = cmd;
+					modCommands[mod.id][getCallName(cmd)] = cmd;
 				}
 			});
 		});
@@ -75,36 +121,75 @@ module.exports = function(config, client, modMan) {
 	 * with required permissions equal to or less than maxPerm will be
 	 * included.  Commands which do not have a required permission will
 	 * be grouped under the "0" key.  Commands which only require a user's
-	 * presence in a channel will be grouped under the "" key.
+	 * presence in a channel will be grouped under the "" key.  As with
+	 * {@link #getModCommands}, the command ACL is respected.
 	 *
 	 * @param {Object} mod A mod object whose commands should be sorted by
 	 *      permission
+	 * @param {String} nick The nick for which commands are being listed
 	 * @param {String} maxPerm The permission char by which to limit the
 	 *      returned commands
 	 * @returns {Object} An object mapping of permission chars to an object
 	 *      mapping command IDs to command objects
 	 */
-	function getCommandsByPerm(mod, maxPerm) {
+	function getCommandsByPerm(mod, nick, maxPerm) {
 		var pMod = modMan.getMod('users'),
 			cmds = {};
 		if (mod.commands) {
-			objUtil.forEach(mod.commands, function(cmdId, cmd) {
+			objUtil.forEach(mod.commands, function(key, cmd) {
 				var perm = cmd.minPermission == undefined ? '0' :
 						cmd.minPermission;
-				if (!cmd.hidden && (perm == '0' ||
-						pMod.permEqualOrGreater(maxPerm, perm))) {
+				if (!cmd.hidden && pMod.isCommandVisible(cmd, nick, maxPerm)) {
 					if (!cmds[perm])
 						cmds[perm] = {};
-					cmds[perm][cmdId] = cmd;
+					cmds[perm][getCallName(cmd)] = cmd;
 				}
 			});
 		}
 		return cmds;
 	}
 
+	/**
+	 * Gets the aliases whose commands would be listed for a nick, as
+	 * {@link #getModCommands} would list them.
+	 *
+	 * @param {String} nick The nick for which aliases are being listed
+	 * @param {String} maxPerm The maximum permission char for which to
+	 *      return aliases
+	 * @returns {Object} An object mapping alias names to alias objects
+	 */
+	function getVisibleAliases(nick, maxPerm) {
+		var aliasMod = modMan.getMod('alias'),
+			pMod = modMan.getMod('users'),
+			aliases = {};
+		if (!aliasMod)
+			return aliases;
+		objUtil.forEach(aliasMod.getAliases(), function(name, alias) {
+			var cmd = modMan.getCommand(alias.command);
+			if (cmd && !cmd.hidden && pMod.isCommandVisible(cmd, nick, maxPerm))
+				aliases[name] = alias;
+		});
+		return aliases;
+	}
+
+	/**
+	 * Creates a " Did you mean: ...?" suffix for a not-found message.
+	 *
+	 * @param {Array} suggestions The names to be suggested
+	 * @returns {String} The suffix, or an empty string if there are no
+	 *      suggestions
+	 */
+	function didYouMean(suggestions) {
+		if (!suggestions.length)
+			return '';
+		return '  Did you mean: ' + suggestions.join(', ') + '?';
+	}
+
 	/**
 	 * Sends an array of messages to the given target as irc NOTICEs one at
-	 * a time, optionally replacing placeholders with actual values.
+	 * a time, optionally replacing placeholders with actual values.  The
+	 * notices are sent at low priority, so they don't hold up other
+	 * replies.
 	 * Placeholders within the string should be put in curly braces.  For
 	 * example:
 	 *
@@ -117,79 +202,199 @@ module.exports = function(config, client, modMan) {
 	 *          nick: "Toady"
 	 *      }
 	 *
+	 * Unless the 'replace' object says otherwise, {!} is replaced with the
+	 * prefix for commands said in a channel, as given by the Command
+	 * Runner's getFantasyChar.
+	 *
 	 * @param {String} target The channel or nick to which the notices should
 	 *      be sent
 	 * @param {Array} messages An array of strings to be sent to the target
 	 *      sequentially
-	 * @param {Object} replace An object mapping placeholder text to the
+	 * @param {Object} [replace] An object mapping placeholder text to the
 	 *      strings that the braces and placeholders should be replaced with
 	 */
 	function sendHelp(target, messages, replace) {
-		messages.forEach(function(msg) {
-			if (replace) {
-				objUtil.forEach(replace, function(str, repl) {
-					msg = msg.replace('{' + str + '}', repl);
-				});
-			}
-			client.notice(target, msg);
+		fillHelp(messages, replace).forEach(function(msg) {
+			client.notice(target, msg, 'low');
+		});
+	}
+
+	/**
+	 * Sends a help page privately to the user who asked for it, as they
+	 * prefer to be answered.  Placeholders are replaced as in
+	 * {@link #sendHelp}.
+	 *
+	 * @param {CommandContext} ctx The context of the help command, through
+	 *      which the messages are sent
+	 * @param {Array} messages An array of strings to be sent to the user
+	 *      sequentially
+	 * @param {Object} [replace] An object mapping placeholder text to the
+	 *      strings that the braces and placeholders should be replaced with
+	 */
+	function replyHelp(ctx, messages, replace) {
+		fillHelp(messages, replace).forEach(function(msg) {
+			ctx.replyPrivately(msg, 'low');
 		});
 	}
 
 	/**
-	 * Offers help for a specific command ID.
+	 * Sends a long help page privately to the user a page at a time.
+	 * Placeholders are replaced as in {@link #sendHelp}.
 	 *
-	 * @param {String} nick The nick to which the help notices should be sent
+	 * @param {CommandContext} ctx The context of the help command, through
+	 *      which the messages are sent
+	 * @param {Array} messages An array of strings to be sent to the user
+	 * @param {Object} [replace] An object mapping placeholder text to the
+	 *      strings that the braces and placeholders should be replaced with
+	 */
+	function sendPagedHelp(ctx, messages, replace) {
+		ctx.paginate(fillHelp(messages, replace), true);
+	}
+
+	/**
+	 * Replaces the placeholders in an array of help messages, as described
+	 * in {@link #sendHelp}.
+	 *
+	 * @param {Array} messages An array of strings containing placeholders
+	 * @param {Object} [replace] An object mapping placeholder text to the
+	 *      strings that the braces and placeholders should be replaced with
+	 * @returns {Array} The messages, with their placeholders replaced
+	 */
+	function fillHelp(messages, replace) {
+		replace = objUtil.merge({
+			"!": modMan.getMod('commandrunner').getFantasyChar()
+		}, replace);
+		return messages.map(function(msg) {
+			objUtil.forEach(replace, function(str, repl) {
+				msg = msg.replace('{' + str + '}', repl);
+			});
+			return msg;
+		});
+	}
+
+	/**
+	 * Gets the lines listing a command's subcommands on its help page.
+	 *
+	 * @param {Object} cmd The command object whose subcommands are listed
+	 * @returns {Array} The lines to be added to the help page
+	 */
+	function getSubcommandLines(cmd) {
+		var messages = [' ', 'SUBCOMMANDS:'];
+		Object.keys(cmd.subcommands).sort(strSort).forEach(function(key) {
+			var sub = cmd.subcommands[key],
+				perm = sub.minPermission != cmd.minPermission ?
+					' (' + describePerm(sub.minPermission) + ')' : '';
+			messages.push('  ' + padStr(sub.subId, 15) + ' ' + sub.desc + perm);
+		});
+		messages.push('Type /msg {nick} help {cmd} SUBCOMMAND for details.');
+		return messages;
+	}
+
+	/**
+	 * Offers help for a specific command ID, or one of its subcommands.  If
+	 * the ID is an alias, the help page of the command it names is sent.
+	 * Commands with an 'args' schema get a "Format:" line generated from
+	 * it, and commands with subcommands get a listing of them.  Names that
+	 * don't exist are answered with the closest existing ones.
+	 *
+	 * @param {CommandContext} ctx The context of the help command, through
+	 *      which the help page should be sent
 	 * @param {String} cmdId The ID of the command for which the help page
 	 *      should be sent
+	 * @param {String} [subId] The ID of the subcommand for which the help
+	 *      page should be sent
+	 * @param {String} [channel] The channel help was asked for in, whose
+	 *      command prefix should be shown in the examples
 	 */
-	function showCommand(nick, cmdId) {
+	function showCommand(ctx, cmdId, subId, channel) {
 		var pMod = modMan.getMod('users'),
+			aliasMod = modMan.getMod('alias'),
 			cmd = modMan.getCommand(cmdId),
-			fantasyChar = modMan.getMod('commandrunner').getFantasyChar();
-		if (cmd) {
-			var messages = [
-				'***** {nick} Help *****',
-				'COMMAND: {cmd}'
-			];
-			if (cmd.minPermission) {
-				messages.push('REQUIRED PERMISSION: [' + cmd.minPermission +
-					']' + pMod.getPermName(cmd.minPermission));
-			}
-			messages = messages.concat([
-				'Provided by {mod} v{version} ({modId})',
-				' '
-			]);
-			messages.push(cmd.desc);
-			messages = messages.concat(cmd.help);
-			messages.push('***** End of Help *****');
-			sendHelp(nick, messages, {
-				nick: client.nick,
-				"!": fantasyChar,
-				cmd: cmdId,
-				mod: cmd.mod.name,
-				modId: cmd.mod.id,
-				version: cmd.mod.version
+			alias = !cmd && aliasMod ? aliasMod.getAlias(cmdId) : null,
+			crMod = modMan.getMod('commandrunner'),
+			fantasyChar = crMod.getFantasyChar(channel),
+			page;
+		if (alias) {
+			cmdId = alias.command;
+			cmd = modMan.getCommand(cmdId);
+		}
+		if (!cmd) {
+			return ctx.error('Command ' + cmdId + ' does not exist.' +
+				didYouMean(crMod.getSuggestions(cmdId)));
+		}
+		page = cmd;
+		if (subId) {
+			page = null;
+			objUtil.forEach(cmd.subcommands || {}, function(key, sub) {
+				if (sub.subId == subId.toLowerCase())
+					page = sub;
 			});
+			if (!page) {
+				return ctx.error('Command ' + cmdId + ' has no subcommand ' +
+					subId + '.' + didYouMean(strUtil.findSimilar(subId,
+					Object.keys(cmd.subcommands || {}), MAX_SUGGESTIONS)));
+			}
+			cmdId += ' ' + page.subId;
+		}
+		var messages = [getHeader()];
+		if (alias) {
+			messages.push('ALIAS FOR: {cmd}' +
+				(alias.args ? ' ' + alias.args : ''));
 		}
-		else
-			client.notice(nick, 'Command ' + cmdId + ' does not exist.');
+		messages.push('COMMAND: {cmd}');
+		messages.push('QUALIFIED NAME: ' + cmd.qualifiedId +
+			(subId ? ' ' + page.subId : ''));
+		if (page.minPermission) {
+			messages.push('REQUIRED PERMISSION: ' +
+				describePerm(page.minPermission));
+		}
+		objUtil.forEach(pMod.acl.getChanPerms(cmd.id), function(chan, perm) {
+			messages.push('REQUIRED PERMISSION ON ' + chan + ': ' +
+				describePerm(perm));
+		});
+		messages = messages.concat([
+			'Provided by {mod} v{version} ({modId})',
+			' '
+		]);
+		messages.push(page.desc);
+		if (page.args)
+			messages.push(crMod.getFormat(page));
+		messages = messages.concat(page.help || []);
+		if (page.subcommands)
+			messages = messages.concat(getSubcommandLines(page));
+		messages.push('***** End of Help *****');
+		replyHelp(ctx, messages, {
+			nick: client.nick,
+			network: modMan.getNetworkId(),
+			"!": fantasyChar,
+			cmd: cmdId,
+			mod: cmd.mod.name,
+			modId: cmd.mod.id,
+			version: cmd.mod.version
+		});
 	}
 
 	/**
-	 * Sends the main help page in irc NOTICEs to a given nick.
+	 * Sends the main help page privately to the user, a page at a time.
 	 *
-	 * @param {String} nick The user to receive the help page
+	 * @param {CommandContext} ctx The context of the help command, through
+	 *      which the help page should be sent
 	 * @param {String} maxPerm The highest permission for which to send
 	 *      commands.  If this is set to the user's highest permission, they
 	 *      will only see commands they have the ability to execute on at
 	 *      least one channel
+	 * @param {String} [channel] The channel help was asked for in, whose
+	 *      command prefix should be shown
 	 */
-	function showMain(nick, maxPerm) {
-		var fantasyChar = modMan.getMod('commandrunner').getFantasyChar(),
-			modCmds = getModCommands(maxPerm),
-			modIds = Object.keys(modCmds).sort(strSort);
+	function showMain(ctx, maxPerm, channel) {
+		var fantasyChar =
+				modMan.getMod('commandrunner').getFantasyChar(channel),
+			modCmds = getModCommands(ctx.nick, maxPerm),
+			modIds = Object.keys(modCmds).sort(strSort),
+			aliases = getVisibleAliases(ctx.nick, maxPerm),
+			aliasNames = Object.keys(aliases).sort(strSort);
 		var messages = [
-			'***** {nick} Help *****',
+			getHeader(),
 			name + ' v' + version + ' written by ' + author,
 			'Get yourself a Toady: ' + url,
 			' ',
@@ -210,8 +415,17 @@ module.exports = function(config, client, modMan) {
 			});
 			messages.push(' ');
 		});
+		if (aliasNames.length) {
+			messages.push('Aliases:');
+			aliasNames.forEach(function(name) {
+				var alias = aliases[name];
+				messages.push('  ' + padStr(name, 15) + ' ' + alias.command +
+					(alias.args ? ' ' + alias.args : ''));
+			});
+			messages.push(' ');
+		}
 		messages.push('***** End of Help *****');
-		sendHelp(nick, messages, {
+		sendPagedHelp(ctx, messages, {
 			nick: client.nick,
 			"!": fantasyChar
 		});
@@ -221,35 +435,40 @@ module.exports = function(config, client, modMan) {
 	 * Shows the help page for a given mod, limiting the command listing to
 	 * only commands requiring permissions equal to or less than maxPerm.
 	 * If maxPerm is S or O, the config options for the mod will be also be
-	 * shown (if applicable).
+	 * shown (if applicable).  An ID that isn't loaded is answered with the
+	 * closest loaded mod IDs.
 	 *
-	 * @param {String} nick The user to whom the help page should be sent
+	 * @param {CommandContext} ctx The context of the viewmod command, through
+	 *      which the help page should be sent
 	 * @param {String} modId The ID of the mod for which to display help
 	 * @param {String} maxPerm The highest permission char for which to limit
 	 *      the resulting command set
 	 */
-	function showMod(nick, modId, maxPerm) {
+	function showMod(ctx, modId, maxPerm) {
 		var pMod = modMan.getMod('users'),
 			mod = modMan.getMod(modId);
 		if (mod) {
-			var permCmds = getCommandsByPerm(mod, maxPerm),
+			var permCmds = getCommandsByPerm(mod, ctx.nick, maxPerm),
+				groups = Object.keys(permCmds).filter(function(perm) {
+					return perm != '0' && pMod.getPermName(perm) === null;
+				}).sort(strSort),
+				permIds = pMod.getPerms().concat(groups, '0'),
 				messages = [
-				'***** {nick} Help *****',
+				getHeader(),
 				mod.name + ' v' + mod.version + ' (' + modId + ')',
 				'Author: ' + mod.author
 			];
 			if (mod.url)
 				messages.push('Website: ' + mod.url);
 			messages.push(mod.desc);
-			for (var i = 0; i < PERM_CHARS.length; i++) {
-				var cmds = permCmds[PERM_CHARS[i]];
+			for (var i = 0; i < permIds.length; i++) {
+				var cmds = permCmds[permIds[i]];
 				if (cmds) {
 					var permStr;
-					switch (PERM_CHARS[i]) {
+					switch (permIds[i]) {
 						case '': permStr = 'User'; break;
 						case '0': permStr = 'Global'; break;
-						default: permStr = '[' + PERM_CHARS[i] + ']' +
-							pMod.getPermName(PERM_CHARS[i]);
+						default: permStr = describePerm(permIds[i]);
 					}
 					messages.push(' ');
 					messages.push(permStr + ':');
@@ -279,23 +498,27 @@ module.exports = function(config, client, modMan) {
 				});
 			}
 			messages.push('***** End of Help *****');
-			sendHelp(nick, messages, {
+			replyHelp(ctx, messages, {
 				nick: client.nick
 			});
 		}
-		else
-			client.notice(nick, "Mod '" + modId + "' doesn't exist.");
+		else {
+			ctx.error("Mod '" + modId + "' doesn't exist." +
+				didYouMean(strUtil.findSimilar(modId, modMan.getLoadedModIds(),
+				MAX_SUGGESTIONS)));
+		}
 	}
 
 	/**
 	 * Displays a list of all mods, loaded and not.
 	 *
-	 * @param nick
+	 * @param {CommandContext} ctx The context of the listmods command,
+	 *      through which the list should be sent
 	 */
-	function showModList(nick) {
+	function showModList(ctx) {
 		var modIds = modMan.getLoadedModIds().sort(strSort),
 			messages = [
-				'***** ' + client.nick + ' Help *****',
+				getHeader(),
 				'For more information on any loaded mod, type:',
 				'/msg ' + client.nick + ' viewmod MODULE',
 				' ',
@@ -318,7 +541,7 @@ module.exports = function(config, client, modMan) {
 				messages.push(availIds.join(', '));
 			}
 			messages.push('***** End of Help *****');
-			sendHelp(nick, messages);
+			sendPagedHelp(ctx, messages, {});
 		});
 	}
 
@@ -328,42 +551,48 @@ module.exports = function(config, client, modMan) {
 		author: 'Tom Frost',
 		commands: {
 			help: {
-				handler: function(from, to, target, args) {
+				handler: function(from, to, target, args, inChan) {
+					var ctx = this,
+						channel = inChan ? to : null;
 					if (args[1])
-						showCommand(from, args[1]);
+						showCommand(ctx, args[1], args[2], channel);
 					else {
 						var pMod = modMan.getMod('users');
 						pMod.getHighestPermission(from, function(err, perm) {
-							showMain(from, perm);
+							showMain(ctx, perm, channel);
 						});
 					}
 				},
 				desc: "Shows the help page for a specific command, or lists \
 commands",
 				help: [
-					"Format: {cmd} [command]",
+					"Format: {cmd} [command] [subcommand]",
 					"Examples:",
 					"  /msg {nick} {cmd}",
-					"  {!}{cmd} say"
+					"  {!}{cmd} say",
+					"  {!}{cmd} ribbit install"
 				],
-				pattern: /^(\S+)?$/
+				pattern: /^(?:(\S+)(?:\s+(\S+))?)?$/,
+				rateLimit: HELP_RATE_LIMIT
 			},
 			listmods: {
 				handler: function(from, to, target, args) {
-					showModList(from);
+					showModList(this);
 				},
 				desc: "Displays a list of all loaded and unloaded mods",
 				help: [
 					"Format: {cmd}",
 					"Example:",
 					"  /msg {nick} {cmd}"
-				]
+				],
+				rateLimit: HELP_RATE_LIMIT
 			},
 			viewmod: {
 				handler: function(from, to, target, args) {
-					var pMod = modMan.getMod('users');
+					var ctx = this,
+						pMod = modMan.getMod('users');
 					pMod.getHighestPermission(from, function(err, perm) {
-						showMod(from, args[1], perm);
+						showMod(ctx, args[1], perm);
 					});
 				},
 				desc: "Shows the information associated with a given mod",
@@ -373,7 +602,8 @@ commands",
 					"  /msg {nick} {cmd} remote",
 					"  {!}{cmd} help"
 				],
-				pattern: /^(\S+)$/
+				pattern: /^(\S+)$/,
+				rateLimit: HELP_RATE_LIMIT
 			}
 		},
 		sendHelp: sendHelp
@@ -0,0 +1,591 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var Seq = require('seq'),
+	objUtil = require('../util/Object'),
+	strUtil = require('../util/String');
+
+const CHAN_PREFIXES = "#&";
+const PERMISSIONS_MOD = 'users';
+const GLOBAL_SCOPE = '*';
+const MAX_MASK_LENGTH = 128;
+const MAX_MASK_WILDCARDS = 8;
+const IGNORE_PATTERN =
+	/^(\S+)(?:\s+([#&]\S+|\*))?(?:\s+((?:\d+[wdhms])+))?(?:\s+(.+))?$/i;
+
+/**
+ * Expands a nick or partial hostmask into a full nick!user@host wildcard
+ * mask.  A string without '!' or '@' is taken as a nick, a string with only
+ * '@' is given a '*!' prefix, and a string with only '!' is given an '@*'
+ * suffix.
+ *
+ * @param {String} mask The nick or hostmask to be expanded
+ * @returns {String} The lowercase hostmask
+ */
+function normalizeMask(mask) {
+	var hasBang = mask.indexOf('!') != -1,
+		hasAt = mask.indexOf('@') != -1;
+	if (!hasBang && !hasAt)
+		mask += '!*@*';
+	else if (!hasBang)
+		mask = '*!' + mask;
+	else if (!hasAt)
+		mask += '@*';
+	return mask.replace(/\*+/g, '*').toLowerCase();
+}
+
+/**
+ * Checks that a hostmask is reasonable to test every message against.
+ *
+ * @param {String} mask The hostmask, as returned by {@link #normalizeMask}
+ * @returns {Error|null} An error suitable for the user if the mask is too
+ *      long or has too many '*' wildcards; otherwise null
+ */
+function checkMask(mask) {
+	if (mask.length > MAX_MASK_LENGTH) {
+		return new Error("Masks can't be longer than " + MAX_MASK_LENGTH +
+			" characters.");
+	}
+	if (mask.split('*').length - 1 > MAX_MASK_WILDCARDS) {
+		return new Error("Masks can't have more than " + MAX_MASK_WILDCARDS +
+			" '*' wildcards.");
+	}
+	return null;
+}
+
+/**
+ * Ignore makes Toady disregard abusive users entirely.  Messages, notices,
+ * and invites from an ignored user are dropped by the IRC client before
+ * they can trigger a command or reach any event handler a mod has attached
+ * to the client.
+ *
+ * Each ignore matches a wildcard hostmask, such as "*!*@bad.example.com",
+ * and applies either globally or only to the messages a user sends to a
+ * single channel.  Masks are limited to 128 characters and 8 '*' wildcards.
+ * Ignores can expire after a given amount of time, and can record a reason.
+ * Global ignores can be managed by SuperUsers, and channel ignores by the
+ * channel's ops.
+ *
+ * No one can ignore a user whose permission is equal to or higher than
+ * their own, as far as the hostmasks Toady has seen tell.  Nicks with an
+ * Owner account are never ignored, so that no ignore can lock an Owner out
+ * of the bot; this means anyone using an Owner's nick escapes ignores, too.
+ *
+ * Other mods can ignore users with {@link #addIgnore}, and check whether a
+ * user is ignored with {@link #isIgnored}.
+ *
+ * The following config options are available:
+ *      - ignores: An array of ignore objects, with the following properties.
+ *        Generally, this is managed through the IRC commands exposed by
+ *        this module.
+ *          - {String} mask: The lowercase nick!user@host wildcard mask
+ *          - {String} channel: The lowercase channel the ignore applies
+ *            to, or "*" for every channel and private messages
+ *          - {Number} expires: The timestamp at which the ignore expires,
+ *            or 0 if it never expires
+ *          - {String} reason: The reason for the ignore, if one was given
+ *          - {String} by: The nick that added the ignore
+ *          - {Number} created: The timestamp at which it was added
+ *
+ * @param {Object} config A Toady config object
+ * @param {Object} client An IRC client object
+ * @param {Object} modMan The Toady ModManager object
+ * @returns {Object} A Toady mod
+ */
+module.exports = function(config, client, modMan) {
+
+	/**
+	 * A mapping of lowercase nicks to the last nick!user@host they sent a
+	 * message from, used to keep users from ignoring themselves
+	 * @type {Object}
+	 */
+	var hosts = {};
+
+	/**
+	 * Finds the index of an ignore in the config.
+	 *
+	 * @param {String} mask The lowercase hostmask of the ignore
+	 * @param {String} scope The lowercase channel of the ignore, or "*" for
+	 *      a global ignore
+	 * @returns {Number} The index of the ignore, or -1 if it doesn't exist
+	 */
+	function findIgnore(mask, scope) {
+		for (var i = 0; i < config.ignores.length; i++) {
+			var ignore = config.ignores[i];
+			if (ignore.mask == mask && ignore.channel == scope)
+				return i;
+		}
+		return -1;
+	}
+
+	/**
+	 * Removes every expired ignore from the config.
+	 *
+	 * @returns {boolean} true if any ignore was removed; false otherwise
+	 */
+	function pruneExpired() {
+		var now = Date.now(),
+			count = config.ignores.length;
+		config.ignores = config.ignores.filter(function(ignore) {
+			return !ignore.expires || ignore.expires > now;
+		});
+		return config.ignores.length != count;
+	}
+
+	/**
+	 * Ignores every user matching a hostmask, replacing any existing ignore
+	 * for the same mask and scope.
+	 *
+	 * @param {String} mask The nick or hostmask to be ignored, as accepted
+	 *      by {@link #normalizeMask}
+	 * @param {Object} [opts] An object with any of the following properties:
+	 *      - {String} channel: The channel on which the user should be
+	 *        ignored.  Omit to ignore the user everywhere.
+	 *      - {Number} duration: The number of milliseconds after which the
+	 *        ignore expires.  Omit for an ignore that never expires.
+	 *      - {String} reason: The reason for the ignore
+	 *      - {String} by: The nick or mod responsible for the ignore
+	 * @param {Function} [cb] A callback function to be executed on
+	 *      completion.  Arguments provided are:
+	 *          - {Error} An error object, if the mask was refused by
+	 *            {@link #checkMask} or the ignore couldn't be saved
+	 *          - {Object} The new ignore object
+	 */
+	function addIgnore(mask, opts, cb) {
+		if (typeof opts == 'function') {
+			cb = opts;
+			opts = {};
+		}
+		opts = opts || {};
+		var maskErr = checkMask(normalizeMask(mask));
+		if (maskErr) {
+			if (cb)
+				cb(maskErr);
+			return;
+		}
+		var now = Date.now(),
+			ignore = {
+				mask: normalizeMask(mask),
+				channel: opts.channel ? opts.channel.toLowerCase() :
+					GLOBAL_SCOPE,
+				expires: opts.duration ? now + opts.duration : 0,
+				by: opts.by || 'Toady',
+				created: now
+			},
+			idx;
+		if (opts.reason)
+			ignore.reason = opts.reason;
+		pruneExpired();
+		idx = findIgnore(ignore.mask, ignore.channel);
+		if (idx == -1)
+			config.ignores.push(ignore);
+		else
+			config.ignores[idx] = ignore;
+		config.save(['ignores'], function(err) {
+			if (cb)
+				cb(err, ignore);
+		});
+	}
+
+	/**
+	 * Stops ignoring a hostmask.
+	 *
+	 * @param {String} mask The nick or hostmask that was ignored
+	 * @param {String|null} channel The channel of the ignore, or null for a
+	 *      global ignore
+	 * @param {Function} [cb] A callback function to be executed on
+	 *      completion.  Arguments provided are:
+	 *          - {Error} An error object, if the ignore couldn't be saved
+	 *          - {boolean} true if the ignore existed; false otherwise
+	 */
+	function removeIgnore(mask, channel, cb) {
+		var changed = pruneExpired(),
+			idx = findIgnore(normalizeMask(mask),
+				channel ? channel.toLowerCase() : GLOBAL_SCOPE);
+		if (idx != -1) {
+			config.ignores.splice(idx, 1);
+			changed = true;
+		}
+		if (!changed) {
+			if (cb)
+				cb(null, false);
+			return;
+		}
+		config.save(['ignores'], function(err) {
+			if (cb)
+				cb(err, idx != -1);
+		});
+	}
+
+	/**
+	 * Checks whether a user is ignored, either everywhere or on a given
+	 * channel.
+	 *
+	 * @param {String} hostmask The user's full nick!user@host
+	 * @param {String|null} channel The channel the user is speaking in, or
+	 *      null to check only global ignores
+	 * @returns {Object|null} The matching ignore object, or null if the user
+	 *      is not ignored
+	 */
+	function isIgnored(hostmask, channel) {
+		var now = Date.now(),
+			lowChan = channel && channel.toLowerCase(),
+			found = null;
+		config.ignores.some(function(ignore) {
+			if ((ignore.channel == GLOBAL_SCOPE ||
+					ignore.channel == lowChan) &&
+					(!ignore.expires || ignore.expires > now) &&
+					strUtil.wildcardMatch(ignore.mask, hostmask)) {
+				found = ignore;
+			}
+			return found;
+		});
+		return found;
+	}
+
+	/**
+	 * Decides whether a message from a user should be dropped by the IRC
+	 * client.  This function is a message filter, and should be passed to
+	 * the client's addMessageFilter.
+	 *
+	 * @param {Object} message A message object from the IRC library
+	 * @returns {boolean} true if the sender is ignored; false otherwise
+	 */
+	function messageFilter(message) {
+		var pMod = modMan.getMod(PERMISSIONS_MOD),
+			hostmask = message.nick + '!' + message.user + '@' +
+				message.host,
+			to = message.args[0] || '',
+			channel = CHAN_PREFIXES.indexOf(to[0]) != -1 ? to : null;
+		hosts[message.nick.toLowerCase()] = hostmask;
+		if (pMod && pMod.getAccountPerm(message.nick) == 'O')
+			return false;
+		return !!isIgnored(hostmask, channel);
+	}
+	client.addMessageFilter(messageFilter);
+
+	function quitHandler(nick) {
+		delete hosts[nick.toLowerCase()];
+	}
+	client.on('quit', quitHandler);
+	client.on('kill', quitHandler);
+
+	/**
+	 * Determines the scope of an ignore command: the channel named in its
+	 * arguments, "*" for every channel, or by default the channel it was
+	 * said in, or every channel if it was sent in a private message.
+	 *
+	 * @param {String|undefined} scopeArg The channel or "*" from the
+	 *      command's arguments, if given
+	 * @param {String} to The channel or nick the command was sent to
+	 * @param {boolean} inChan true if the command was said in a channel
+	 * @returns {String|null} The channel of the ignore, or null for a global
+	 *      ignore
+	 */
+	function getScope(scopeArg, to, inChan) {
+		if (scopeArg)
+			return scopeArg == GLOBAL_SCOPE ? null : scopeArg;
+		return inChan ? to : null;
+	}
+
+	/**
+	 * Calls back with an error if a user may not manage ignores of the
+	 * given scope.  Global ignores require SuperUser; channel ignores
+	 * require op on that channel.
+	 *
+	 * @param {String} nick The nick of the user managing the ignore
+	 * @param {String|null} channel The channel of the ignore, or null for a
+	 *      global ignore
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred or if the
+	 *            user may not manage the ignore
+	 */
+	function assertCanManage(nick, channel, cb) {
+		var pMod = modMan.getMod(PERMISSIONS_MOD),
+			perm = channel ? '@' : 'S';
+		if (!pMod)
+			return cb(new Error("Permissions module not found"));
+		pMod.hasPermission(perm, nick, channel, function(err, hasPerm) {
+			if (!err && !hasPerm) {
+				err = new Error("Sorry, you must be " +
+					pMod.getPermName(perm) + " or higher" +
+					(channel ? ' in ' + channel : '') +
+					" to manage " + (channel ? 'its' : 'global') +
+					" ignores.");
+			}
+			cb(err);
+		});
+	}
+
+	/**
+	 * Calls back with an error if a mask matches the last hostmask seen for
+	 * any other user whose permission is equal to or higher than the
+	 * managing user's.  Permissions are compared on the ignore's channel,
+	 * or across every channel for a global ignore.
+	 *
+	 * @param {String} nick The nick of the user managing the ignore
+	 * @param {String} mask The hostmask, as returned by
+	 *      {@link #normalizeMask}
+	 * @param {String|null} channel The channel of the ignore, or null for a
+	 *      global ignore
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred or if the
+	 *            mask matches a user who isn't outranked
+	 */
+	function assertOutranksMatches(nick, mask, channel, cb) {
+		var pMod = modMan.getMod(PERMISSIONS_MOD),
+			lowNick = nick.toLowerCase(),
+			matches = [];
+		objUtil.forEach(hosts, function(lowOther, hostmask) {
+			if (lowOther != lowNick && strUtil.wildcardMatch(mask, hostmask))
+				matches.push(hostmask.split('!')[0]);
+		});
+		function getPerm(target, done) {
+			if (channel)
+				pMod.getPermission(target, channel, done);
+			else
+				pMod.getHighestPermission(target, done);
+		}
+		getPerm(nick, function(err, ownPerm) {
+			if (err)
+				return cb(err);
+			Seq(matches)
+				.seqEach(function(other) {
+					var next = this;
+					getPerm(other, function(err, perm) {
+						if (!err && perm !== null &&
+								pMod.permEqualOrGreater(perm, ownPerm)) {
+							err = new Error("That mask would ignore " +
+								other + ", whose permission is equal to \
+or higher than yours.");
+						}
+						next(err);
+					});
+				})
+				.seq(function() {
+					cb();
+				})
+				.catch(function(err) {
+					cb(err);
+				});
+		});
+	}
+
+	/**
+	 * Describes an ignore for display on IRC.
+	 *
+	 * @param {Object} ignore The ignore object
+	 * @returns {String} A one-line description of the ignore
+	 */
+	function describeIgnore(ignore) {
+		var desc = ignore.mask + ' on ' + (ignore.channel == GLOBAL_SCOPE ?
+			'all channels' : ignore.channel) + ', by ' + ignore.by;
+		if (ignore.expires) {
+			desc += ', expires in ' +
+				strUtil.formatDuration(ignore.expires - Date.now());
+		}
+		if (ignore.reason)
+			desc += ': ' + ignore.reason;
+		return desc;
+	}
+
+	/**
+	 * Adds an ignore on behalf of a user on IRC.
+	 *
+	 * @param {CommandContext} ctx The context of the ignore command, through
+	 *      which responses are sent
+	 * @param {String} mask The nick or hostmask to be ignored
+	 * @param {String|null} channel The channel of the ignore, or null for a
+	 *      global ignore
+	 * @param {String} [durationStr] The duration of the ignore, as accepted
+	 *      by {@link String#parseDuration}
+	 * @param {String} [reason] The reason for the ignore
+	 */
+	function ignoreUser(ctx, mask, channel, durationStr, reason) {
+		var nick = ctx.nick,
+			duration = durationStr ? strUtil.parseDuration(durationStr) : null,
+			ownMask = hosts[nick.toLowerCase()],
+			fullMask = normalizeMask(mask),
+			maskErr = checkMask(fullMask);
+		Seq()
+			.seq(function checkArgs() {
+				if (durationStr && !duration) {
+					this(new Error("'" + durationStr + "' is not a valid \
+duration.  Try something like 30m, 2h, or 1d12h."));
+				}
+				else if (maskErr)
+					this(maskErr);
+				else if (ownMask && strUtil.wildcardMatch(fullMask, ownMask))
+					this(new Error("That mask would ignore you, too."));
+				else
+					this();
+			})
+			.seq(function callAssertCanManage() {
+				assertCanManage(nick, channel, this);
+			})
+			.seq(function callAssertOutranksMatches() {
+				assertOutranksMatches(nick, fullMask, channel, this);
+			})
+			.seq(function callAddIgnore() {
+				addIgnore(mask, {
+					channel: channel,
+					duration: duration,
+					reason: reason,
+					by: nick
+				}, this);
+			})
+			.seq(function complete(ignore) {
+				ctx.reply('Ignoring ' + describeIgnore(ignore));
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Removes an ignore on behalf of a user on IRC.
+	 *
+	 * @param {CommandContext} ctx The context of the unignore command,
+	 *      through which responses are sent
+	 * @param {String} mask The nick or hostmask that was ignored
+	 * @param {String|null} channel The channel of the ignore, or null for a
+	 *      global ignore
+	 */
+	function unignoreUser(ctx, mask, channel) {
+		var scopeDesc = channel ? channel : 'all channels';
+		Seq()
+			.seq(function callAssertCanManage() {
+				assertCanManage(ctx.nick, channel, this);
+			})
+			.seq(function callRemoveIgnore() {
+				removeIgnore(mask, channel, this);
+			})
+			.seq(function complete(removed) {
+				ctx.reply((removed ? 'No longer ignoring ' :
+					'Not ignoring ') + normalizeMask(mask) + ' on ' +
+					scopeDesc + '.');
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Lists the active ignores in reply to a user on IRC.
+	 *
+	 * @param {CommandContext} ctx The context of the ignores command, through
+	 *      which the list should be sent
+	 * @param {String|null} channel The channel whose ignores should be
+	 *      listed, or null for global ignores
+	 * @param {boolean} [all] true to list the ignores of every scope, which
+	 *      requires the same permission as global ignores
+	 */
+	function listIgnores(ctx, channel, all) {
+		var scope = channel ? channel.toLowerCase() : GLOBAL_SCOPE;
+		assertCanManage(ctx.nick, channel, function(err) {
+			if (err)
+				return ctx.error(err.message);
+			if (pruneExpired())
+				config.save(['ignores']);
+			var list = config.ignores.filter(function(ignore) {
+				return all || ignore.channel == scope;
+			});
+			if (!list.length)
+				return ctx.reply('No one is being ignored.');
+			ctx.reply('Active ignores:');
+			list.forEach(function(ignore) {
+				ctx.reply('  ' + describeIgnore(ignore));
+			});
+		});
+	}
+
+	return {
+		name: 'Ignore',
+		desc: "Makes Toady ignore abusive users",
+		author: 'Tom Frost',
+		commands: {
+			ignore: {
+				handler: function(from, to, target, args, inChan) {
+					ignoreUser(this, args[1], getScope(args[2], to, inChan),
+						args[3], args[4]);
+				},
+				desc: "Ignores every message from a user",
+				help: [
+					"Format: {cmd} <hostmask> [#channel|*] [duration] \
+[reason]",
+					"  hostmask: The nick or nick!user@host mask to be \
+ignored.  '*' matches anything, and '?' matches any one character.  Masks \
+can be up to 128 characters long, with up to 8 '*' wildcards.",
+					"  #channel: The channel on which the user should be \
+ignored, or * to ignore them everywhere.  If omitted, this defaults to the \
+channel the command is said in, or everywhere in a private message.",
+					"  duration: How long to ignore the user, such as 30m, \
+2h, or 1d12h.  If omitted, the ignore lasts until it's removed.",
+					"  reason: A note on why the user was ignored",
+					" ",
+					"Ignoring a user everywhere requires SuperUser, and \
+ignoring a user on a channel requires op on that channel.  You can't ignore \
+anyone whose permission is equal to or higher than yours.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} *!*@spam.example.com",
+					"  /msg {nick} {cmd} Troll #room 2h flooding",
+					"  {!}{cmd} Troll 1d"
+				],
+				pattern: IGNORE_PATTERN
+			},
+			unignore: {
+				handler: function(from, to, target, args, inChan) {
+					unignoreUser(this, args[1], getScope(args[2], to, inChan));
+				},
+				desc: "Stops ignoring a user",
+				help: [
+					"Format: {cmd} <hostmask> [#channel|*]",
+					"  hostmask: The nick or hostmask that was ignored",
+					"  #channel: The channel of the ignore, or * for an \
+ignore that applies everywhere.  Defaults as in the ignore command.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} *!*@spam.example.com",
+					"  {!}{cmd} Troll"
+				],
+				pattern: /^(\S+)(?:\s+([#&]\S+|\*))?$/
+			},
+			listignores: {
+				handler: function(from, to, target, args, inChan) {
+					listIgnores(this, getScope(args[1], to, inChan),
+						!args[1] && !inChan);
+				},
+				desc: "Lists the users being ignored",
+				help: [
+					"Format: {cmd} [#channel|*]",
+					"  #channel: The channel whose ignores should be listed, \
+or * for the ignores that apply everywhere.  If omitted, this defaults to the \
+channel the command is said in, or every ignore in a private message.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd}",
+					"  /msg {nick} {cmd} #room"
+				],
+				pattern: /^([#&]\S+|\*)?$/
+			}
+		},
+		addIgnore: addIgnore,
+		isIgnored: isIgnored,
+		removeIgnore: removeIgnore,
+		unload: function() {
+			client.removeMessageFilter(messageFilter);
+			client.removeListener('quit', quitHandler);
+			client.removeListener('kill', quitHandler);
+		}
+	};
+};
+
+module.exports.configDefaults = {
+	ignores: []
+};
@@ -26,11 +26,13 @@ module.exports = function(config, client, modMan) {
 	 *      accepts arguments appropriate for use as a command handler
 	 */
 	function modAction(funcName, actText) {
-		return function(from, to, target, args, inChan) {
-			var replyTo = inChan ? to : from;
+		return function(from, to, target, args) {
+			var ctx = this;
 			modMan[funcName](args[0], function(err) {
-				client.notice(replyTo, err ? err.message :
-					("Mod '" + args[0] + "' " + actText + "."));
+				if (err)
+					ctx.error(err.message);
+				else
+					ctx.reply("Mod '" + args[0] + "' " + actText + ".");
 			});
 		}
 	}
@@ -5,7 +5,8 @@
 
 /**
  * Remote allows basic IRC functions to be executed, such as speaking or
- * joining channels.
+ * joining channels, and lets Owners inspect the queue of messages waiting
+ * to be sent.
  *
  * @param {Object} config A Toady config object
  * @param {Object} client An IRC client object
@@ -13,6 +14,29 @@
  * @returns {Object} A Toady mod
  */
 module.exports = function(config, client, modMan) {
+
+	/**
+	 * Shows the number of lines waiting in the client's send queue, by
+	 * priority and by target.  The replies skip ahead of the queue they
+	 * describe.
+	 *
+	 * @param {CommandContext} ctx The context of the sendqueue command,
+	 *      through which the queue depth should be sent
+	 */
+	function showSendQueue(ctx) {
+		var depth = client.sendQueue.getDepth(),
+			targets = Object.keys(depth.targets).sort();
+		ctx.reply('Queued lines: ' + depth.total + ' (' +
+			Object.keys(depth.lanes).map(function(lane) {
+				return lane + ' ' + depth.lanes[lane];
+			}).join(', ') + ')', 'high');
+		if (targets.length) {
+			ctx.reply('Waiting: ' + targets.map(function(target) {
+				return target + ' (' + depth.targets[target] + ')';
+			}).join(', '), 'high');
+		}
+	}
+
 	return {
 		name: 'Remote Control',
 		desc: "Allows for remote execution of the IRC client's primary \
@@ -113,6 +137,30 @@ the channel, the bot will leave that channel."
 				],
 				minPermission: '@',
 				targetChannel: true
+			},
+			sendqueue: {
+				handler: function(from, to, target, args) {
+					if (args[1]) {
+						var count = client.sendQueue.cancel(args[1]);
+						this.reply('Cancelled ' + count + ' queued line' +
+							(count == 1 ? '' : 's') + ' for ' + args[1] + '.',
+							'high');
+					}
+					else
+						showSendQueue(this);
+				},
+				desc: "Shows or cancels the messages waiting to be sent",
+				help: [
+					"Format: {cmd} [cancel <target>]",
+					"  target: The nick or channel whose queued messages \
+should be dropped",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd}",
+					"  /msg {nick} {cmd} cancel #room"
+				],
+				minPermission: 'O',
+				pattern: /^(?:cancel\s+(\S+))?$/
 			}
 		}
 	};
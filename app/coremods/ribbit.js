@@ -23,50 +23,52 @@ module.exports = function(config, client, modMan) {
 	/**
 	 * Installs a Toady mod via Ribbit and automatically loads it.
 	 *
-	 * @param {String} replyTo The nickname or channel to which responses
-	 *      should be sent.
+	 * @param {CommandContext} ctx The context of the install command, through
+	 *      which responses are sent
 	 * @param {String} modId The ID of the mod to be downloaded and installed.
 	 */
-	function install(replyTo, modId) {
-		client.notice(replyTo, "Installing \"" + modId + "\"...");
+	function install(ctx, modId) {
+		ctx.reply("Installing \"" + modId + "\"...");
 		Seq()
 			.seq(function runInstall() {
 				ribbit.install(modId, this);
 			})
 			.seq(function loadMod() {
-				client.notice(replyTo, "Installed!  Loading mod...");
+				ctx.reply("Installed!  Loading mod...");
 				modMan.loadMod(modId, this);
 			})
 			.seq(function success() {
-				client.notice(replyTo, "Mod \"" + modId + "\" loaded.");
+				ctx.reply("Mod \"" + modId + "\" loaded.");
 			})
 			.catch(function(err) {
-				client.notice(replyTo, err.message);
+				ctx.error(err.message);
 			});
 	}
 
 	/**
-	 * Searches for Toady mods via Ribbit.
+	 * Searches for Toady mods via Ribbit.  The results are sent a page at a
+	 * time.
 	 *
-	 * @param {String} replyTo The nickname or channel to which responses
-	 *      should be sent.
+	 * @param {CommandContext} ctx The context of the search command, through
+	 *      which responses are sent
 	 * @param {String} [terms] Terms to search for.  Omit to list all mods.
 	 */
-	function search(replyTo, terms) {
+	function search(ctx, terms) {
 		if (!terms)
 			terms = '';
-		client.notice(replyTo, "Searching for \"" + terms + "\"...");
+		ctx.reply("Searching for \"" + terms + "\"...");
 		ribbit.search(terms, function(err, modIds, res) {
 			if (err)
-				client.notice(replyTo, err.message);
+				ctx.error(err.message);
 			else {
-				var maxId = strUtil.maxLen(modIds);
-				client.notice(replyTo, "** Results for \"" + terms + "\" **");
+				var maxId = strUtil.maxLen(modIds),
+					lines = ["** Results for \"" + terms + "\" **"];
 				modIds.forEach(function(modId) {
-					client.notice(replyTo, strUtil.fit(modId, maxId) + '  ' +
+					lines.push(strUtil.fit(modId, maxId) + '  ' +
 						res[ribbit.MOD_PREFIX + modId].description);
 				});
-				client.notice(replyTo, "** End of results **");
+				lines.push("** End of results **");
+				ctx.paginate(lines);
 			}
 		});
 	}
@@ -74,11 +76,11 @@ module.exports = function(config, client, modMan) {
 	/**
 	 * Unloads (if necessary) and uninstalls a Toady mod via Ribbit.
 	 *
-	 * @param {String} replyTo The nickname or channel to which responses
-	 *      should be sent.
+	 * @param {CommandContext} ctx The context of the uninstall command,
+	 *      through which responses are sent
 	 * @param {String} modId The ID of the mod to be uninstalled.
 	 */
-	function uninstall(replyTo, modId) {
+	function uninstall(ctx, modId) {
 		Seq()
 			.seq(function unload() {
 				if (modMan.isLoaded(modId))
@@ -88,15 +90,15 @@ module.exports = function(config, client, modMan) {
 			})
 			.seq(function uninstall(unloadSkipped) {
 				if (!unloadSkipped)
-					client.notice(replyTo, "Mod \"" + modId + "\" unloaded.");
-				client.notice(replyTo, "Uninstalling \"" + modId + "\"...");
+					ctx.reply("Mod \"" + modId + "\" unloaded.");
+				ctx.reply("Uninstalling \"" + modId + "\"...");
 				ribbit.uninstall(modId, this);
 			})
 			.seq(function success() {
-				client.notice(replyTo, "Mod \"" + modId + "\" uninstalled.");
+				ctx.reply("Mod \"" + modId + "\" uninstalled.");
 			})
 			.catch(function(err) {
-				client.notice(replyTo, err.message);
+				ctx.error(err.message);
 			})
 	}
 
@@ -106,14 +108,6 @@ module.exports = function(config, client, modMan) {
 		author: "Tom Frost",
 		commands: {
 			ribbit: {
-				handler: function(from, to, target, args, inChan) {
-					var replyTo = inChan ? to : from;
-					switch (args[1].toLowerCase()) {
-						case 'search': search(replyTo, args[2]); break;
-						case 'install': install(replyTo, args[2]); break;
-						case 'uninstall': uninstall(replyTo, args[2]); break;
-					}
-				},
 				desc: "Accesses the Ribbit mod management tool to install \
 third-party mods",
 				help: [
@@ -123,22 +117,48 @@ monitored, and the general public can",
 					"** post to it.  Beware of nefarious mods that may \
 destroy your machine or steal your secrets.",
 					" ",
-					"Format: {cmd} <command> [options]",
-					"Available commands:",
-					"  SEARCH [term]:     Searches published mods for the \
-given terms. Omit terms to list all available mods.",
-					"  INSTALL [modID]:   Installs and loads a new mod",
-					"  UNINSTALL [modID]: Unloads and uninstalls an existing \
-mod",
-					" ",
-					"Examples:",
-					"  /msg {nick} {cmd} search",
-					"  /msg {nick} {cmd} search typo",
-					"  /msg {nick} {cmd} install typofix",
-					"  /msg {nick} {cmd} uninstall typofix"
+					"Format: {cmd} <subcommand> [options]"
 				],
-				minPermission: 'S',
-				pattern: /^(search|install|uninstall)(?:\s+(.+))?$/i
+				minPermission: 'P',
+				subcommands: {
+					search: {
+						handler: function(from, to, target, args) {
+							search(this, args.terms);
+						},
+						desc: "Searches published mods for the given terms",
+						help: [
+							"Omit terms to list all available mods.",
+							"Examples:",
+							"  /msg {nick} {cmd}",
+							"  /msg {nick} {cmd} typo"
+						],
+						args: [{name: 'terms', type: 'text', optional: true}]
+					},
+					install: {
+						handler: function(from, to, target, args) {
+							install(this, args.modId);
+						},
+						desc: "Installs and loads a new mod",
+						help: [
+							"Example:",
+							"  /msg {nick} {cmd} typofix"
+						],
+						minPermission: 'S',
+						args: [{name: 'modId'}]
+					},
+					uninstall: {
+						handler: function(from, to, target, args) {
+							uninstall(this, args.modId);
+						},
+						desc: "Unloads and uninstalls an existing mod",
+						help: [
+							"Example:",
+							"  /msg {nick} {cmd} typofix"
+						],
+						minPermission: 'S',
+						args: [{name: 'modId'}]
+					}
+				}
 			}
 		}
 	}
@@ -0,0 +1,283 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var objUtil = require('../../util/Object');
+
+/**
+ * Acl holds the access control overrides for individual commands, stored in
+ * the 'acl' property of the Users config.  That property maps lowercase
+ * command IDs to objects with any of the following properties:
+ *      - {Object} channels: A mapping of lowercase channel names to the
+ *        permission char required to execute the command on that channel,
+ *        in place of the command's minPermission
+ *      - {Array} allow: The lowercase keys of user records that may execute
+ *        the command regardless of their permission, once authenticated
+ *      - {Array} deny: The lowercase nicks that may never execute the
+ *        command, unless they are authenticated as an Owner
+ *
+ * Groups can appear in the allow and deny lists as 'group:' followed by the
+ * group name, and the channel permissions can name a custom role or group.
+ *
+ * Acl only stores the overrides.  The Users mod is responsible for enforcing
+ * them and for saving the config after any change.
+ *
+ * @param {Object} config The Users mod config
+ * @constructor
+ */
+var Acl = function(config) {
+	/**
+	 * The Users mod config, whose 'acl' property is managed
+	 * @type {Object}
+	 * @private
+	 */
+	this._config = config;
+	if (!config.acl)
+		config.acl = {};
+};
+
+/**
+ * Gets the ACL entry for a command, optionally creating it.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {boolean} create true to create the entry if it doesn't exist
+ * @returns {Object|null} The command's ACL entry, or null if it has none
+ * @private
+ */
+Acl.prototype._getEntry = function(cmdId, create) {
+	var acl = this._config.acl,
+		lowId = cmdId.toLowerCase();
+	if (!acl[lowId] && create)
+		acl[lowId] = {};
+	return acl[lowId] || null;
+};
+
+/**
+ * Deletes any empty lists from a command's ACL entry, and the entry itself
+ * if nothing is left in it.
+ *
+ * @param {String} cmdId The ID of the command
+ * @private
+ */
+Acl.prototype._prune = function(cmdId) {
+	var entry = this._getEntry(cmdId);
+	if (!entry)
+		return;
+	if (entry.channels && !Object.keys(entry.channels).length)
+		delete entry.channels;
+	['allow', 'deny'].forEach(function(list) {
+		if (entry[list] && !entry[list].length)
+			delete entry[list];
+	});
+	if (!Object.keys(entry).length)
+		delete this._config.acl[cmdId.toLowerCase()];
+};
+
+/**
+ * Removes a user from one of a command's user lists.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {String} list Either 'allow' or 'deny'
+ * @param {String} user The user to be removed
+ * @returns {boolean} true if the user was in the list; false otherwise
+ * @private
+ */
+Acl.prototype._removeFromList = function(cmdId, list, user) {
+	var entry = this._getEntry(cmdId),
+		lowUser = user.toLowerCase(),
+		idx = entry && entry[list] ? entry[list].indexOf(lowUser) : -1;
+	if (idx == -1)
+		return false;
+	entry[list].splice(idx, 1);
+	this._prune(cmdId);
+	return true;
+};
+
+/**
+ * Allows a user account to execute a command regardless of its permission,
+ * removing any denial the nick had for it.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {String} user The key of the user record to be allowed
+ */
+Acl.prototype.allow = function(cmdId, user) {
+	var lowUser = user.toLowerCase(),
+		entry;
+	this._removeFromList(cmdId, 'deny', lowUser);
+	entry = this._getEntry(cmdId, true);
+	entry.allow = entry.allow || [];
+	if (entry.allow.indexOf(lowUser) == -1)
+		entry.allow.push(lowUser);
+};
+
+/**
+ * Removes every override for a command, or only a given user's allowance or
+ * denial.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {String} [user] The user whose allowance or denial should be
+ *      removed.  Omit to remove every override for the command.
+ * @returns {boolean} true if anything was removed; false otherwise
+ */
+Acl.prototype.clear = function(cmdId, user) {
+	if (user) {
+		var allowed = this._removeFromList(cmdId, 'allow', user),
+			denied = this._removeFromList(cmdId, 'deny', user);
+		return allowed || denied;
+	}
+	if (!this._getEntry(cmdId))
+		return false;
+	delete this._config.acl[cmdId.toLowerCase()];
+	return true;
+};
+
+/**
+ * Denies a nick the use of a command, removing any allowance it had for it.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {String} nick The nick to be denied
+ */
+Acl.prototype.deny = function(cmdId, nick) {
+	var lowNick = nick.toLowerCase(),
+		entry;
+	this._removeFromList(cmdId, 'allow', lowNick);
+	entry = this._getEntry(cmdId, true);
+	entry.deny = entry.deny || [];
+	if (entry.deny.indexOf(lowNick) == -1)
+		entry.deny.push(lowNick);
+};
+
+/**
+ * Gets the permission required to execute a command on a channel, if it
+ * has been overridden.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {String} channel The channel to be checked
+ * @returns {String|null} The permission char, or null if the command's
+ *      own minPermission applies
+ */
+Acl.prototype.getChanPerm = function(cmdId, channel) {
+	var entry = this._getEntry(cmdId),
+		channels = (entry && entry.channels) || {};
+	return channels[channel.toLowerCase()] || null;
+};
+
+/**
+ * Gets the permissions required to execute a command on every channel on
+ * which it has been overridden.
+ *
+ * @param {String} cmdId The ID of the command
+ * @returns {Object} A mapping of lowercase channel names to permission
+ *      chars
+ */
+Acl.prototype.getChanPerms = function(cmdId) {
+	var entry = this._getEntry(cmdId);
+	return objUtil.clone((entry && entry.channels) || {});
+};
+
+/**
+ * Gets the IDs of every command with an ACL entry.
+ *
+ * @returns {Array} The sorted command IDs
+ */
+Acl.prototype.getCommandIds = function() {
+	return Object.keys(this._config.acl).sort();
+};
+
+/**
+ * Gets a copy of a command's ACL entry.
+ *
+ * @param {String} cmdId The ID of the command
+ * @returns {Object|null} The entry, as described in {@link Acl}, or null if
+ *      the command has no overrides
+ */
+Acl.prototype.getEntry = function(cmdId) {
+	var entry = this._getEntry(cmdId);
+	return entry ? objUtil.clone(entry) : null;
+};
+
+/**
+ * Indicates whether any command allows a given user account, so that the
+ * account isn't deleted while it's still needed.
+ *
+ * @param {String} user The key of the user record
+ * @returns {boolean} true if the user is allowed any command
+ */
+Acl.prototype.hasAllowance = function(user) {
+	var lowUser = user.toLowerCase(),
+		found = false;
+	objUtil.forEach(this._config.acl, function(cmdId, entry) {
+		if (entry.allow && entry.allow.indexOf(lowUser) != -1)
+			found = true;
+	});
+	return found;
+};
+
+/**
+ * Indicates whether a user account has been allowed a command.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {String} user The key of the user record
+ * @returns {boolean} true if the user is allowed the command
+ */
+Acl.prototype.isAllowed = function(cmdId, user) {
+	var entry = this._getEntry(cmdId);
+	return !!(entry && entry.allow &&
+		entry.allow.indexOf(user.toLowerCase()) != -1);
+};
+
+/**
+ * Indicates whether a nick has been denied a command.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {String} nick The nick to be checked
+ * @returns {boolean} true if the nick is denied the command
+ */
+Acl.prototype.isDenied = function(cmdId, nick) {
+	var entry = this._getEntry(cmdId);
+	return !!(entry && entry.deny &&
+		entry.deny.indexOf(nick.toLowerCase()) != -1);
+};
+
+/**
+ * Removes a name from every command's ACL, wherever it appears: as a
+ * required channel permission, or in an allow or deny list.  This should
+ * be called when the group or user the name refers to is deleted.
+ *
+ * @param {String} name The name to be removed
+ */
+Acl.prototype.purge = function(name) {
+	var self = this,
+		lowName = name.toLowerCase();
+	objUtil.forEach(this._config.acl, function(cmdId, entry) {
+		objUtil.forEach(entry.channels || {}, function(chan, perm) {
+			if (perm == lowName)
+				delete entry.channels[chan];
+		});
+		self._removeFromList(cmdId, 'allow', lowName);
+		self._removeFromList(cmdId, 'deny', lowName);
+		self._prune(cmdId);
+	});
+};
+
+/**
+ * Overrides the permission required to execute a command on a channel.
+ *
+ * @param {String} cmdId The ID of the command
+ * @param {String} channel The channel on which the override applies
+ * @param {String|null} perm The permission char required, or null to
+ *      restore the command's own minPermission
+ */
+Acl.prototype.setChanPerm = function(cmdId, channel, perm) {
+	var entry = this._getEntry(cmdId, true);
+	entry.channels = entry.channels || {};
+	if (perm)
+		entry.channels[channel.toLowerCase()] = perm;
+	else
+		delete entry.channels[channel.toLowerCase()];
+	this._prune(cmdId);
+};
+
+module.exports = Acl;
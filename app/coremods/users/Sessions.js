@@ -0,0 +1,395 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var events = require('events'),
+	util = require('util'),
+	objUtil = require('../../util/Object');
+
+/**
+ * The number of milliseconds between sweeps for expired sessions and
+ * user@hosts that are no longer needed.  A user@host is kept for at least
+ * this long after the nick was last seen.
+ * @type {Number}
+ */
+const HOST_SWEEP_INTERVAL = 600000;
+
+/**
+ * Sessions remembers which users have been authenticated, so that their
+ * auth method doesn't need to be consulted for every command.  Each session
+ * is bound to the full nick!user@host that the user had when they were
+ * authenticated, and is destroyed as soon as that can no longer be trusted:
+ *      - The user quits, is killed, or leaves every channel the bot is in,
+ *        after which the bot can no longer see them quit
+ *      - The user's user@host changes, which also catches a different
+ *        client taking over the nick after a netsplit or services outage
+ *      - The server reports that the user logged into or out of a services
+ *        account
+ *      - The session is older than its TTL
+ *      - The bot disconnects from the server
+ *
+ * To do that, Sessions tracks the user@host of every nick it sees.  A
+ * nick's user@host is forgotten when it quits or leaves every channel the
+ * bot is in, or, for nicks seen only in private messages, once the nick
+ * has neither a session nor been seen for a while.
+ *
+ * A session object has the following properties:
+ *      - {String} nick: The nick the session belongs to
+ *      - {String} hostmask: The nick!user@host the user was authenticated
+ *        with.  The nick portion follows nick changes.
+ *      - {String} user: The lowercase key of the user's record in the Users
+ *        config
+ *      - {String} authMethod: The auth method that authenticated the user
+ *      - {Number} created: The timestamp of the authentication
+ *      - {Number} expires: The timestamp at which the session expires, or 0
+ *        if it never expires
+ *
+ * Sessions fires the following events:
+ *      - created - args: The new session object
+ *      - destroyed - args: The session object, a string describing the
+ *        reason it was destroyed
+ *
+ * @param {Object} client An IRC client object
+ * @param {Number} ttl The number of milliseconds after which sessions
+ *      expire, or 0 for sessions that last until invalidated
+ * @constructor
+ */
+var Sessions = function(client, ttl) {
+	events.EventEmitter.call(this);
+
+	/**
+	 * The IRC client whose users are being tracked
+	 * @type {Object}
+	 * @private
+	 */
+	this._client = client;
+
+	/**
+	 * The session lifetime, in milliseconds
+	 * @type {Number}
+	 * @private
+	 */
+	this._ttl = ttl;
+
+	/**
+	 * A mapping of lowercase nicks to their session objects
+	 * @type {Object}
+	 * @private
+	 */
+	this._sessions = {};
+
+	/**
+	 * A mapping of lowercase nicks to objects with the last user@host seen
+	 * for them in 'host', and the timestamp they were last 'seen'
+	 * @type {Object}
+	 * @private
+	 */
+	this._hosts = {};
+
+	/**
+	 * The listeners attached to the IRC client, by event name
+	 * @type {Object}
+	 * @private
+	 */
+	this._listeners = {
+		account: this._handleAccount.bind(this),
+		kick: this._handlePart.bind(this),
+		kill: this._handleQuit.bind(this),
+		nick: this._handleNick.bind(this),
+		part: this._handlePart.bind(this),
+		quit: this._handleQuit.bind(this),
+		raw: this._handleRaw.bind(this)
+	};
+	objUtil.forEach(this._listeners, function(event, listener) {
+		client.on(event, listener);
+	});
+
+	/**
+	 * The timer for {@link #_sweep}
+	 * @type {Object}
+	 * @private
+	 */
+	this._sweepTimer = setInterval(this._sweep.bind(this),
+		HOST_SWEEP_INTERVAL);
+};
+util.inherits(Sessions, events.EventEmitter);
+
+/**
+ * Destroys the session of a user who logged into or out of a services
+ * account.
+ *
+ * @param {String} nick The nick whose account changed
+ * @private
+ */
+Sessions.prototype._handleAccount = function(nick) {
+	this.destroy(nick, 'services account changed');
+};
+
+/**
+ * Moves a session and its host to a user's new nick.
+ *
+ * @param {String} oldNick The user's old nick
+ * @param {String} newNick The user's new nick
+ * @private
+ */
+Sessions.prototype._handleNick = function(oldNick, newNick) {
+	var lowOld = oldNick.toLowerCase(),
+		lowNew = newNick.toLowerCase(),
+		session = this._sessions[lowOld];
+	if (lowOld == lowNew) {
+		if (session)
+			session.nick = newNick;
+		return;
+	}
+	if (this._hosts[lowOld]) {
+		this._hosts[lowNew] = this._hosts[lowOld];
+		delete this._hosts[lowOld];
+	}
+	// Whoever held the new nick must have left unseen.
+	this.destroy(newNick, 'nick collision');
+	if (session) {
+		delete this._sessions[lowOld];
+		session.nick = newNick;
+		session.hostmask = newNick + session.hostmask.substr(
+			session.hostmask.indexOf('!'));
+		this._sessions[lowNew] = session;
+	}
+};
+
+/**
+ * Forgets a user who left or was kicked from a channel, if they're in no
+ * other channel the bot is in, since the bot can no longer see them quit.
+ * If the bot itself left, every user is checked.  The IRC library fires
+ * this before removing anyone from the channel, so the channel itself is
+ * skipped.
+ *
+ * @param {String} channel The channel that was left
+ * @param {String} nick The nick that left it
+ * @private
+ */
+Sessions.prototype._handlePart = function(channel, nick) {
+	var self = this,
+		lowNicks = [nick.toLowerCase()];
+	if (nick == this._client.nick)
+		lowNicks = Object.keys(this._hosts);
+	lowNicks.forEach(function(lowNick) {
+		if (!self._sharesChannel(lowNick, channel)) {
+			delete self._hosts[lowNick];
+			self.destroy(lowNick, 'left all channels');
+		}
+	});
+};
+
+/**
+ * Destroys the session of a user who quit or was killed.
+ *
+ * @param {String} nick The nick that left the server
+ * @private
+ */
+Sessions.prototype._handleQuit = function(nick) {
+	delete this._hosts[nick.toLowerCase()];
+	this.destroy(nick, 'quit');
+};
+
+/**
+ * Records the user@host of every nick the server relays a message from,
+ * destroying the session of any nick whose user@host has changed.  NICK and
+ * QUIT are skipped, as they name a nick that no longer exists.  All
+ * sessions are destroyed when the bot reconnects.
+ *
+ * @param {Object} message A message object from the IRC library
+ * @private
+ */
+Sessions.prototype._handleRaw = function(message) {
+	if (message.command == 'rpl_welcome') {
+		this.clear('reconnected');
+		this._hosts = {};
+	}
+	else if (message.command == 'CHGHOST' && message.nick)
+		this._setHost(message.nick, message.args[0] + '@' + message.args[1]);
+	else if (message.nick && message.user && message.host &&
+			message.command != 'NICK' && message.command != 'QUIT')
+		this._setHost(message.nick, message.user + '@' + message.host);
+};
+
+/**
+ * Records the current user@host of a nick.
+ *
+ * @param {String} nick The nick whose host is known
+ * @param {String} host The nick's user@host
+ * @private
+ */
+Sessions.prototype._setHost = function(nick, host) {
+	var lowNick = nick.toLowerCase();
+	if (this._hosts[lowNick] && this._hosts[lowNick].host != host)
+		this.destroy(nick, 'host changed');
+	this._hosts[lowNick] = {host: host, seen: Date.now()};
+};
+
+/**
+ * Checks whether a nick is in any channel the bot is in.
+ *
+ * @param {String} lowNick The lowercase nick to be checked
+ * @param {String} [except] A channel to be skipped, such as one being left
+ * @returns {boolean} true if the nick shares a channel with the bot; false
+ *      otherwise
+ * @private
+ */
+Sessions.prototype._sharesChannel = function(lowNick, except) {
+	var chans = this._client.chans || {},
+		lowExcept = except ? except.toLowerCase() : null;
+	return Object.keys(chans).some(function(chan) {
+		if (chan.toLowerCase() == lowExcept)
+			return false;
+		return Object.keys(chans[chan].users || {}).some(function(nick) {
+			return nick.toLowerCase() == lowNick;
+		});
+	});
+};
+
+/**
+ * Destroys expired sessions, and forgets the user@host of every nick that
+ * has no session, isn't in any channel the bot is in, and hasn't been seen
+ * since the last sweep.  Those are nicks seen only in private messages,
+ * whose quits the bot can't see.
+ *
+ * @private
+ */
+Sessions.prototype._sweep = function() {
+	var self = this,
+		cutoff = Date.now() - HOST_SWEEP_INTERVAL;
+	this.list();
+	objUtil.forEach(this._hosts, function(lowNick, entry) {
+		if (entry.seen <= cutoff && !self._sessions[lowNick] &&
+				!self._sharesChannel(lowNick))
+			delete self._hosts[lowNick];
+	});
+};
+
+/**
+ * Destroys every session.
+ *
+ * @param {String} reason The reason the sessions are being destroyed
+ */
+Sessions.prototype.clear = function(reason) {
+	var self = this;
+	Object.keys(this._sessions).forEach(function(lowNick) {
+		self.destroy(lowNick, reason);
+	});
+};
+
+/**
+ * Creates a session for a user who has just been authenticated, replacing
+ * any session the nick already had.  No session is created if the nick's
+ * user@host is unknown, in which case the user will simply be
+ * authenticated again on their next command.
+ *
+ * @param {String} nick The nick that was authenticated
+ * @param {String} user The lowercase key of the user's record
+ * @param {String} authMethod The auth method that authenticated the user
+ * @returns {Object|null} The new session, or null if none could be created
+ */
+Sessions.prototype.create = function(nick, user, authMethod) {
+	var lowNick = nick.toLowerCase(),
+		entry = this._hosts[lowNick],
+		now = Date.now();
+	if (!entry)
+		return null;
+	this.destroy(nick, 'replaced');
+	var session = {
+		nick: nick,
+		hostmask: nick + '!' + entry.host,
+		user: user,
+		authMethod: authMethod,
+		created: now,
+		expires: this._ttl ? now + this._ttl : 0
+	};
+	this._sessions[lowNick] = session;
+	this.emit('created', session);
+	return session;
+};
+
+/**
+ * Destroys a nick's session, if it has one.
+ *
+ * @param {String} nick The nick whose session should be destroyed
+ * @param {String} reason The reason the session is being destroyed
+ * @returns {boolean} true if a session was destroyed; false otherwise
+ */
+Sessions.prototype.destroy = function(nick, reason) {
+	var lowNick = nick.toLowerCase(),
+		session = this._sessions[lowNick];
+	if (!session)
+		return false;
+	delete this._sessions[lowNick];
+	this.emit('destroyed', session, reason);
+	return true;
+};
+
+/**
+ * Destroys every session belonging to a given user record, such as when
+ * the user's permissions or credentials change.
+ *
+ * @param {String} user The lowercase key of the user's record
+ * @param {String} reason The reason the sessions are being destroyed
+ */
+Sessions.prototype.destroyUser = function(user, reason) {
+	var self = this;
+	objUtil.forEach(this._sessions, function(lowNick, session) {
+		if (session.user == user)
+			self.destroy(lowNick, reason);
+	});
+};
+
+/**
+ * Gets a nick's session, if it has a valid one.  Expired sessions are
+ * destroyed rather than returned.  A session whose nick changes user@host
+ * is already gone by then, destroyed by {@link #_setHost} as soon as the
+ * change is seen.
+ *
+ * @param {String} nick The nick whose session should be retrieved
+ * @returns {Object|null} The session, or null if the nick has none
+ */
+Sessions.prototype.get = function(nick) {
+	var lowNick = nick.toLowerCase(),
+		session = this._sessions[lowNick];
+	if (!session)
+		return null;
+	if (session.expires && session.expires <= Date.now()) {
+		this.destroy(nick, 'expired');
+		return null;
+	}
+	return session;
+};
+
+/**
+ * Gets an array of all sessions, sorted by nick.  Expired sessions are
+ * destroyed rather than included.
+ *
+ * @returns {Array} The session objects
+ */
+Sessions.prototype.list = function() {
+	var self = this;
+	return Object.keys(this._sessions).sort().map(function(lowNick) {
+		return self.get(lowNick);
+	}).filter(function(session) {
+		return session;
+	});
+};
+
+/**
+ * Destroys all sessions and detaches from the IRC client.  This should be
+ * called when the Users mod is unloaded.
+ */
+Sessions.prototype.unload = function() {
+	var self = this;
+	this.clear('unloaded');
+	clearInterval(this._sweepTimer);
+	objUtil.forEach(this._listeners, function(event, listener) {
+		self._client.removeListener(event, listener);
+	});
+};
+
+module.exports = Sessions;
@@ -0,0 +1,211 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var objUtil = require('../../../util/Object');
+
+const CAPS = ['account-notify', 'account-tag', 'extended-join'];
+const WHOX_TOKEN = '152';
+const WHOX_NOT_LOGGED_IN = '0';
+
+/**
+ * The Account auth method trusts the services account name that the server
+ * reports for each user, rather than asking NickServ.  Accounts are learned
+ * from the IRCv3 account-notify, extended-join, and account-tag
+ * capabilities, and looked up with WHOX when a user's account isn't known
+ * yet.  A user is authorized if they're logged into the account named in
+ * their user record's 'account' property, or into the account matching
+ * their nick if that property isn't set.
+ *
+ * If the server doesn't enable account-notify, accounts can't be tracked
+ * reliably, so every check falls back to the NickServ auth method.  The
+ * same happens for users whose account is unknown on servers without WHOX.
+ *
+ * @param {Object} config The Users mod config
+ * @param {Object} client An IRC client object
+ * @param {Object} modMan The Toady ModManager object
+ * @returns {Object} An auth method
+ */
+module.exports = function(config, client, modMan) {
+
+	var nickServ = require('./NickServ')(config, client, modMan),
+		accounts = {},
+		pendingNicks = {},
+		whox = false;
+	client.caps.want(CAPS);
+
+	/**
+	 * Records the account a nick is logged into, and answers any pending
+	 * checks for that nick.
+	 *
+	 * @param {String} nick The nick whose account is known
+	 * @param {String|null} account The account name, or null if the nick is
+	 *      not logged in
+	 */
+	function setAccount(nick, account) {
+		var lowNick = nick.toLowerCase();
+		accounts[lowNick] = account;
+		if (pendingNicks[lowNick]) {
+			var callbacks = pendingNicks[lowNick];
+			delete pendingNicks[lowNick];
+			callbacks.forEach(function(cb) {
+				cb(account);
+			});
+		}
+	}
+
+	/**
+	 * Indicates whether the nick shares any channel with the bot, and will
+	 * therefore have its account changes reported by account-notify.
+	 *
+	 * @param {String} nick The nick to be checked
+	 * @returns {boolean} true if the nick is in a channel with the bot
+	 */
+	function isVisible(nick) {
+		var lowNick = nick.toLowerCase(),
+			visible = false;
+		objUtil.forEach(client.chans, function(chan, props) {
+			objUtil.forEach(props.users, function(user) {
+				if (user.toLowerCase() == lowNick)
+					visible = true;
+			});
+		});
+		return visible;
+	}
+
+	function accountHandler(nick, account) {
+		setAccount(nick, account);
+	}
+	client.on('account', accountHandler);
+
+	function joinHandler(channel, nick, message) {
+		if (nick == client.nick) {
+			if (whox)
+				client.send('WHO', channel, '%tna,' + WHOX_TOKEN);
+		}
+		else if (client.caps.isEnabled('extended-join') &&
+				message.args.length > 1) {
+			setAccount(nick, message.args[1] == '*' ? null : message.args[1]);
+		}
+	}
+	client.on('join', joinHandler);
+
+	function nickHandler(oldNick, newNick) {
+		var lowNick = oldNick.toLowerCase();
+		if (accounts.hasOwnProperty(lowNick)) {
+			accounts[newNick.toLowerCase()] = accounts[lowNick];
+			delete accounts[lowNick];
+		}
+	}
+	client.on('nick', nickHandler);
+
+	function partHandler(channel, nick) {
+		if (nick == client.nick) {
+			objUtil.forEach(accounts, function(lowNick) {
+				if (!isVisible(lowNick))
+					delete accounts[lowNick];
+			});
+		}
+		else if (!isVisible(nick))
+			delete accounts[nick.toLowerCase()];
+	}
+	client.on('part', partHandler);
+	client.on('kick', partHandler);
+
+	function quitHandler(nick) {
+		delete accounts[nick.toLowerCase()];
+	}
+	client.on('quit', quitHandler);
+
+	function rawHandler(message) {
+		switch (message.command) {
+			case 'rpl_welcome':
+				accounts = {};
+				whox = false;
+				break;
+			case 'rpl_isupport':
+				message.args.forEach(function(token) {
+					if (token == 'WHOX')
+						whox = true;
+				});
+				break;
+			case '354':
+				if (message.args[1] == WHOX_TOKEN) {
+					setAccount(message.args[2],
+						message.args[3] == WHOX_NOT_LOGGED_IN ? null :
+							message.args[3]);
+				}
+				break;
+			case 'rpl_endofwho':
+				// A WHO for a nick that isn't online ends without a reply.
+				var lowNick = message.args[1].toLowerCase();
+				if (pendingNicks[lowNick])
+					setAccount(lowNick, null);
+				break;
+			case 'PRIVMSG':
+			case 'NOTICE':
+				if (message.nick && client.caps.isEnabled('account-tag'))
+					setAccount(message.nick, message.tags.account || null);
+				break;
+		}
+	}
+	client.on('raw', rawHandler);
+
+	/**
+	 * Gets the account a nick is logged into, looking it up with WHOX if
+	 * it isn't already known.
+	 *
+	 * @param {String} nick The nick to be looked up
+	 * @param {Function} cb A callback function to be executed with the
+	 *      account name, null if the nick is not logged in, or undefined if
+	 *      the account cannot be determined
+	 */
+	function getAccount(nick, cb) {
+		var lowNick = nick.toLowerCase();
+		// Without a shared channel, account-notify won't report changes, so
+		// only account-tag can keep the account current.
+		if (accounts.hasOwnProperty(lowNick) && (isVisible(nick) ||
+				client.caps.isEnabled('account-tag'))) {
+			cb(accounts[lowNick]);
+		}
+		else if (whox) {
+			if (!pendingNicks[lowNick]) {
+				pendingNicks[lowNick] = [];
+				client.send('WHO', nick, '%tna,' + WHOX_TOKEN);
+			}
+			pendingNicks[lowNick].push(cb);
+		}
+		else
+			cb(undefined);
+	}
+
+	function isAuthorized(nick, opts, cb) {
+		if (!client.caps.isEnabled('account-notify'))
+			return nickServ.isAuthorized(nick, opts, cb);
+		getAccount(nick, function(account) {
+			if (account === undefined)
+				nickServ.isAuthorized(nick, opts, cb);
+			else {
+				var expected = (opts && opts.account) || nick;
+				cb(null, !!account &&
+					account.toLowerCase() == expected.toLowerCase());
+			}
+		});
+	}
+
+	return {
+		isAuthorized: isAuthorized,
+		unload: function() {
+			nickServ.unload();
+			client.removeListener('account', accountHandler);
+			client.removeListener('join', joinHandler);
+			client.removeListener('nick', nickHandler);
+			client.removeListener('part', partHandler);
+			client.removeListener('kick', partHandler);
+			client.removeListener('quit', quitHandler);
+			client.removeListener('raw', rawHandler);
+		}
+	};
+};
@@ -0,0 +1,100 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var strUtil = require('../../../util/String');
+
+/**
+ * The Hostmask auth method recognizes users by their full nick!user@host,
+ * which is matched against the wildcard masks in the 'masks' array of their
+ * user record.  This needs no services at all, making it the only option on
+ * networks without NickServ.  Users with no masks are never authorized.
+ *
+ * Hostmasks are learned from every message the server relays, and updated
+ * with the IRCv3 chghost capability when the server supports it.  If a
+ * user's hostmask isn't known yet, it's looked up with WHOIS.
+ *
+ * @param {Object} config The Users mod config
+ * @param {Object} client An IRC client object
+ * @returns {Object} An auth method
+ */
+module.exports = function(config, client) {
+
+	var hosts = {};
+	client.caps.want('chghost');
+
+	function rawHandler(message) {
+		if (message.command == 'rpl_welcome')
+			hosts = {};
+		else if (message.command == 'CHGHOST' && message.nick) {
+			hosts[message.nick.toLowerCase()] = message.args[0] + '@' +
+				message.args[1];
+		}
+		else if (message.nick && message.user && message.host) {
+			hosts[message.nick.toLowerCase()] = message.user + '@' +
+				message.host;
+		}
+	}
+	client.on('raw', rawHandler);
+
+	function nickHandler(oldNick, newNick) {
+		var lowNick = oldNick.toLowerCase();
+		if (hosts[lowNick]) {
+			hosts[newNick.toLowerCase()] = hosts[lowNick];
+			delete hosts[lowNick];
+		}
+	}
+	client.on('nick', nickHandler);
+
+	function quitHandler(nick) {
+		delete hosts[nick.toLowerCase()];
+	}
+	client.on('quit', quitHandler);
+
+	/**
+	 * Gets the user@host of a nick, looking it up with WHOIS if it isn't
+	 * already known.
+	 *
+	 * @param {String} nick The nick to be looked up
+	 * @param {Function} cb A callback function to be executed with the
+	 *      user@host string, or null if the nick is not online
+	 */
+	function getHost(nick, cb) {
+		var lowNick = nick.toLowerCase();
+		if (hosts[lowNick])
+			cb(hosts[lowNick]);
+		else {
+			client.whois(nick, function(info) {
+				if (info.user && info.host) {
+					hosts[lowNick] = info.user + '@' + info.host;
+					cb(hosts[lowNick]);
+				}
+				else
+					cb(null);
+			});
+		}
+	}
+
+	function isAuthorized(nick, opts, cb) {
+		var masks = (opts && opts.masks) || [];
+		if (!masks.length)
+			return cb(null, false);
+		getHost(nick, function(host) {
+			var hostmask = nick + '!' + host;
+			cb(null, !!host && masks.some(function(mask) {
+				return strUtil.wildcardMatch(mask, hostmask);
+			}));
+		});
+	}
+
+	return {
+		isAuthorized: isAuthorized,
+		unload: function() {
+			client.removeListener('raw', rawHandler);
+			client.removeListener('nick', nickHandler);
+			client.removeListener('quit', quitHandler);
+		}
+	};
+};
@@ -33,8 +33,12 @@ module.exports = function(config, client) {
 		if (!locked && text.match(SWITCH_REGEX)) {
 			type = 'STATUS';
 			locked = true;
-			objUtil.forEach(pendingNicks, function(nick, cb) {
-				isAuthorized(nick, null, cb);
+			var pending = pendingNicks;
+			pendingNicks = {};
+			objUtil.forEach(pending, function(nick, callbacks) {
+				callbacks.forEach(function(cb) {
+					isAuthorized(nick, null, cb);
+				});
 			});
 		}
 		else if (from && from.toLowerCase() == NICKSERV.toLowerCase()) {
@@ -42,9 +46,12 @@ module.exports = function(config, client) {
 			if (res) {
 				res[1] = res[1].toLowerCase();
 				if (pendingNicks[res[1]]) {
+					var callbacks = pendingNicks[res[1]];
 					locked = true;
-					pendingNicks[res[1]](null, res[2] == TYPES[type].success);
 					delete pendingNicks[res[1]];
+					callbacks.forEach(function(cb) {
+						cb(null, res[2] == TYPES[type].success);
+					});
 				}
 			}
 		}
@@ -53,9 +60,13 @@ module.exports = function(config, client) {
 
 	function isAuthorized(nick, opts, cb) {
 		nick = nick.toLowerCase();
-		pendingNicks[nick] = cb;
-		var cmd = TYPES[type].cmd.replace('{nick}', nick);
-		client.say(NICKSERV, cmd);
+		// Concurrent checks for the same nick share a single query
+		if (pendingNicks[nick])
+			pendingNicks[nick].push(cb);
+		else {
+			pendingNicks[nick] = [cb];
+			client.say(NICKSERV, TYPES[type].cmd.replace('{nick}', nick));
+		}
 	}
 
 	return {
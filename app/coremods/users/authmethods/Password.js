@@ -0,0 +1,126 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var crypto = require('crypto');
+
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+const SCRYPT_COST = 16384;
+const PBKDF2_ITERATIONS = 100000;
+const PBKDF2_DIGEST = 'sha512';
+
+/**
+ * The Password auth method lets users prove their identity to Toady
+ * directly, by messaging it the 'login' command with their password.  A
+ * successful login is cached by the Users mod until the user logs out,
+ * quits, or leaves every channel the bot is in, so this method's
+ * isAuthorized never succeeds on its own.
+ *
+ * Passwords are stored salted and hashed with scrypt, or PBKDF2 on versions
+ * of Node.js without scrypt, in the 'password' property of the user's
+ * record.  The stored string names its algorithm and parameters, in the
+ * format "scrypt$cost$salt$hash" or "pbkdf2$digest$iterations$salt$hash",
+ * so hashes remain valid if the defaults change.
+ *
+ * @returns {Object} An auth method
+ */
+module.exports = function() {
+
+	/**
+	 * Derives a key from a password with the algorithm and parameters of a
+	 * stored hash.
+	 *
+	 * @param {Array} parts The '$'-separated parts of the stored hash
+	 * @param {String} password The password to be hashed
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred
+	 *          - {Buffer} The derived key
+	 */
+	function deriveKey(parts, password, cb) {
+		var salt, hash;
+		if (parts[0] == 'scrypt' && parts.length == 4) {
+			salt = Buffer.from(parts[2], 'base64');
+			hash = Buffer.from(parts[3], 'base64');
+			crypto.scrypt(password, salt, hash.length,
+				{N: parseInt(parts[1], 10)}, cb);
+		}
+		else if (parts[0] == 'pbkdf2' && parts.length == 5) {
+			salt = Buffer.from(parts[3], 'base64');
+			hash = Buffer.from(parts[4], 'base64');
+			crypto.pbkdf2(password, salt, parseInt(parts[2], 10), hash.length,
+				parts[1], cb);
+		}
+		else
+			cb(new Error('Unrecognized password hash format'));
+	}
+
+	/**
+	 * Checks a password against a stored hash.
+	 *
+	 * @param {String} stored The hash string stored in the user's record
+	 * @param {String} password The password to be checked
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred
+	 *          - {boolean} true if the password matches; false otherwise
+	 */
+	function checkPassword(stored, password, cb) {
+		var parts = (stored || '').split('$');
+		deriveKey(parts, password, function(err, key) {
+			if (err)
+				return cb(err);
+			var expected = Buffer.from(parts[parts.length - 1], 'base64');
+			cb(null, key.length == expected.length &&
+				crypto.timingSafeEqual(key, expected));
+		});
+	}
+
+	/**
+	 * Salts and hashes a new password for storage.
+	 *
+	 * @param {String} password The password to be hashed
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred
+	 *          - {String} The hash string to be stored in the user's record
+	 */
+	function hashPassword(password, cb) {
+		crypto.randomBytes(SALT_BYTES, function(err, salt) {
+			if (err)
+				return cb(err);
+			var prefix;
+			function done(err, key) {
+				if (err)
+					cb(err);
+				else {
+					cb(null, [prefix, salt.toString('base64'),
+						key.toString('base64')].join('$'));
+				}
+			}
+			if (crypto.scrypt) {
+				prefix = 'scrypt$' + SCRYPT_COST;
+				crypto.scrypt(password, salt, KEY_BYTES, {N: SCRYPT_COST},
+					done);
+			}
+			else {
+				prefix = 'pbkdf2$' + PBKDF2_DIGEST + '$' + PBKDF2_ITERATIONS;
+				crypto.pbkdf2(password, salt, PBKDF2_ITERATIONS, KEY_BYTES,
+					PBKDF2_DIGEST, done);
+			}
+		});
+	}
+
+	function isAuthorized(nick, opts, cb) {
+		cb(null, false);
+	}
+
+	return {
+		checkPassword: checkPassword,
+		hashPassword: hashPassword,
+		isAuthorized: isAuthorized
+	};
+};
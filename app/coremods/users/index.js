@@ -5,7 +5,9 @@
 
 // Dependencies
 var Seq = require('seq'),
-	objUtil = require('../../util/Object');
+	objUtil = require('../../util/Object'),
+	Sessions = require('./Sessions'),
+	Acl = require('./Acl');
 
 const PERMS = {
 	'O': {
@@ -46,34 +48,101 @@ const PERMS = {
 	}
 };
 const AUTH_METHODS = [
-	'NickServ'
+	'NickServ',
+	'Account',
+	'Hostmask',
+	'Password'
 ];
+const LOGIN_RETRY_DELAY = 5000;
+const PASSWORD_IN_CHANNEL = "For your security, only send passwords to me \
+in a private message.  If that was a real password, change it now.";
+
+const PREFERENCES = {
+	replymethod: ['notice', 'message'],
+	replyin: ['channel', 'private']
+};
+
+const USERS_PER_LINE = 10;
+
+const ROLE_NAME = /^[a-z][a-z0-9_-]+$/;
+const GROUP_PREFIX = 'group:';
+
+/**
+ * Builds the table of permissions recognized on a network, by inserting the
+ * custom roles from the config among the built-in permissions.  Roles with
+ * an invalid name or level are skipped with a warning.
+ *
+ * @param {Object} roles The 'roles' config option: a mapping of lowercase
+ *      role names to objects with a numeric 'level' property, and
+ *      optionally a human-readable 'name'
+ * @returns {Object} A mapping of permission chars and role names to objects
+ *      with 'name' and 'level' properties
+ */
+function buildPerms(roles) {
+	var perms = objUtil.clone(PERMS);
+	objUtil.forEach(roles || {}, function(role, def) {
+		var level = def && def.level;
+		if (!ROLE_NAME.test(role)) {
+			console.log("Skipping role '" + role + "': Role names must be \
+lowercase and at least two characters long.");
+		}
+		else if (typeof level != 'number' || level <= PERMS[''].level ||
+				level >= PERMS.O.level) {
+			console.log("Skipping role '" + role + "': Levels must be \
+between " + PERMS[''].level + " and " + PERMS.O.level + ".");
+		}
+		else
+			perms[role] = {name: def.name || role, level: level};
+	});
+	return perms;
+}
 
 /**
- * Gets the human-readable name associated with a permission char.
+ * Splits the optional arguments of the adduser and updateuser commands into
+ * an auth method and lists of hostmasks to be added and removed.  Any
+ * argument containing '@' is a hostmask, which is removed if prefixed with
+ * '-' and added otherwise (an optional '+' prefix is allowed).  Hostmasks
+ * without a nick portion are given a '*!' prefix.
  *
- * @param {String} permChar The permission char to be named
- * @returns {String|null} The name of the permission, or null if no such
- *      permission char exists
+ * @param {String} argStr The space-separated arguments following the perm
+ * @returns {Object} An object with the following properties:
+ *      - {String|null} authMethod: The auth method specified, if any
+ *      - {Array} addMasks: Hostmasks to be added
+ *      - {Array} delMasks: Hostmasks to be removed
  */
-function getPermName(permChar) {
-	if (PERMS[permChar])
-		return PERMS[permChar].name;
-	return null;
+function parseUserArgs(argStr) {
+	var parsed = {
+		authMethod: null,
+		addMasks: [],
+		delMasks: []
+	};
+	(argStr || '').split(/\s+/).forEach(function(arg) {
+		if (!arg)
+			return;
+		if (arg.indexOf('@') == -1)
+			parsed.authMethod = arg;
+		else {
+			var list = arg[0] == '-' ? parsed.delMasks : parsed.addMasks;
+			arg = arg.replace(/^[+-]/, '');
+			if (arg.indexOf('!') == -1)
+				arg = '*!' + arg;
+			list.push(arg);
+		}
+	});
+	return parsed;
 }
 
 /**
- * Tests to see if a given permission char ranks equal to or greater than
- * another permission char.
+ * Indicates whether the arguments parsed by {@link #parseUserArgs} change
+ * any auth settings.
  *
- * @param {String} checkPerm The permission char to be tested
- * @param {String} againstPerm The permission char against which checkPerm
- *      should be compared
- * @returns {boolean} true if the checkPerm ranks equal to or greater than
- *      againstPerm; false otherwise
+ * @param {Object} args The arguments parsed by {@link #parseUserArgs}
+ * @returns {boolean} true if an auth method or hostmask was given; false
+ *      otherwise
  */
-function permEqualOrGreater(checkPerm, againstPerm) {
-	return (PERMS[checkPerm] || {level: -1}).level >= PERMS[againstPerm].level;
+function hasAuthArgs(args) {
+	return !!(args.authMethod || args.addMasks.length ||
+		args.delMasks.length);
 }
 
 /**
@@ -103,24 +172,91 @@ function permEqualOrGreater(checkPerm, againstPerm) {
  * added, given that they are at the appropriate level at which to execute
  * them.
  *
+ * Custom roles can be inserted anywhere in this ladder with the 'roles'
+ * config option, and assigned to user accounts like O, S, and P.  Users
+ * can also be collected into named groups, which stand outside the ladder:
+ * a command whose minPermission names a group can only be executed by that
+ * group's members and by Owners.  Groups can also be allowed or denied
+ * commands in the command ACL.
+ *
  * User accounts added to this mod must be authenticated with a configured
- * auth method.  At the moment, there is only one auth method:
+ * auth method.  The available auth methods are:
  *      - NickServ: The user's nick must be registered with NickServ,
  *        the user must be logged in, and NickServ must be online.  Toady will
  *        msg NickServ the Atheme ACC command to determine auth status.  If
  *        ACC is not found, it will switch to Anope's STATUS and try again.
+ *      - Account: The user must be logged into the services account named
+ *        by their 'account' property, or matching their nick if it's not
+ *        set.  The account is learned from the server through the IRCv3
+ *        account-notify, extended-join, and account-tag capabilities and
+ *        WHOX, which is faster and more reliable than asking NickServ.  On
+ *        servers without account-notify, this falls back to NickServ.
+ *      - Hostmask: The user's nick!user@host must match one of the wildcard
+ *        masks in their 'masks' property, such as "*!bob@*.example.com".
+ *        This requires no services, so it works on any network.
+ *      - Password: The user must log in by messaging the bot the 'login'
+ *        command with their password, which is stored salted and hashed in
+ *        their 'password' property.  The login lasts until the user logs
+ *        out, quits, or leaves every channel the bot is in.  Passwords are
+ *        set with the 'passwd' command.
  *
  * The auth method for users can be set globally as the default in the
  * config, or set on a per-user basis.
  *
+ * Once authenticated, a user has a session, tied to their nick!user@host,
+ * that spares their auth method from being consulted again until it
+ * expires or is invalidated.  See {@link Sessions} for the rules.  Other
+ * mods can reach the Sessions object through this mod's 'sessions'
+ * property to list sessions or to listen for its 'created' and 'destroyed'
+ * events.
+ *
+ * Like every mod, Users is loaded once for each network Toady connects to,
+ * and keeps a separate user list for each one: a nick registered to the
+ * Owner on one network may belong to a stranger on another.  Users defined
+ * in the config file apply to every network unless a network overrides them
+ * in its own section under 'networks', while users added or changed through
+ * IRC are saved only for the network on which the command was issued.
+ *
+ * Any command's permission can be overridden at runtime through the
+ * command ACL, which can require a different permission on a given channel,
+ * or allow or deny the command to individual users.  See {@link Acl} for
+ * its format.  The command runner checks commands against it with
+ * {@link #canExecute}, and help uses {@link #isCommandVisible} to decide
+ * which commands to list.
+ *
  * The following config options are available:
+ *      - acl: The command ACL, as described in {@link Acl}.  Generally,
+ *        this is managed through the IRC commands exposed by this module.
  *      - defaultAuthMethod: An auth methods outlined above; case sensitive.
+ *      - groups: A mapping of lowercase group names to arrays of the
+ *        lowercase nicks of their members.  Generally, this is managed
+ *        through the IRC commands exposed by this module.
  *      - owner: The nickname of the bot owner.  This account will be
  *        automatically created on launch if it does not exist.
+ *      - roles: A mapping of lowercase role names to objects with a 'level'
+ *        property and optionally a human-readable 'name'.  Levels position
+ *        the role among the built-in permissions, which range from 0 for a
+ *        user in a channel, through 1 for voice up to 5 for founder, to 6,
+ *        7, and 8 for P, S, and O.  For example, a role at level 6.5 ranks
+ *        between PowerUser and SuperUser.  Levels must be above 0 and below
+ *        8.
+ *      - sessionTTL: The number of seconds an authenticated user's session
+ *        lasts before they must be authenticated again; 0 for sessions
+ *        that last until they are otherwise invalidated.
  *      - users: A mapping of lowercase nicknames to objects with a 'perm'
  *        property and optionally an 'authMethod' property.  Perm should be
- *        one of O, S, or P, and authMethod should be one of the above
- *        auth methods (only if it should differ from the default).  Generally,
+ *        one of O, S, or P, or a custom role, and authMethod should be one
+ *        of the above auth methods (only if it should differ from the
+ *        default).  Users can also have a 'channels' property mapping
+ *        lowercase channel names to a channel permission char (~, &, @, %,
+ *        or +), which they are granted on that channel once authenticated,
+ *        even without the matching channel mode.  Users with channel
+ *        permissions, group memberships, or command allowances don't need
+ *        a global 'perm'.  Users authenticated by Account may also have an
+ *        'account' property, if their services account name differs from
+ *        their nick, and users authenticated by Hostmask need a 'masks'
+ *        array.  Users may also have a 'prefs' property holding their reply
+ *        preferences, as returned by {@link #getPreferences}.  Generally,
  *        this is not defined in the config file and is instead managed
  *        through the IRC commands exposed by this module.
  *
@@ -132,7 +268,13 @@ function permEqualOrGreater(checkPerm, againstPerm) {
 module.exports = function(config, client, modMan) {
 
 	// Bootstrap users
-	var userCache = {};
+	var perms = buildPerms(config.roles),
+		roleNames = Object.keys(perms).filter(function(perm) {
+			return !PERMS.hasOwnProperty(perm);
+		}),
+		sessions = new Sessions(client, config.sessionTTL * 1000),
+		acl = new Acl(config),
+		loginFailures = {};
 	if (config.owner && !config.users[config.owner.toLowerCase()])
 		config.users[config.owner.toLowerCase()] = {perm: 'O'};
 
@@ -143,21 +285,257 @@ module.exports = function(config, client, modMan) {
 		authMods[authMethod] = modFunc(config, client, modMan);
 	});
 
+	/**
+	 * Gets the human-readable name associated with a permission char or
+	 * custom role.
+	 *
+	 * @param {String} permChar The permission char or role to be named
+	 * @returns {String|null} The name of the permission, or null if no such
+	 *      permission exists
+	 */
+	function getPermName(permChar) {
+		if (perms.hasOwnProperty(permChar))
+			return perms[permChar].name;
+		return null;
+	}
+
+	/**
+	 * Gets every permission char and custom role, from most to least
+	 * privileged.
+	 *
+	 * @returns {Array} The permission chars and role names
+	 */
+	function getPerms() {
+		return Object.keys(perms).sort(function(a, b) {
+			return perms[b].level - perms[a].level;
+		});
+	}
+
+	/**
+	 * Tests to see if a given permission char ranks equal to or greater than
+	 * another permission char.  Either may be a custom role.  Unknown
+	 * permissions rank below everything when tested, and above everything
+	 * when tested against.
+	 *
+	 * @param {String} checkPerm The permission char to be tested
+	 * @param {String} againstPerm The permission char against which checkPerm
+	 *      should be compared
+	 * @returns {boolean} true if the checkPerm ranks equal to or greater than
+	 *      againstPerm; false otherwise
+	 */
+	function permEqualOrGreater(checkPerm, againstPerm) {
+		var checkLevel = perms.hasOwnProperty(checkPerm) ?
+				perms[checkPerm].level : -1,
+			againstLevel = perms.hasOwnProperty(againstPerm) ?
+				perms[againstPerm].level : Infinity;
+		return checkLevel >= againstLevel;
+	}
+
+	/**
+	 * Validates the auth settings about to be given to a user account.
+	 *
+	 * @param {String|null} authMethod The auth method for the account, or
+	 *      null to use the default
+	 * @param {Array} masks The hostmasks for the account
+	 * @returns {Error|null} An error describing the problem, if the settings
+	 *      are invalid
+	 */
+	function checkAuthSettings(authMethod, masks) {
+		if (authMethod && AUTH_METHODS.indexOf(authMethod) == -1) {
+			return new Error("Auth method '" + authMethod +
+				"' does not exist.");
+		}
+		if ((authMethod || config.defaultAuthMethod) == 'Hostmask' &&
+				!masks.length) {
+			return new Error("Users authenticated by Hostmask need at least \
+one hostmask, such as *!user@host.example.com");
+		}
+		return null;
+	}
+
+	/**
+	 * Applies the hostmask changes parsed by {@link #parseUserArgs} to a
+	 * user account's current list of hostmasks.
+	 *
+	 * @param {Object} user The user account
+	 * @param {Object} args The arguments parsed by {@link #parseUserArgs}
+	 * @returns {Array} The account's new list of hostmasks
+	 */
+	function getNewMasks(user, args) {
+		var masks = (user.masks || []).filter(function(mask) {
+			return args.delMasks.indexOf(mask) == -1;
+		});
+		args.addMasks.forEach(function(mask) {
+			if (masks.indexOf(mask) == -1)
+				masks.push(mask);
+		});
+		return masks;
+	}
+
+	/**
+	 * Stores auth settings in a user account.  An auth method matching the
+	 * configured default is not stored, so that the account follows any
+	 * future change to the default.
+	 *
+	 * @param {Object} user The user account
+	 * @param {String|null} authMethod The auth method for the account, or
+	 *      null to use the default
+	 * @param {Array} masks The hostmasks for the account
+	 */
+	function setAuthSettings(user, authMethod, masks) {
+		delete user.authMethod;
+		if (authMethod && authMethod != config.defaultAuthMethod)
+			user.authMethod = authMethod;
+		if (masks.length)
+			user.masks = masks;
+		else
+			delete user.masks;
+	}
+
+	/**
+	 * Validates the auth arguments given to a command that creates a user
+	 * account when the user doesn't have one yet.  Auth arguments are
+	 * refused for existing accounts, which must be changed with updateuser.
+	 *
+	 * @param {String} nick The nick of the user account
+	 * @param {Object} args The arguments parsed by {@link #parseUserArgs}
+	 * @returns {Error|null} An error describing the problem, if the
+	 *      arguments are invalid
+	 */
+	function checkAccountArgs(nick, args) {
+		var user = config.users[nick.toLowerCase()];
+		if (!user)
+			return checkAuthSettings(args.authMethod, getNewMasks({}, args));
+		if (hasAuthArgs(args)) {
+			return new Error("User '" + nick + "' already has an account, \
+so its auth settings can't be changed here.");
+		}
+		return null;
+	}
+
+	/**
+	 * Gets a user account, creating it without any permissions if it
+	 * doesn't exist.  The arguments should first be validated with
+	 * {@link #checkAccountArgs}.
+	 *
+	 * @param {String} nick The nick of the user account
+	 * @param {Object} args The arguments parsed by {@link #parseUserArgs}
+	 * @returns {Object} The user account
+	 */
+	function getOrCreateAccount(nick, args) {
+		var lowNick = nick.toLowerCase();
+		if (!config.users[lowNick]) {
+			var user = {};
+			setAuthSettings(user, args.authMethod, getNewMasks({}, args));
+			config.users[lowNick] = user;
+		}
+		return config.users[lowNick];
+	}
+
+	/**
+	 * Deletes a user account if it has no global permission, channel
+	 * permissions, or command allowances left, ending its sessions.
+	 *
+	 * @param {String} nick The nick of the user account
+	 */
+	function pruneAccount(nick) {
+		var lowNick = nick.toLowerCase(),
+			user = config.users[lowNick];
+		if (user && user.channels && !Object.keys(user.channels).length)
+			delete user.channels;
+		if (user && !user.perm && !user.channels &&
+				!acl.hasAllowance(lowNick) && !getUserGroups(lowNick).length) {
+			delete config.users[lowNick];
+			sessions.destroyUser(lowNick, 'user deleted');
+		}
+	}
+
+	/**
+	 * Indicates whether a group exists.
+	 *
+	 * @param {String} group The name of the group
+	 * @returns {boolean} true if the group exists; false otherwise
+	 */
+	function isGroup(group) {
+		return !!group && config.groups.hasOwnProperty(group.toLowerCase());
+	}
+
+	/**
+	 * Gets the names of every group a user account belongs to.
+	 *
+	 * @param {String} nick The nick of the user account
+	 * @returns {Array} The sorted group names
+	 */
+	function getUserGroups(nick) {
+		var lowNick = nick.toLowerCase();
+		return Object.keys(config.groups).filter(function(group) {
+			return config.groups[group].indexOf(lowNick) != -1;
+		}).sort();
+	}
+
+	/**
+	 * Formats a user account's name with the roles it holds: its global
+	 * permission in brackets, as in "[O]bob", or for accounts without one,
+	 * its channel permissions and groups, as in "bob (@#chan, group:ops)".
+	 *
+	 * @param {String} nick The nick of the user account
+	 * @param {String} [name] The name to be shown.  Omit to show the nick.
+	 * @returns {String} The formatted name
+	 */
+	function formatAccount(nick, name) {
+		var userConfig = config.users[nick.toLowerCase()] || {},
+			roles = [];
+		name = name || nick;
+		if (userConfig.perm)
+			return '[' + userConfig.perm + ']' + name;
+		objUtil.forEach(userConfig.channels || {}, function(chan, perm) {
+			roles.push(perm + chan);
+		});
+		getUserGroups(nick).forEach(function(group) {
+			roles.push(GROUP_PREFIX + group);
+		});
+		return name + (roles.length ? ' (' + roles.join(', ') + ')' : '');
+	}
+
+	/**
+	 * Gets the names under which a nick may appear in a command's ACL: the
+	 * nick itself, and each of its account's groups.
+	 *
+	 * @param {String} nick The nick to be checked
+	 * @returns {Array} The ACL names for the nick
+	 */
+	function getAclNames(nick) {
+		return [nick].concat(getUserGroups(nick).map(function(group) {
+			return GROUP_PREFIX + group;
+		}));
+	}
+
+	/**
+	 * Saves the user accounts and command ACL to the Users config file.
+	 *
+	 * @param {Function} [cb] A callback function to be executed on
+	 *      completion.  Arguments provided are:
+	 *          - {Error} An error object, if the file couldn't be saved
+	 */
+	function saveConfig(cb) {
+		config.save(['users', 'acl', 'groups'], cb);
+	}
+
 	/**
 	 * Deletes a user from the user list.  Will only succeed if the
 	 * execNick has the appropriate permissions.
 	 *
 	 * @param {String} execNick The user calling the delete command
 	 * @param {String} targetNick The user to be deleted
-	 * @param {String} replyTo The nick or channel to which the result
-	 *      message should be sent.
+	 * @param {CommandContext} ctx The context of the command, through which the
+	 *      result message should be sent
 	 */
-	function deleteUser(execNick, targetNick, replyTo) {
+	function deleteUser(execNick, targetNick, ctx) {
 		var lowNick = targetNick.toLowerCase(),
 			perm;
 		Seq()
 			.seq(function checkExists() {
-				if (!config.users[lowNick]) {
+				if (!config.users[lowNick] || !config.users[lowNick].perm) {
 					this(new Error("User '" + targetNick +
 						"' does not exist."));
 				}
@@ -169,38 +547,42 @@ module.exports = function(config, client, modMan) {
 			})
 			.seq(function checkPerm(cPerm) {
 				perm = config.users[lowNick].perm;
-				if (!cPerm || (cPerm != 'O' && perm != 'P')) {
+				if (!cPerm || (cPerm != 'O' &&
+						permEqualOrGreater(perm, cPerm))) {
 					this(new Error("Sorry, you can't delete '" + perm +
 						"' users."));
 				}
 				else this();
 			})
 			.seq(function deleteUser() {
-				delete config.users[lowNick];
-				config.save(['users'], this);
+				delete config.users[lowNick].perm;
+				sessions.destroyUser(lowNick, 'user deleted');
+				pruneAccount(lowNick);
+				saveConfig(this);
 			})
 			.seq(function complete() {
-				client.notice(replyTo, 'User [' + perm + ']' + targetNick +
+				ctx.reply('User [' + perm + ']' + targetNick +
 					' deleted.');
 			})
 			.catch(function(err) {
-				client.notice(replyTo, err.message);
+				ctx.error(err.message);
 			})
 	}
 
 	/**
-	 * Gets an array of all the channels a nick currently shares with the bot.
+	 * Gets the global permission stored on a nick's account, without
+	 * authenticating the nick.  Since anyone can use any nick, this must
+	 * never be used to grant anything; it's only for decisions that must be
+	 * made synchronously and can only err toward leniency, such as never
+	 * ignoring an Owner.
 	 *
-	 * @param {String} nick The nick to be searched
-	 * @returns {Array} An array of channel names
+	 * @param {String} nick The nick whose account should be checked
+	 * @returns {String|null} The account's global permission, or null if
+	 *      the nick has no account or the account has no global permission
 	 */
-	function getNickChannels(nick) {
-		var channels = [];
-		objUtil.forEach(client.chans, function(chan, props) {
-			if (props.users[nick])
-				channels.push(chan);
-		});
-		return channels;
+	function getAccountPerm(nick) {
+		var userConfig = config.users[nick.toLowerCase()];
+		return (userConfig && userConfig.perm) || null;
 	}
 
 	/**
@@ -214,25 +596,68 @@ module.exports = function(config, client, modMan) {
 	 *          - {String|null} Either O, S, P, or null
 	 */
 	function getGlobalPerm(nick, cb) {
+		var userConfig = config.users[nick.toLowerCase()];
+		if (userConfig && userConfig.perm) {
+			authenticate(nick, function(err, authed) {
+				if (err || !authed)
+					cb(err);
+				else
+					cb(null, userConfig.perm);
+			});
+		}
+		else
+			cb(null, null);
+	}
+
+	/**
+	 * Authenticates a nick against its user account, using the account's
+	 * auth method unless the nick already has a session.
+	 *
+	 * @param {String} nick The nick to be authenticated
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred
+	 *          - {boolean} true if the nick has an account and is
+	 *            authenticated; false otherwise
+	 */
+	function authenticate(nick, cb) {
 		var lowNick = nick.toLowerCase(),
-			userConfig = config.users[lowNick];
-		if (userConfig && userCache[lowNick])
-			cb(null, userConfig.perm);
+			userConfig = config.users[lowNick],
+			session = sessions.get(nick);
+		if (userConfig && session && session.user == lowNick)
+			cb(null, true);
 		else if (userConfig) {
-			var authMethod = config.defaultAuthMethod || userConfig.authMethod,
+			var authMethod = userConfig.authMethod || config.defaultAuthMethod,
 				authMod = authMods[authMethod];
 			authMod.isAuthorized(nick, userConfig, function(err, authed) {
 				if (err || !authed)
-					cb(err);
+					cb(err, false);
 				else {
-					if (authed)
-						userCache[lowNick] = true;
-					cb(null, userConfig.perm);
+					sessions.create(nick, lowNick, authMethod);
+					cb(null, true);
 				}
 			});
 		}
 		else
-			cb(null, null);
+			cb(null, false);
+	}
+
+	/**
+	 * Gets the permission a user's account has been given on a channel
+	 * with {@link #setChanUser}, regardless of whether the nick using it is
+	 * authenticated.
+	 *
+	 * @param {String} nick The nick whose account should be checked
+	 * @param {String} channel The channel to be checked
+	 * @returns {String|null} The permission char, or null if the account has
+	 *      no permission stored for the channel
+	 */
+	function getChanUserPerm(nick, channel) {
+		var userConfig = config.users[nick.toLowerCase()],
+			channels = (userConfig && userConfig.channels) || {};
+		if (!channel)
+			return null;
+		return channels[channel.toLowerCase()] || null;
 	}
 
 	/**
@@ -272,7 +697,29 @@ module.exports = function(config, client, modMan) {
 						}
 					}
 				});
-				cb(null, highPerm);
+				this.vars.highPerm = highPerm;
+				this();
+			})
+			.seq(function findHighestStoredPerm() {
+				var userConfig = config.users[nick.toLowerCase()],
+					highPerm = this.vars.highPerm,
+					storedPerm = null;
+				objUtil.forEach((userConfig && userConfig.channels) || {},
+					function(chan, perm) {
+						if (storedPerm === null ||
+								permEqualOrGreater(perm, storedPerm)) {
+							storedPerm = perm;
+						}
+					});
+				if (storedPerm === null || (highPerm !== null &&
+						permEqualOrGreater(highPerm, storedPerm))) {
+					cb(null, highPerm);
+				}
+				else {
+					authenticate(nick, function(err, authed) {
+						cb(err, authed ? storedPerm : highPerm);
+					});
+				}
 			})
 			.catch(function(err) {
 				cb(err);
@@ -320,7 +767,10 @@ module.exports = function(config, client, modMan) {
 
 	/**
 	 * Gets a user's highest permission on a given channel, EXCLUDING the
-	 * registered user permissions (O, S, and P).
+	 * registered user permissions (O, S, and P).  This is the higher of the
+	 * user's current channel mode and any permission their account has been
+	 * given on the channel, which is only honored once they are
+	 * authenticated.
 	 *
 	 * @param {String} nick The nick for whom a permission should be retrieved
 	 * @param {String} channel The channel for which permissions should be
@@ -337,12 +787,17 @@ module.exports = function(config, client, modMan) {
 			chanData = client.chanData(channel);
 		}
 		catch (e) {}
-		if (chanData) {
-			cb(null, chanData.users[nick] != undefined ? chanData.users[nick]
-				: null);
+		var livePerm = chanData && chanData.users[nick] != undefined ?
+				chanData.users[nick] : null,
+			storedPerm = getChanUserPerm(nick, channel);
+		if (storedPerm && (livePerm === null ||
+				!permEqualOrGreater(livePerm, storedPerm))) {
+			authenticate(nick, function(err, authed) {
+				cb(err, authed ? storedPerm : livePerm);
+			});
 		}
 		else
-			cb(null, null);
+			cb(null, livePerm);
 	}
 
 	/**
@@ -369,6 +824,25 @@ module.exports = function(config, client, modMan) {
 		});
 	}
 
+	/**
+	 * Checks to see if a user is an authenticated member of a group, or an
+	 * Owner.
+	 *
+	 * @param {String} group The name of the group
+	 * @param {String} nick The nick of the user to be checked
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred
+	 *          - {boolean} true if the user is a member of the group or an
+	 *            Owner; false otherwise
+	 */
+	function hasGroupPerm(group, nick, cb) {
+		if (getUserGroups(nick).indexOf(group.toLowerCase()) != -1)
+			authenticate(nick, cb);
+		else
+			hasGlobalPerm('O', nick, cb);
+	}
+
 	/**
 	 * Checks to see if a user's permission level on a given channel (excluding
 	 * O, S, and P) is equal to or greater than a given permission level.
@@ -401,6 +875,12 @@ module.exports = function(config, client, modMan) {
 	 * This is the be-all-end-all method to determining if a user has the
 	 * appropriate permission to carry out a certain task.
 	 *
+	 * The permission can also be the name of a custom role, or of a group,
+	 * in which case the user must be an authenticated member of the group or
+	 * an Owner.  A name that is neither is treated as a group with no
+	 * members, so that commands requiring a group that hasn't been created
+	 * yet are reserved for Owners.
+	 *
 	 * @param {String} permChar The permission char against which to check the
 	 *      user
 	 * @param {String} nick The nick of the user to be checked
@@ -415,12 +895,14 @@ module.exports = function(config, client, modMan) {
 	function hasPermission(permChar, nick, channel, cb) {
 		Seq()
 			.seq(function checkPermChar() {
-				if (!PERMS[permChar]) {
+				if (perms.hasOwnProperty(permChar))
+					this();
+				else if (permChar.length > 1)
+					hasGroupPerm(permChar, nick, cb);
+				else {
 					this(new Error("Permission char '" + permChar +
 						"' does not exist."));
 				}
-				else
-					this();
 			})
 			.seq(function callHasPermOnChannel() {
 				if (channel)
@@ -452,174 +934,1051 @@ module.exports = function(config, client, modMan) {
 	}
 
 	/**
-	 * Lists all registered users in a series of NOTICE commands on IRC.
+	 * Checks whether a user may execute a command, applying any overrides in
+	 * the command ACL.  A nick denied the command, or belonging to a group
+	 * denied it, is refused unless it's authenticated as an Owner.  An
+	 * authenticated user allowed the command, directly or through one of
+	 * their groups, may execute it regardless of their permission.
+	 * Otherwise, the user needs the permission set for the command on the
+	 * given channel, or the command's own minPermission if none was set.
 	 *
-	 * @param {String} replyTo The nick or channel to which the user list
-	 *      should be sent
+	 * @param {Object} cmd The command object to be executed
+	 * @param {String} nick The nick of the user executing the command
+	 * @param {String|null} channel The channel on which the command is being
+	 *      executed: its target for commands with targetChannel, or the
+	 *      channel it was said in for any other command.  null for commands
+	 *      sent in a private message.
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred
+	 *          - {boolean} true if the user may execute the command; false
+	 *            otherwise
+	 *          - {String|null} The permission char the command requires, or
+	 *            null if the user was denied the command outright
+	 *          - {String|null} The channel on which that permission was
+	 *            required, or null if it was required globally
 	 */
-	function listUsers(replyTo) {
-		var users = Object.keys(config.users).map(function(user) {
-			return '[' + config.users[user].perm + ']' + user;
-		}).sort(function(a, b) {
-			if (a > b) return 1;
-			if (a == b) return 0;
-			return -1;
-		});
-		client.notice(replyTo, 'All global users:');
-		client.notice(replyTo, users.join('  '));
+	function canExecute(cmd, nick, channel, cb) {
+		var chanPerm = channel ? acl.getChanPerm(cmd.id, channel) : null,
+			minPerm = chanPerm || cmd.minPermission || null,
+			permChan = (chanPerm || cmd.targetChannel) ? channel : null,
+			names = getAclNames(nick);
+		Seq()
+			.seq(function checkDenied() {
+				if (!names.some(acl.isDenied.bind(acl, cmd.id)))
+					return this();
+				hasGlobalPerm('O', nick, function(err, isOwner) {
+					if (err)
+						cb(err);
+					else
+						cb(null, isOwner, isOwner ? minPerm : null, permChan);
+				});
+			})
+			.seq(function checkAllowed() {
+				if (names.some(acl.isAllowed.bind(acl, cmd.id)))
+					authenticate(nick, this);
+				else
+					this(null, false);
+			})
+			.seq(function checkPermission(allowed) {
+				if (allowed || !minPerm)
+					cb(null, true, minPerm, permChan);
+				else
+					hasPermission(minPerm, nick, permChan, this);
+			})
+			.seq(function complete(hasPerm) {
+				cb(null, hasPerm, minPerm, permChan);
+			})
+			.catch(function(err) {
+				cb(err);
+			});
 	}
 
 	/**
-	 * Called whenever a user's nick changes.  This allows the mod to update
-	 * the user's nick in the userCache.
+	 * Determines whether a command should be listed for a user in help.
+	 * This doesn't authenticate the user, so it should only be used for
+	 * display: commands the user has been allowed are listed, commands they
+	 * have been denied are not, and any other command is listed if the
+	 * user's permission is high enough to execute it on at least one
+	 * channel.
 	 *
-	 * @param {String} oldNick The user's old nick
-	 * @param {String} newNick The user's new nick.
+	 * @param {Object} cmd The command object to be checked
+	 * @param {String} nick The nick of the user viewing help
+	 * @param {String|null} maxPerm The user's highest permission char, or
+	 *      null if they have no permission
+	 * @returns {boolean} true if the command should be listed; false
+	 *      otherwise
 	 */
-	function nickHandler(oldNick, newNick) {
-		var lowNick = oldNick.toLowerCase();
-		if (userCache[lowNick]) {
-			userCache[newNick.toLowerCase()] = true;
-			delete userCache[lowNick];
+	function isCommandVisible(cmd, nick, maxPerm) {
+		var names = getAclNames(nick);
+		if (maxPerm != 'O' && names.some(acl.isDenied.bind(acl, cmd.id)))
+			return false;
+		if (names.some(acl.isAllowed.bind(acl, cmd.id)) ||
+				cmd.minPermission == undefined) {
+			return true;
 		}
+		var required = [cmd.minPermission];
+		objUtil.forEach(acl.getChanPerms(cmd.id), function(chan, perm) {
+			required.push(perm);
+		});
+		return maxPerm !== null && required.some(function(perm) {
+			if (perms.hasOwnProperty(perm))
+				return permEqualOrGreater(maxPerm, perm);
+			return maxPerm == 'O' || getUserGroups(nick).indexOf(perm) != -1;
+		});
 	}
-	client.on('nick', nickHandler);
 
 	/**
-	 * Called whenever a user leaves a channel.  For cached users, scans to
-	 * see if they're in any other channel the bot is in.  If not, they are
-	 * removed from the userCache since they are no longer being tracked.
+	 * Logs a user in with their password, caching them as authenticated
+	 * until they log out, quit, or leave every channel the bot is in.  Any
+	 * user with a password can log in this way, regardless of their auth
+	 * method.  After a failed attempt, further attempts on the same account,
+	 * or from the same user@host, are refused for a few seconds.
 	 *
-	 * @param {String} channel The channel that was parted
-	 * @param {String} nick The user that parted
+	 * @param {String} nick The nick of the user logging in
+	 * @param {String} password The password provided
+	 * @param {CommandContext} ctx The context of the command, through which the
+	 *      result should be sent
 	 */
-	function partHandler(channel, nick) {
-		var lowNick = nick.toLowerCase();
-		if (userCache[lowNick]) {
-			var chans = getNickChannels(nick);
-			if (!chans.length)
-				delete userCache[lowNick];
+	function login(nick, password, ctx) {
+		var lowNick = nick.toLowerCase(),
+			userConfig = config.users[lowNick],
+			message = ctx.message || {},
+			keys = ['account ' + lowNick];
+		if (message.user && message.host) {
+			keys.push('host ' + (message.user + '@' +
+				message.host).toLowerCase());
 		}
+		Seq()
+			.seq(function checkRetryDelay() {
+				var now = Date.now();
+				// Forget failures old enough to no longer matter
+				objUtil.forEach(loginFailures, function(key, time) {
+					if (now - time >= LOGIN_RETRY_DELAY)
+						delete loginFailures[key];
+				});
+				if (keys.some(function(key) {
+					return loginFailures.hasOwnProperty(key);
+				})) {
+					this(new Error("Please wait a few seconds before trying \
+again."));
+				}
+				else
+					this();
+			})
+			.seq(function callCheckPassword() {
+				if (!userConfig || !userConfig.password)
+					this(null, false);
+				else {
+					authMods.Password.checkPassword(userConfig.password,
+						password, this);
+				}
+			})
+			.seq(function complete(valid) {
+				if (!valid) {
+					keys.forEach(function(key) {
+						loginFailures[key] = Date.now();
+					});
+					this(new Error("Login failed."));
+				}
+				else {
+					if (!sessions.create(nick, lowNick, 'Password')) {
+						return this(new Error("I can't see your hostmask \
+yet.  Please try again."));
+					}
+					ctx.reply('You are now logged in as ' +
+						formatAccount(nick) + '.');
+				}
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
 	}
-	client.on('part', partHandler);
 
 	/**
-	 * Called whenever a user quits.  If that user was cached, they are
-	 * removed from the userCache.
+	 * Logs a user out, so that they must be authenticated again before
+	 * their global permission is honored.
 	 *
-	 * @param {String} nick The nick that quit
+	 * @param {String} nick The nick of the user logging out
+	 * @param {CommandContext} ctx The context of the command, through which the
+	 *      result should be sent
 	 */
-	function quitHandler(nick) {
-		var lowNick = nick.toLowerCase();
-		if (userCache[lowNick])
-			delete userCache[lowNick];
+	function logout(nick, ctx) {
+		if (sessions.destroy(nick, 'logged out'))
+			ctx.reply('You are now logged out.');
+		else
+			ctx.error("You aren't logged in.");
 	}
-	client.on('quit', quitHandler);
 
 	/**
-	 * Creates or updates a user's global account, with a new global permission
-	 * (O, S, or P) and an optional authMethod.  The account creator must have
-	 * the appropriate permissions to create a user at their given permission
-	 * level.
+	 * Gets the reply preferences a user has set, if the nick is authenticated
+	 * as that user.  This never consults an auth method, so nicks without a
+	 * session get null rather than waiting on services.
 	 *
-	 * @param {String} creator The nick of the user creating or modifying
-	 *      the account
-	 * @param {String} replyTo The nick or channel to which responses should
-	 *      be sent
-	 * @param {String} nick The nick of the user to create or update
-	 * @param {String} perm The permission char to assign to this user
-	 * @param {String|null} authMethod The auth method to use for this
-	 *      user's account, or null to accept the default (recommended)
-	 * @param {boolean} [existing] true if the nick's account is already
-	 *      existing, or false if it should be created.  If the status of
-	 *      the account does not coincide with this value, an error will be
-	 *      reported. Omit to eliminate this check.
+	 * @param {String} nick The nick whose preferences should be retrieved
+	 * @returns {Object|null} A mapping of preference names to values, or
+	 *      null if the nick has no session or its user has set none
 	 */
-	function userSetPermission(creator, replyTo, nick, perm, authMethod,
-			existing) {
+	function getPreferences(nick) {
 		var lowNick = nick.toLowerCase(),
-			isNew = !config.users[lowNick];
+			userConfig = config.users[lowNick],
+			session = sessions.get(nick);
+		if (!userConfig || !userConfig.prefs || !session ||
+				session.user != lowNick)
+			return null;
+		return userConfig.prefs;
+	}
+
+	/**
+	 * Sets one of a user's reply preferences.  The nick must be authenticated
+	 * as a user with an account.
+	 *
+	 * @param {String} nick The nick of the user setting the preference
+	 * @param {String} pref The name of the preference, from PREFERENCES
+	 * @param {String} value The new value of the preference
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if the preference couldn't be set.
+	 *            Its message is suitable for the user.
+	 */
+	function setPreference(nick, pref, value, cb) {
+		var lowNick = nick.toLowerCase();
+		pref = pref.toLowerCase();
+		value = value.toLowerCase();
 		Seq()
-			.seq(function checkExists() {
-				if (existing != undefined) {
-					if (!existing && !isNew) {
-						this(new Error("User '" + nick +
-							"' already exists."));
-					}
-					else if (existing && isNew)
-						this(new Error("User '" + nick + "' not found."));
-					else
-						this();
+			.seq(function checkPref() {
+				if (!PREFERENCES[pref]) {
+					this(new Error("'" + pref + "' isn't a preference.  \
+Choose from: " + Object.keys(PREFERENCES).join(', ')));
 				}
-				else this();
+				else if (PREFERENCES[pref].indexOf(value) == -1) {
+					this(new Error("The " + pref + " preference can be: " +
+						PREFERENCES[pref].join(', ')));
+				}
+				else
+					this();
 			})
-			.seq(function getCreatorPerm() {
-				getGlobalPerm(creator, this);
+			.seq(function callAuthenticate() {
+				authenticate(nick, this);
 			})
-			.seq(function checkPerm(cPerm) {
-				var tPerm;
-				if (!isNew)
-					tPerm = config.users[lowNick].perm;
-				if (!cPerm || (cPerm != 'O' && perm != 'P')) {
-					this(new Error("Sorry, you can't set users to '" + perm +
-						"'."));
-				}
-				else if (tPerm && PERMS[cPerm].level <= PERMS[tPerm].level) {
-					this(new Error("Sorry, you can't modify '" + tPerm +
-						"' users."));
+			.seq(function savePreference(authed) {
+				if (!authed) {
+					this(new Error("You must be logged into a user account \
+to set preferences."));
 				}
-				else this();
-			})
-			.seq(function checkAuthMethod() {
-				if (authMethod && ! AUTH_METHODS[authMethod]) {
-					this(new Error("Auth method '" + authMethod +
-						"' does not exist."));
+				else {
+					config.users[lowNick].prefs =
+						config.users[lowNick].prefs || {};
+					config.users[lowNick].prefs[pref] = value;
+					saveConfig(this);
 				}
-				else this();
-			})
-			.seq(function createUser() {
-				config.users[lowNick] = {};
-				config.users[lowNick].perm = perm;
-				if (authMethod && authMethod != config.defaultAuthMethod)
-					config.users[lowNick].authMethod = authMethod;
-				config.save(['users'], this);
 			})
 			.seq(function complete() {
-				client.notice(replyTo, 'User [' + perm + ']' + nick +
-					(isNew ? ' created.' : ' saved.'));
+				cb();
 			})
-			.catch(function(err) {
-				client.notice(replyTo, err.message);
-			});
+			.catch(cb);
 	}
 
-	return {
-		name: 'Permissions',
+	/**
+	 * Sets the password of a user's account.  Users can set their own
+	 * password once authenticated, while setting another user's password
+	 * requires a higher global permission than theirs.
+	 *
+	 * @param {String} execNick The nick of the user setting the password
+	 * @param {CommandContext} ctx The context of the command, through which the
+	 *      result should be sent
+	 * @param {String} targetNick The nick of the user whose password should
+	 *      be set
+	 * @param {String} password The new password
+	 */
+	function setPassword(execNick, ctx, targetNick, password) {
+		var lowNick = targetNick.toLowerCase(),
+			isSelf = lowNick == execNick.toLowerCase();
+		Seq()
+			.seq(function checkExists() {
+				if (!config.users[lowNick]) {
+					this(new Error("User '" + targetNick +
+						"' does not exist."));
+				}
+				else
+					this();
+			})
+			.seq(function getExecNickPerm() {
+				getGlobalPerm(execNick, this);
+			})
+			.seq(function checkPerm(cPerm) {
+				var tPerm = config.users[lowNick].perm;
+				if (!cPerm && isSelf) {
+					this(new Error("You must be logged in to change your \
+password."));
+				}
+				else if (!isSelf && (!cPerm ||
+						!tPerm && !permEqualOrGreater(cPerm, 'S') ||
+						tPerm && permEqualOrGreater(tPerm, cPerm))) {
+					this(new Error("Sorry, you can't set passwords for " +
+						(tPerm ? "'" + tPerm + "' users." : "that user.")));
+				}
+				else
+					this();
+			})
+			.seq(function hashPassword() {
+				authMods.Password.hashPassword(password, this);
+			})
+			.seq(function savePassword(hash) {
+				config.users[lowNick].password = hash;
+				if (!isSelf)
+					sessions.destroyUser(lowNick, 'password changed');
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				ctx.reply('Password ' + (isSelf ? 'changed.' :
+					'set for ' + targetNick + '.'));
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Lists all registered users, several to a line, a page at a time.
+	 *
+	 * @param {CommandContext} ctx The context of the listusers command,
+	 *      through which the user list should be sent
+	 */
+	function listUsers(ctx) {
+		var users = Object.keys(config.users).filter(function(user) {
+			return config.users[user].perm;
+		}).map(function(user) {
+			return '[' + config.users[user].perm + ']' + user;
+		}).sort(function(a, b) {
+			if (a > b) return 1;
+			if (a == b) return 0;
+			return -1;
+		});
+		var lines = ['All global users:'];
+		for (var i = 0; i < users.length; i += USERS_PER_LINE)
+			lines.push(users.slice(i, i + USERS_PER_LINE).join('  '));
+		ctx.paginate(lines);
+	}
+
+	/**
+	 * Lists every user account with a permission on a channel in a series
+	 * of NOTICE commands on IRC.
+	 *
+	 * @param {String} channel The channel whose users should be listed
+	 * @param {CommandContext} ctx The context of the command, through which the
+	 *      user list should be sent
+	 */
+	function listChanUsers(channel, ctx) {
+		var users = Object.keys(config.users).filter(function(user) {
+			return getChanUserPerm(user, channel);
+		}).map(function(user) {
+			return '[' + getChanUserPerm(user, channel) + ']' + user;
+		}).sort();
+		if (!users.length) {
+			return ctx.reply('No users are set for ' + channel +
+				'.');
+		}
+		ctx.reply('All users for ' + channel + ':');
+		ctx.reply(users.join('  '));
+	}
+
+	/**
+	 * Gives a user account a permission on a channel, creating the account
+	 * if it doesn't exist.  The permission is honored whenever the user is
+	 * authenticated, whether or not they currently hold that mode on the
+	 * channel.  The caller's permission on the channel must be higher than
+	 * the permission being given, and higher than any permission the user
+	 * already has there.  Auth settings can only be given to a new account,
+	 * and only by a caller with a global permission: the account's settings
+	 * are kept if it's later given a global permission of its own, so a
+	 * channel op must not be able to choose them.
+	 *
+	 * @param {String} execNick The nick of the user setting the permission
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} channel The channel on which the permission applies
+	 * @param {String} nick The nick of the user account
+	 * @param {String} perm The channel permission char to be given
+	 * @param {String} [argStr] An auth method and hostmasks for a new
+	 *      account, as parsed by {@link #parseUserArgs}
+	 */
+	function setChanUser(execNick, ctx, channel, nick, perm, argStr) {
+		var args = parseUserArgs(argStr);
+		Seq()
+			.seq(function checkAuthArgs() {
+				this(checkAccountArgs(nick, args));
+			})
+			.seq(function getExecGlobalPerm() {
+				if (hasAuthArgs(args))
+					getGlobalPerm(execNick, this);
+				else
+					this();
+			})
+			.seq(function checkAuthPerm(gPerm) {
+				if (hasAuthArgs(args) && !gPerm) {
+					this(new Error("Sorry, only global users can choose how \
+a new account is authenticated."));
+				}
+				else
+					this();
+			})
+			.seq(function getExecNickPerm() {
+				getPermission(execNick, channel, this);
+			})
+			.seq(function checkPerm(cPerm) {
+				var tPerm = getChanUserPerm(nick, channel);
+				if (!cPerm || permEqualOrGreater(perm, cPerm)) {
+					this(new Error("Sorry, you can't give users '" + perm +
+						"' on " + channel + "."));
+				}
+				else if (tPerm && permEqualOrGreater(tPerm, cPerm)) {
+					this(new Error("Sorry, you can't modify '" + tPerm +
+						"' users on " + channel + "."));
+				}
+				else
+					this();
+			})
+			.seq(function saveUser() {
+				var user = getOrCreateAccount(nick, args);
+				user.channels = user.channels || {};
+				user.channels[channel.toLowerCase()] = perm;
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				ctx.reply('User [' + perm + ']' + nick +
+					' saved for ' + channel + '.');
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Removes a user account's permission on a channel.  Accounts left with
+	 * no global or channel permissions are deleted.  The caller's permission
+	 * on the channel must be higher than the permission being removed.
+	 *
+	 * @param {String} execNick The nick of the user removing the permission
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} channel The channel on which the permission applies
+	 * @param {String} nick The nick of the user account
+	 */
+	function delChanUser(execNick, ctx, channel, nick) {
+		var lowNick = nick.toLowerCase(),
+			tPerm = getChanUserPerm(nick, channel);
+		Seq()
+			.seq(function checkExists() {
+				if (!tPerm) {
+					this(new Error("User '" + nick + "' is not set for " +
+						channel + "."));
+				}
+				else
+					this();
+			})
+			.seq(function getExecNickPerm() {
+				getPermission(execNick, channel, this);
+			})
+			.seq(function checkPerm(cPerm) {
+				if (!cPerm || permEqualOrGreater(tPerm, cPerm)) {
+					this(new Error("Sorry, you can't remove '" + tPerm +
+						"' users from " + channel + "."));
+				}
+				else
+					this();
+			})
+			.seq(function saveUser() {
+				delete config.users[lowNick].channels[channel.toLowerCase()];
+				pruneAccount(lowNick);
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				ctx.reply('User [' + tPerm + ']' + nick +
+					' removed from ' + channel + '.');
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Gets the global permission of a user about to change a command's ACL,
+	 * and calls back with an error if they aren't allowed to.  Owners can
+	 * change the ACL of any command, even one that is no longer loaded.
+	 * Anyone else must be able to execute the command themselves.
+	 *
+	 * @param {String} execNick The nick of the user changing the ACL
+	 * @param {String} cmdId The ID of the command
+	 * @param {Function} cb A callback function to be executed on completion.
+	 *      Arguments provided are:
+	 *          - {Error} An error object, if an error occurred or the user
+	 *            can't change the command's ACL
+	 *          - {String} The user's global permission char
+	 */
+	function checkAclEditor(execNick, cmdId, cb) {
+		var cmd = modMan.getCommand(cmdId);
+		Seq()
+			.seq(function getExecNickPerm() {
+				getGlobalPerm(execNick, this);
+			})
+			.seq(function checkOwner(cPerm) {
+				this.vars.cPerm = cPerm;
+				if (cPerm == 'O')
+					cb(null, cPerm);
+				else if (!cmd) {
+					this(new Error("Command '" + cmdId +
+						"' does not exist."));
+				}
+				else
+					canExecute(cmd, execNick, null, this);
+			})
+			.seq(function checkCanExecute(allowed) {
+				if (allowed)
+					cb(null, this.vars.cPerm);
+				else {
+					this(new Error("Sorry, you can't change access to '" +
+						cmdId + "'."));
+				}
+			})
+			.catch(function(err) {
+				cb(err);
+			});
+	}
+
+	/**
+	 * Overrides the permission required to execute a command on a channel,
+	 * or restores the command's own minPermission there.  Unless set by an
+	 * Owner, the permission can't be set above the caller's own.
+	 *
+	 * @param {String} execNick The nick of the user setting the permission
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} cmdId The ID of the command
+	 * @param {String} channel The channel on which the permission applies
+	 * @param {String|null} perm The permission char to be required, or null
+	 *      to restore the command's own minPermission
+	 */
+	function setCommandPerm(execNick, ctx, cmdId, channel, perm) {
+		var cmd = modMan.getCommand(cmdId);
+		if (cmd)
+			cmdId = cmd.id;
+		if (isGroup(perm))
+			perm = perm.toLowerCase();
+		Seq()
+			.seq(function checkCommand() {
+				if (!cmd && perm) {
+					this(new Error("Command '" + cmdId +
+						"' does not exist."));
+				}
+				else if (perm && !perms.hasOwnProperty(perm) &&
+						!isGroup(perm)) {
+					this(new Error("Permission '" + perm +
+						"' does not exist."));
+				}
+				else
+					this();
+			})
+			.seq(function callCheckAclEditor() {
+				checkAclEditor(execNick, cmdId, this);
+			})
+			.seq(function checkPerm(cPerm) {
+				var oldPerm = acl.getChanPerm(cmdId, channel);
+				if (cPerm == 'O')
+					this();
+				else if (isGroup(perm) || isGroup(oldPerm)) {
+					this(new Error("Sorry, only Owners can require group \
+membership."));
+				}
+				else if (perm && !permEqualOrGreater(cPerm, perm) ||
+						oldPerm && !permEqualOrGreater(cPerm, oldPerm)) {
+					this(new Error("Sorry, you can't require permissions \
+above your own."));
+				}
+				else
+					this();
+			})
+			.seq(function savePerm() {
+				acl.setChanPerm(cmdId, channel, perm);
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				if (isGroup(perm)) {
+					ctx.reply("'" + cmdId + "' now requires \
+membership in " + perm + ' on ' + channel + '.');
+				}
+				else if (perm) {
+					ctx.reply("'" + cmdId + "' now requires [" +
+						perm + ']' + getPermName(perm) + ' on ' + channel +
+						'.');
+				}
+				else {
+					ctx.reply("'" + cmdId + "' uses its default \
+permission on " + channel + '.');
+				}
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Allows or denies a user or group the use of a command, regardless of
+	 * their permission.  Allowing a user who doesn't have an account yet
+	 * creates one for them, though only global users can choose its auth
+	 * settings.  Unless set by an Owner, only users with a global permission
+	 * below the caller's can be changed, and Owners can never be denied.
+	 *
+	 * @param {String} execNick The nick of the user changing the ACL
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} cmdId The ID of the command
+	 * @param {String} nick The nick of the user to be allowed or denied, or
+	 *      the name of a group prefixed with 'group:'
+	 * @param {boolean} allow true to allow the user; false to deny them
+	 * @param {String} [argStr] An auth method and hostmasks for a new
+	 *      account, as parsed by {@link #parseUserArgs}
+	 */
+	function setCommandAccess(execNick, ctx, cmdId, nick, allow,
+			argStr) {
+		var cmd = modMan.getCommand(cmdId),
+			args = parseUserArgs(argStr),
+			group = nick.indexOf(GROUP_PREFIX) == 0 ?
+				nick.substr(GROUP_PREFIX.length) : null,
+			tPerm = (config.users[nick.toLowerCase()] || {}).perm;
+		Seq()
+			.seq(function checkCommand() {
+				if (!cmd) {
+					this(new Error("Command '" + cmdId +
+						"' does not exist."));
+				}
+				else if (group !== null) {
+					if (!isGroup(group)) {
+						this(new Error("Group '" + group +
+							"' does not exist."));
+					}
+					else if (argStr && argStr.trim()) {
+						this(new Error("Groups don't take auth \
+settings."));
+					}
+					else
+						this();
+				}
+				else if (!allow && tPerm == 'O')
+					this(new Error("Owners can't be denied commands."));
+				else
+					this(allow ? checkAccountArgs(nick, args) : null);
+			})
+			.seq(function callCheckAclEditor() {
+				checkAclEditor(execNick, cmd.id, this);
+			})
+			.seq(function checkPerm(cPerm) {
+				if (cPerm != 'O' && tPerm && (!cPerm ||
+						permEqualOrGreater(tPerm, cPerm))) {
+					this(new Error("Sorry, you can't modify '" + tPerm +
+						"' users."));
+				}
+				else if (hasAuthArgs(args) && !cPerm) {
+					this(new Error("Sorry, only global users can choose how \
+a new account is authenticated."));
+				}
+				else
+					this();
+			})
+			.seq(function saveAccess() {
+				if (allow) {
+					if (group === null)
+						getOrCreateAccount(nick, args);
+					acl.allow(cmd.id, nick);
+				}
+				else {
+					acl.deny(cmd.id, nick);
+					pruneAccount(nick);
+				}
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				ctx.reply(nick + ' is now ' +
+					(allow ? 'allowed' : 'denied') + " '" + cmd.id + "'.");
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Removes every override from a command's ACL, or only a given user's
+	 * allowance or denial.  Unless cleared by an Owner, only users with a
+	 * global permission below the caller's can be changed.
+	 *
+	 * @param {String} execNick The nick of the user changing the ACL
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} cmdId The ID of the command
+	 * @param {String} [nick] The user whose allowance or denial should be
+	 *      removed.  Omit to clear the command's entire ACL.
+	 */
+	function clearCommandAcl(execNick, ctx, cmdId, nick) {
+		var tPerm = nick && (config.users[nick.toLowerCase()] || {}).perm;
+		Seq()
+			.seq(function callCheckAclEditor() {
+				checkAclEditor(execNick, cmdId, this);
+			})
+			.seq(function checkPerm(cPerm) {
+				if (cPerm == 'O')
+					this();
+				else if (tPerm && (!cPerm ||
+						permEqualOrGreater(tPerm, cPerm))) {
+					this(new Error("Sorry, you can't modify '" + tPerm +
+						"' users."));
+				}
+				else if (!nick) {
+					// Channel overrides above the caller's level stay put
+					var chanPerms = acl.getChanPerms(cmdId);
+					this(Object.keys(chanPerms).some(function(chan) {
+						return !permEqualOrGreater(cPerm, chanPerms[chan]);
+					}) ? new Error("Sorry, you can't clear permissions \
+above your own.") : null);
+				}
+				else
+					this();
+			})
+			.seq(function clearAcl() {
+				var entry = acl.getEntry(cmdId);
+				if (!acl.clear(cmdId, nick)) {
+					return this(new Error(nick ? nick + " isn't allowed or \
+denied '" + cmdId + "'." : "'" + cmdId + "' has no ACL."));
+				}
+				(nick ? [nick] : (entry.allow || [])).forEach(pruneAccount);
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				ctx.reply(nick ? nick + " is no longer allowed \
+or denied '" + cmdId + "'." : "ACL for '" + cmdId + "' cleared.");
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	/**
+	 * Lists the overrides in a command's ACL, or the IDs of every command
+	 * with an ACL, in a series of NOTICE commands on IRC.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which the
+	 *      ACL should be sent
+	 * @param {String} [cmdId] The ID of the command whose ACL should be
+	 *      listed.  Omit to list the commands with ACLs.
+	 */
+	function listAcl(ctx, cmdId) {
+		if (!cmdId) {
+			var cmdIds = acl.getCommandIds();
+			if (!cmdIds.length)
+				return ctx.reply('No commands have an ACL.');
+			ctx.reply('Commands with an ACL:');
+			return ctx.reply(cmdIds.join(', '));
+		}
+		var entry = acl.getEntry(cmdId);
+		if (!entry)
+			return ctx.reply("'" + cmdId + "' has no ACL.");
+		ctx.reply("ACL for '" + cmdId + "':");
+		if (entry.channels) {
+			ctx.reply('  Permissions: ' +
+				Object.keys(entry.channels).sort().map(function(chan) {
+					return chan + ' [' + entry.channels[chan] + ']';
+				}).join(', '));
+		}
+		if (entry.allow)
+			ctx.reply('  Allowed: ' + entry.allow.join(', '));
+		if (entry.deny)
+			ctx.reply('  Denied: ' + entry.deny.join(', '));
+	}
+
+	/**
+	 * Creates a new, empty group.  Group names share a namespace with
+	 * custom roles, so they can be used as a command's minPermission.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} group The name of the group
+	 */
+	function createGroup(ctx, group) {
+		var lowGroup = group.toLowerCase();
+		if (!ROLE_NAME.test(lowGroup)) {
+			return ctx.error("Group names must start with a \
+letter and be at least two characters long.");
+		}
+		if (isGroup(lowGroup) || perms.hasOwnProperty(lowGroup)) {
+			return ctx.error("A group or role named '" +
+				lowGroup + "' already exists.");
+		}
+		config.groups[lowGroup] = [];
+		saveConfig(function(err) {
+			if (err)
+				ctx.error(err.message);
+			else
+				ctx.reply("Group '" + lowGroup + "' created.");
+		});
+	}
+
+	/**
+	 * Deletes a group, removing it from every command's ACL.  Members left
+	 * without any permission are deleted as well.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} group The name of the group
+	 */
+	function deleteGroup(ctx, group) {
+		var lowGroup = group.toLowerCase(),
+			members = config.groups[lowGroup];
+		if (!isGroup(lowGroup)) {
+			return ctx.error("Group '" + group +
+				"' does not exist.");
+		}
+		delete config.groups[lowGroup];
+		acl.purge(lowGroup);
+		acl.purge(GROUP_PREFIX + lowGroup);
+		members.forEach(pruneAccount);
+		saveConfig(function(err) {
+			if (err)
+				ctx.error(err.message);
+			else
+				ctx.reply("Group '" + lowGroup + "' deleted.");
+		});
+	}
+
+	/**
+	 * Adds a user to a group, creating an account for them if they don't
+	 * have one yet.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} group The name of the group
+	 * @param {String} nick The nick of the user to be added
+	 * @param {String} [argStr] An auth method and hostmasks for a new
+	 *      account, as parsed by {@link #parseUserArgs}
+	 */
+	function addGroupMember(ctx, group, nick, argStr) {
+		var lowGroup = group.toLowerCase(),
+			lowNick = nick.toLowerCase(),
+			args = parseUserArgs(argStr),
+			err = checkAccountArgs(nick, args);
+		if (!isGroup(lowGroup))
+			err = new Error("Group '" + group + "' does not exist.");
+		else if (config.groups[lowGroup].indexOf(lowNick) != -1) {
+			err = new Error("User '" + nick + "' is already in '" +
+				lowGroup + "'.");
+		}
+		if (err)
+			return ctx.error(err.message);
+		getOrCreateAccount(nick, args);
+		config.groups[lowGroup].push(lowNick);
+		config.groups[lowGroup].sort();
+		saveConfig(function(err) {
+			if (err)
+				ctx.error(err.message);
+			else
+				ctx.reply("User '" + nick + "' added to '" + lowGroup + "'.");
+		});
+	}
+
+	/**
+	 * Removes a user from a group.  If that leaves the user without any
+	 * permission, their account is deleted.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} group The name of the group
+	 * @param {String} nick The nick of the user to be removed
+	 */
+	function removeGroupMember(ctx, group, nick) {
+		var lowGroup = group.toLowerCase(),
+			lowNick = nick.toLowerCase(),
+			members = config.groups[lowGroup] || [],
+			idx = members.indexOf(lowNick);
+		if (!isGroup(lowGroup)) {
+			return ctx.error("Group '" + group +
+				"' does not exist.");
+		}
+		if (idx == -1) {
+			return ctx.error("User '" + nick +
+				"' is not in '" + lowGroup + "'.");
+		}
+		members.splice(idx, 1);
+		pruneAccount(lowNick);
+		saveConfig(function(err) {
+			if (err)
+				ctx.error(err.message);
+			else
+				ctx.reply("User '" + nick + "' removed from '" + lowGroup +
+					"'.");
+		});
+	}
+
+	/**
+	 * Lists every group, or the members of a single group, in a series of
+	 * NOTICE commands on IRC.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which the
+	 *      list should be sent
+	 * @param {String} [group] The group whose members should be listed.
+	 *      Omit to list every group.
+	 */
+	function listGroups(ctx, group) {
+		if (group) {
+			var members = config.groups[group.toLowerCase()];
+			if (!members) {
+				return ctx.error("Group '" + group +
+					"' does not exist.");
+			}
+			ctx.reply("Members of '" + group.toLowerCase() +
+				"':");
+			return ctx.reply(members.length ?
+				members.join('  ') : '(none)');
+		}
+		var groups = Object.keys(config.groups).sort();
+		if (!groups.length)
+			return ctx.reply('No groups have been created.');
+		ctx.reply('All groups:');
+		ctx.reply(groups.map(function(name) {
+			return name + ' (' + config.groups[name].length + ')';
+		}).join('  '));
+	}
+
+	/**
+	 * Lists all active sessions in a series of NOTICE commands on IRC.
+	 *
+	 * @param {CommandContext} ctx The context of the command, through which the
+	 *      session list should be sent
+	 */
+	function listSessions(ctx) {
+		var list = sessions.list();
+		if (!list.length)
+			return ctx.reply('There are no active sessions.');
+		ctx.reply('All active sessions:');
+		list.forEach(function(session) {
+			var age = Math.round((Date.now() - session.created) / 60000);
+			ctx.reply(formatAccount(session.user,
+				session.hostmask) + ' via ' + session.authMethod + ', ' +
+				age + 'm old' +
+				(session.expires ? ', expires in ' + Math.ceil(
+				(session.expires - Date.now()) / 60000) + 'm' : ''));
+		});
+	}
+
+	/**
+	 * Creates or updates a user's global account, with a new global permission
+	 * (O, S, or P) and an optional authMethod.  The account creator must have
+	 * the appropriate permissions to create a user at their given permission
+	 * level.
+	 *
+	 * @param {String} creator The nick of the user creating or modifying
+	 *      the account
+	 * @param {CommandContext} ctx The context of the command, through which
+	 *      responses are sent
+	 * @param {String} nick The nick of the user to create or update
+	 * @param {String} perm The permission char or custom role to assign to
+	 *      this user
+	 * @param {String} [argStr] The optional arguments of the command: an
+	 *      auth method to use for this user's account (omit to accept the
+	 *      default, which is recommended), and hostmasks to be added or
+	 *      removed, as parsed by {@link #parseUserArgs}
+	 * @param {boolean} [existing] true if the nick's account is already
+	 *      existing, or false if it should be created.  If the status of
+	 *      the account does not coincide with this value, an error will be
+	 *      reported. Omit to eliminate this check.
+	 */
+	function userSetPermission(creator, ctx, nick, perm, argStr,
+			existing) {
+		var lowNick = nick.toLowerCase(),
+			isNew = !config.users[lowNick] || !config.users[lowNick].perm,
+			args = parseUserArgs(argStr),
+			masks;
+		Seq()
+			.seq(function checkRole() {
+				if (!perms.hasOwnProperty(perm))
+					this(new Error("Role '" + perm + "' does not exist."));
+				else
+					this();
+			})
+			.seq(function checkExists() {
+				if (existing != undefined) {
+					if (!existing && !isNew) {
+						this(new Error("User '" + nick +
+							"' already exists."));
+					}
+					else if (existing && isNew)
+						this(new Error("User '" + nick + "' not found."));
+					else
+						this();
+				}
+				else this();
+			})
+			.seq(function getCreatorPerm() {
+				getGlobalPerm(creator, this);
+			})
+			.seq(function checkPerm(cPerm) {
+				var tPerm;
+				if (!isNew)
+					tPerm = config.users[lowNick].perm;
+				if (!cPerm || (cPerm != 'O' &&
+						permEqualOrGreater(perm, cPerm))) {
+					this(new Error("Sorry, you can't set users to '" + perm +
+						"'."));
+				}
+				else if (tPerm && permEqualOrGreater(tPerm, cPerm)) {
+					this(new Error("Sorry, you can't modify '" + tPerm +
+						"' users."));
+				}
+				else this();
+			})
+			.seq(function checkAuthArgs() {
+				masks = getNewMasks(config.users[lowNick] || {}, args);
+				this(checkAuthSettings(args.authMethod, masks));
+			})
+			.seq(function createUser() {
+				var user = config.users[lowNick] || {};
+				user.perm = perm;
+				setAuthSettings(user, args.authMethod, masks);
+				config.users[lowNick] = user;
+				sessions.destroyUser(lowNick, 'user updated');
+				saveConfig(this);
+			})
+			.seq(function complete() {
+				ctx.reply('User [' + perm + ']' + nick +
+					(isNew ? ' created.' : ' saved.') + (masks.length ?
+					' Hostmasks: ' + masks.join(', ') : ''));
+			})
+			.catch(function(err) {
+				ctx.error(err.message);
+			});
+	}
+
+	return {
+		name: 'Permissions',
 		desc: "Provides user permission checking per channel or globally",
 		author: 'Tom Frost',
 		commands: {
 			viewperm: {
 				handler: function(from, to, target, args) {
-					var inChan = false;
-					if (to[0] == '#' || to[0] == '&')
-						inChan = true;
-					var replyTo = inChan ? to : from;
+					var ctx = this;
 					getPermission(args[1], args[2], function(err, perm) {
 						if (err) {
 							console.log(err.stack);
-							client.say(replyTo, 'Error checking permission');
+							ctx.error('Error checking permission');
 						}
 						else if (perm === null) {
-							client.say(replyTo, 'I know nothing about ' +
-								args[1] + (args[2] ? ' on ' + args[2] :
+							ctx.reply('I know nothing about ' + args[1] +
+								(args[2] ? ' on ' + args[2] :
 								' outside of a channel'));
 						}
 						else {
-							client.say(replyTo, args[1] + ' is [' +
-								perm + ']' + PERMS[perm].name + (args[2] ?
+							ctx.reply(args[1] + ' is [' + perm + ']' +
+								getPermName(perm) + (args[2] ?
 								' on ' + args[2] : '') + '.');
 						}
-					})
+					});
 				},
 				desc: "View any user's permission level",
 				help: [
@@ -633,77 +1992,77 @@ module.exports = function(config, client, modMan) {
 			},
 			adduser: {
 				handler: function(from, to, target, args) {
-					var inChan = false;
-					if (to[0] == '#' || to[0] == '&')
-						inChan = true;
-					var replyTo = inChan ? to : from;
-					userSetPermission(from, replyTo, args[1], args[2],
-						args[3], false);
+					userSetPermission(from, this, args[1], args[2], args[3],
+						false);
 				},
 				desc: "Adds a global user with privileged permissions",
 				help: [
-					"Format: {cmd} <nick> <perm> [authMethod]",
+					"Format: {cmd} <nick> <perm> [authMethod] \
+[[+|-]hostmask ...]",
 					"  nick: The nickname of the user to be added",
-					"  perm: One of O, S, or P:",
+					"  perm: One of O, S, or P, or a custom role:",
 					"    O: Owner. Full access to all commands, cannot be \
 revoked.",
 					"    S: SuperUser. Full access to all commands, except \
 those which may impact other Owners or SuperUsers.",
 					"    P: PowerUser. Limited access to global command set.",
+					"    Custom roles: " + (roleNames.join(', ') || 'none'),
 					"  authMethod: The method by which this user will be \
 authenticated.",
 					"    (if not specified, '" + config.defaultAuthMethod +
 						"' is configured to be used)",
+					"  hostmask: A nick!user@host mask to be added to the \
+user, or removed if prefixed with -.  Wildcards (* and ?) are allowed.  \
+Used by the Hostmask auth method.",
 					" ",
 					"Unless being set by an Owner, permission can only be \
 set underneath your own level.",
 					" ",
-					"Example:",
-					"  /msg {nick} {cmd} Bob S"
+					"Examples:",
+					"  /msg {nick} {cmd} Bob S",
+					"  /msg {nick} {cmd} Bob S Hostmask *!bob@*.example.com"
 				],
 				minPermission: 'S',
-				pattern: /^(\S+)\s+([OSP])(?:\s+(\S+))?$/
+				pattern: /^(\S+)\s+([OSP]|[a-z][a-z0-9_-]+)((?:\s+\S+)*)$/
 			},
 			updateuser: {
 				handler: function(from, to, target, args) {
-					var inChan = false;
-					if (to[0] == '#' || to[0] == '&')
-						inChan = true;
-					var replyTo = inChan ? to : from;
-					userSetPermission(from, replyTo, args[1], args[2],
-						args[3], true);
+					userSetPermission(from, this, args[1], args[2], args[3],
+						true);
 				},
 				desc: "Modifies a global user's permissions",
 				help: [
-					"Format: {cmd} <nick> <perm> [authMethod]",
+					"Format: {cmd} <nick> <perm> [authMethod] \
+[[+|-]hostmask ...]",
 					"  nick: The nickname of the user to be added",
-					"  perm: One of O, S, or P:",
+					"  perm: One of O, S, or P, or a custom role:",
 					"    O: Owner. Full access to all commands, cannot be \
 revoked.",
 					"    S: SuperUser. Full access to all commands, except \
 those which may impact other Owners or SuperUsers.",
 					"    P: PowerUser. Limited access to global command set.",
+					"    Custom roles: " + (roleNames.join(', ') || 'none'),
 					"  authMethod: The method by which this user will be \
 authenticated.",
 					"    (if not specified, '" + config.defaultAuthMethod +
 						"' is configured to be used)",
+					"  hostmask: A nick!user@host mask to be added to the \
+user, or removed if prefixed with -.  Wildcards (* and ?) are allowed.  \
+Used by the Hostmask auth method.",
 					" ",
 					"Unless being set by an Owner, permission can only be \
 set underneath your own level.",
 					" ",
-					"Example:",
-					"  /msg {nick} {cmd} Bob P"
+					"Examples:",
+					"  /msg {nick} {cmd} Bob P",
+					"  /msg {nick} {cmd} Bob P -*!bob@old.example.com"
 				],
 				minPermission: 'S',
-				pattern: /^(\S+)\s+([OSP])(?:\s+(\S+))?$/
+				pattern: /^(\S+)\s+([OSP]|[a-z][a-z0-9_-]+)((?:\s+\S+)*)$/
 			},
 			deleteuser: {
 				handler: function(from, to, target, args) {
-					var inChan = false;
-					if (to[0] == '#' || to[0] == '&')
-						inChan = true;
-					var replyTo = inChan ? to : from;
-					deleteUser(from, args[1], replyTo);
+					deleteUser(from, args[1], this);
 				},
 				desc: "Deletes a global user",
 				help: [
@@ -721,11 +2080,7 @@ current permission level can be deleted.",
 			},
 			listusers: {
 				handler: function(from, to, target, args) {
-					var inChan = false;
-					if (to[0] == '#' || to[0] == '&')
-						inChan = true;
-					var replyTo = inChan ? to : from;
-					listUsers(replyTo);
+					listUsers(this);
 				},
 				desc: "Lists all global bot users",
 				help: [
@@ -735,27 +2090,436 @@ current permission level can be deleted.",
 					"  /msg {nick} {cmd}"
 				],
 				minPermission: 'P'
+			},
+			login: {
+				handler: function(from, to, target, args) {
+					if (to[0] == '#' || to[0] == '&')
+						this.replyPrivately(PASSWORD_IN_CHANNEL);
+					else
+						login(from, args[1], this);
+				},
+				desc: "Logs into your global user account with a password",
+				help: [
+					"Format: {cmd} <password>",
+					"  password: The password set with the passwd command",
+					" ",
+					"Your login lasts until you log out, quit, or leave \
+every channel I'm in.  Only send this command in a private message!",
+					" ",
+					"Example:",
+					"  /msg {nick} {cmd} hunter2"
+				],
+				pattern: /^(\S+)$/,
+				sensitive: true
+			},
+			logout: {
+				handler: function(from, to, target, args) {
+					logout(from, this);
+				},
+				desc: "Logs out of your global user account",
+				help: [
+					"Format: {cmd}",
+					" ",
+					"Example:",
+					"  /msg {nick} {cmd}"
+				]
+			},
+			prefs: {
+				handler: function(from, to, target, args) {
+					var ctx = this,
+						prefs;
+					if (args[2]) {
+						setPreference(from, args[1], args[2], function(err) {
+							if (err)
+								ctx.error(err.message);
+							else {
+								ctx.reply('Preference ' +
+									args[1].toLowerCase() + ' set to ' +
+									args[2].toLowerCase() + '.');
+							}
+						});
+					}
+					else if (args[1])
+						ctx.error('Format: prefs [<preference> <value>]');
+					else {
+						prefs = getPreferences(from) || {};
+						ctx.reply('Your preferences: ' +
+							Object.keys(PREFERENCES).map(function(pref) {
+								return pref + '=' + (prefs[pref] ||
+									PREFERENCES[pref][0]);
+							}).join(', '));
+					}
+				},
+				desc: "Views or sets how replies are sent to you",
+				help: [
+					"Format: {cmd} [<preference> <value>]",
+					"  preference: One of:",
+					"    replymethod: 'notice' or 'message', to be \
+answered with notices or regular messages",
+					"    replyin: 'channel' or 'private', to be answered \
+in the channel where the command was said, or always privately",
+					" ",
+					"Setting preferences requires being logged into a user \
+account.  With no arguments, your current preferences are listed.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd}",
+					"  /msg {nick} {cmd} replymethod message",
+					"  {!}{cmd} replyin private"
+				],
+				pattern: /^(?:(\S+)(?:\s+(\S+))?)?$/
+			},
+			passwd: {
+				handler: function(from, to, target, args) {
+					if (to[0] == '#' || to[0] == '&')
+						this.replyPrivately(PASSWORD_IN_CHANNEL);
+					else if (args[2])
+						setPassword(from, this, args[1], args[2]);
+					else
+						setPassword(from, this, from, args[1]);
+				},
+				desc: "Sets the password for a global user account",
+				help: [
+					"Format: {cmd} [nick] <password>",
+					"  nick: The user whose password should be set, if not \
+your own",
+					"  password: The new password",
+					" ",
+					"Users can change their own password once logged in.  \
+Setting another user's password requires a higher permission than theirs, \
+and logs them out.  Only send this command in a private message!",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} correcthorsebatterystaple",
+					"  /msg {nick} {cmd} Bob hunter2"
+				],
+				pattern: /^(\S+)(?:\s+(\S+))?$/,
+				sensitive: true
+			},
+			addchanuser: {
+				handler: function(from, to, target, args) {
+					setChanUser(from, this, target, args[1], args[2],
+						args[3]);
+				},
+				desc: "Gives a user a permission on a channel",
+				help: [
+					"Format: {cmd} [#channel] <nick> <perm> [authMethod] \
+[hostmask ...]",
+					"  #channel: The channel on which the permission applies. \
+Defaults to the current channel.",
+					"  nick: The nickname of the user",
+					"  perm: One of ~, &, @, %, or +",
+					"  authMethod, hostmask: For users who don't have an \
+account yet, the method by which they will be authenticated, and the \
+hostmasks used by the Hostmask auth method.  Only global users can set \
+these.",
+					" ",
+					"Once authenticated, the user has this permission for \
+my commands on the channel, whether or not they hold the matching channel \
+mode.  Permission can only be given underneath your own level.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} #ops Bob @",
+					"  {!}{cmd} Bob +"
+				],
+				minPermission: '%',
+				targetChannel: true,
+				pattern: /^(\S+)\s+([~&@%+])((?:\s+\S+)*)$/
+			},
+			delchanuser: {
+				handler: function(from, to, target, args) {
+					delChanUser(from, this, target, args[1]);
+				},
+				desc: "Removes a user's permission on a channel",
+				help: [
+					"Format: {cmd} [#channel] <nick>",
+					"  #channel: The channel on which the permission applies. \
+Defaults to the current channel.",
+					"  nick: The user whose permission should be removed",
+					" ",
+					"Only users underneath your own level can be removed.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} #ops Bob",
+					"  {!}{cmd} Bob"
+				],
+				minPermission: '%',
+				targetChannel: true,
+				pattern: /^(\S+)$/
+			},
+			listchanusers: {
+				handler: function(from, to, target, args) {
+					listChanUsers(target, this);
+				},
+				desc: "Lists the users given permissions on a channel",
+				help: [
+					"Format: {cmd} [#channel]",
+					"  #channel: The channel whose users should be listed. \
+Defaults to the current channel.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} #ops",
+					"  {!}{cmd}"
+				],
+				minPermission: '%',
+				targetChannel: true
+			},
+			setcmdperm: {
+				handler: function(from, to, target, args) {
+					setCommandPerm(from, this, args[1].toLowerCase(), args[2],
+						args[3] == 'default' ? null : args[3]);
+				},
+				desc: "Sets the permission a command requires on a channel",
+				help: [
+					"Format: {cmd} <command> <#channel> <perm|default>",
+					"  command: The command whose permission should be set",
+					"  #channel: The channel on which the permission applies",
+					"  perm: One of O, S, P, ~, &, @, %, or +, a custom role, \
+or a group, to be required instead of the command's usual permission.  Use \
+'default' to require the usual permission again.",
+					" ",
+					"Unless set by an Owner, permissions can only be set for \
+commands you can execute, and not above your own level.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} say #announcements P",
+					"  /msg {nick} {cmd} say #announcements default"
+				],
+				minPermission: 'S',
+				pattern: /^(\S+)\s+([#&]\S+)\s+(\S+)$/
+			},
+			allowcmd: {
+				handler: function(from, to, target, args) {
+					setCommandAccess(from, this, args[1].toLowerCase(),
+						args[2], true, args[3]);
+				},
+				desc: "Allows a user to execute a command regardless of \
+permission",
+				help: [
+					"Format: {cmd} <command> <nick> [authMethod] \
+[hostmask ...]",
+					"  command: The command to be allowed",
+					"  nick: The nickname of the user, or group:NAME for a \
+group",
+					"  authMethod, hostmask: For users who don't have an \
+account yet, the method by which they will be authenticated, and the \
+hostmasks used by the Hostmask auth method.  Only global users can set \
+these.",
+					" ",
+					"Once authenticated, the user can execute the command \
+anywhere, whatever their permission.  Unless set by an Owner, only commands \
+you can execute can be allowed, and only to users underneath your own level.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} reloadmod Bob",
+					"  /msg {nick} {cmd} say Bob Hostmask *!bob@*.example.com"
+				],
+				minPermission: 'S',
+				pattern: /^(\S+)\s+(\S+)((?:\s+\S+)*)$/
+			},
+			denycmd: {
+				handler: function(from, to, target, args) {
+					setCommandAccess(from, this, args[1].toLowerCase(),
+						args[2], false);
+				},
+				desc: "Prevents a user from executing a command",
+				help: [
+					"Format: {cmd} <command> <nick>",
+					"  command: The command to be denied",
+					"  nick: The nickname of the user, or group:NAME for a \
+group",
+					" ",
+					"The nick can't execute the command, whatever its \
+permission, unless it's authenticated as an Owner.  Unless set by an Owner, \
+only commands you can execute can be denied, and only to users underneath \
+your own level.",
+					" ",
+					"Example:",
+					"  /msg {nick} {cmd} say Bob"
+				],
+				minPermission: 'S',
+				pattern: /^(\S+)\s+(\S+)$/
+			},
+			clearacl: {
+				handler: function(from, to, target, args) {
+					clearCommandAcl(from, this, args[1].toLowerCase(), args[2]);
+				},
+				desc: "Removes a user's access override for a command, or \
+every override",
+				help: [
+					"Format: {cmd} <command> [nick]",
+					"  command: The command whose ACL should be cleared",
+					"  nick: The user who should no longer be allowed or \
+denied the command.  If omitted, every channel permission, allowance, and \
+denial for the command is removed.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} say Bob",
+					"  /msg {nick} {cmd} reloadmod"
+				],
+				minPermission: 'S',
+				pattern: /^(\S+)(?:\s+(\S+))?$/
+			},
+			viewacl: {
+				handler: function(from, to, target, args) {
+					listAcl(this, args[1] && args[1].toLowerCase());
+				},
+				desc: "Shows the access overrides for a command",
+				help: [
+					"Format: {cmd} [command]",
+					"  command: The command whose ACL should be shown.  If \
+omitted, every command with an ACL is listed.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd}",
+					"  /msg {nick} {cmd} say"
+				],
+				minPermission: 'S',
+				pattern: /^(\S+)?$/
+			},
+			addgroup: {
+				handler: function(from, to, target, args) {
+					createGroup(this, args[1]);
+				},
+				desc: "Creates a group of users",
+				help: [
+					"Format: {cmd} <group>",
+					"  group: The name of the group",
+					" ",
+					"Groups can be allowed or denied commands with allowcmd \
+and denycmd, or required for a command with setcmdperm.",
+					" ",
+					"Example:",
+					"  /msg {nick} {cmd} deployers"
+				],
+				minPermission: 'O',
+				pattern: /^(\S+)$/
+			},
+			delgroup: {
+				handler: function(from, to, target, args) {
+					deleteGroup(this, args[1]);
+				},
+				desc: "Deletes a group of users",
+				help: [
+					"Format: {cmd} <group>",
+					"  group: The group to be deleted",
+					" ",
+					"Example:",
+					"  /msg {nick} {cmd} deployers"
+				],
+				minPermission: 'O',
+				pattern: /^(\S+)$/
+			},
+			addmember: {
+				handler: function(from, to, target, args) {
+					addGroupMember(this, args[1], args[2], args[3]);
+				},
+				desc: "Adds a user to a group",
+				help: [
+					"Format: {cmd} <group> <nick> [authMethod] \
+[hostmask ...]",
+					"  group: The group the user should be added to",
+					"  nick: The nickname of the user",
+					"  authMethod, hostmask: For users who don't have an \
+account yet, the method by which they will be authenticated, and the \
+hostmasks used by the Hostmask auth method",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd} deployers Bob",
+					"  /msg {nick} {cmd} deployers Bob Hostmask \
+*!bob@*.example.com"
+				],
+				minPermission: 'O',
+				pattern: /^(\S+)\s+(\S+)((?:\s+\S+)*)$/
+			},
+			delmember: {
+				handler: function(from, to, target, args) {
+					removeGroupMember(this, args[1], args[2]);
+				},
+				desc: "Removes a user from a group",
+				help: [
+					"Format: {cmd} <group> <nick>",
+					"  group: The group the user should be removed from",
+					"  nick: The nickname of the user",
+					" ",
+					"Example:",
+					"  /msg {nick} {cmd} deployers Bob"
+				],
+				minPermission: 'O',
+				pattern: /^(\S+)\s+(\S+)$/
+			},
+			listgroups: {
+				handler: function(from, to, target, args) {
+					listGroups(this, args[1]);
+				},
+				desc: "Lists the groups of users, or a group's members",
+				help: [
+					"Format: {cmd} [group]",
+					"  group: The group whose members should be listed.  If \
+omitted, every group is listed.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd}",
+					"  /msg {nick} {cmd} deployers"
+				],
+				minPermission: 'P',
+				pattern: /^(\S+)?$/
+			},
+			sessions: {
+				handler: function(from, to, target, args) {
+					if (!args[1])
+						listSessions(this);
+					else if (sessions.destroy(args[1], 'revoked by ' + from)) {
+						this.reply('Session for ' + args[1] +
+							' revoked.');
+					}
+					else
+						this.reply(args[1] + ' has no session.');
+				},
+				desc: "Lists or revokes authenticated user sessions",
+				help: [
+					"Format: {cmd} [revoke <nick>]",
+					"  nick: The user whose session should be revoked.  They \
+will need to be authenticated again on their next command.",
+					" ",
+					"Examples:",
+					"  /msg {nick} {cmd}",
+					"  /msg {nick} {cmd} revoke Bob"
+				],
+				minPermission: 'O',
+				pattern: /^(?:revoke\s+(\S+))?$/
 			}
 		},
 		blockUnload: true,
+		acl: acl,
+		sessions: sessions,
+		canExecute: canExecute,
+		getAccountPerm: getAccountPerm,
 		getPermission: getPermission,
+		getPerms: getPerms,
+		getPreferences: getPreferences,
+		getUserGroups: getUserGroups,
 		getHighestPermission: getHighestPermission,
 		getPermName: getPermName,
 		hasPermission: hasPermission,
+		isCommandVisible: isCommandVisible,
+		isGroup: isGroup,
 		permEqualOrGreater: permEqualOrGreater,
 		unload: function() {
 			objUtil.forEach(authMods, function(id, authMod) {
 				if (authMod.unload)
 					authMod.unload();
 			});
-			client.removeListener('nick', nickHandler);
-			client.removeListener('part', partHandler);
-			client.removeListener('quit', quitHandler);
+			sessions.unload();
 		}
 	};
 };
 
 module.exports.configDefaults = {
+	acl: {},
 	defaultAuthMethod: 'NickServ',
+	groups: {},
+	roles: {},
+	sessionTTL: 3600,
 	users: {}
 };
@@ -0,0 +1,472 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * The capabilities requested when a network's config does not specify its
+ * own list in server.caps.
+ * @type {Array}
+ */
+const DEFAULT_CAPS = [
+	'account-notify',
+	'account-tag',
+	'away-notify',
+	'extended-join',
+	'message-tags',
+	'server-time'
+];
+
+/**
+ * Capabilities that Toady requests whenever they're offered, because the
+ * negotiation layer itself relies on them.
+ * @type {Array}
+ */
+const INTERNAL_CAPS = ['cap-notify'];
+
+/**
+ * The maximum length of the capability list in a single CAP REQ
+ * @type {Number}
+ */
+const MAX_REQ_LENGTH = 400;
+
+/**
+ * Capabilities negotiates IRCv3 capabilities with the server each time the
+ * client connects.  It sends 'CAP LS', requests every wanted capability the
+ * server offers, and ends negotiation with 'CAP END' once every request has
+ * been answered and nothing is holding negotiation open (SASL, for example,
+ * holds it open until authentication finishes).  Capabilities the server
+ * offers or withdraws later, through cap-notify, are handled as well.
+ *
+ * Capabilities can be wanted at any time, including after the bot has
+ * registered; if the server offers them, they are requested immediately.
+ *
+ * Capabilities also turns the messages enabled by some capabilities into
+ * events, fired on the IRC client:
+ *      - away - args: nick, away message (or null if the user is back),
+ *        message object.  Requires away-notify.
+ *      - account - args: nick, account name (or null if the user logged
+ *        out), message object.  Requires account-notify.
+ *
+ * And it fires the following events on the IRC client as negotiation
+ * proceeds:
+ *      - capLs - args: An array of all capabilities the server offers
+ *      - capAck - args: An array of capabilities the server enabled
+ *      - capNak - args: An array of capabilities the server refused
+ *      - capDel - args: An array of capabilities the server withdrew
+ *      - capEnd - args: An array of all enabled capabilities.  This fires
+ *        once per connection, when negotiation is complete, even if the
+ *        server does not support capability negotiation at all.
+ *
+ * @param {Object} client The IRC client for which to negotiate.  It must
+ *      send 'CAP LS 302' before registering; see {@link Client}.
+ * @param {Array} [wanted] An array of capability names to be requested.
+ *      Omit to request {@link #DEFAULT_CAPS}.
+ * @constructor
+ */
+var Capabilities = function(client, wanted) {
+
+	/**
+	 * The IRC client being negotiated for
+	 * @type {Object}
+	 * @private
+	 */
+	this._client = client;
+
+	/**
+	 * A map of every wanted capability name to true
+	 * @type {Object}
+	 * @private
+	 */
+	this._wanted = {};
+
+	/**
+	 * A map of capabilities offered by the server to their values (or true,
+	 * if the capability has no value)
+	 * @type {Object}
+	 * @private
+	 */
+	this._offered = {};
+
+	/**
+	 * A map of enabled capability names to true
+	 * @type {Object}
+	 * @private
+	 */
+	this._enabled = {};
+
+	/**
+	 * true while negotiation is in progress, before CAP END has been sent
+	 * @type {boolean}
+	 * @private
+	 */
+	this._negotiating = false;
+
+	/**
+	 * true once negotiation has finished for the current connection
+	 * @type {boolean}
+	 * @private
+	 */
+	this._done = false;
+
+	/**
+	 * true once the server's full CAP LS reply has been received
+	 * @type {boolean}
+	 * @private
+	 */
+	this._listed = false;
+
+	/**
+	 * The number of CAP REQs awaiting an ACK or NAK
+	 * @type {Number}
+	 * @private
+	 */
+	this._pendingReqs = 0;
+
+	/**
+	 * A map of capability names in a CAP REQ awaiting an ACK or NAK to true
+	 * @type {Object}
+	 * @private
+	 */
+	this._requested = {};
+
+	/**
+	 * A map of capability names the server has refused on this connection
+	 * to true.  These aren't requested again unless the server offers them
+	 * anew.
+	 * @type {Object}
+	 * @private
+	 */
+	this._refused = {};
+
+	/**
+	 * The number of holds keeping negotiation from ending
+	 * @type {Number}
+	 * @private
+	 */
+	this._holds = 0;
+
+	this.want(wanted || DEFAULT_CAPS);
+	this.want(INTERNAL_CAPS);
+	var self = this;
+	client.on('connect', function() {
+		self._offered = {};
+		self._enabled = {};
+		self._negotiating = true;
+		self._done = false;
+		self._listed = false;
+		self._pendingReqs = 0;
+		self._requested = {};
+		self._refused = {};
+		self._holds = 0;
+	});
+	client.on('raw', this._handleRaw.bind(this));
+	client.on('registered', function() {
+		// The server registered us without negotiating; it doesn't support
+		// CAP.
+		if (self._negotiating)
+			self._finish();
+	});
+};
+
+/**
+ * Exposes the default capability list.
+ * @type {Array}
+ */
+Capabilities.DEFAULT_CAPS = DEFAULT_CAPS;
+
+/**
+ * Ends negotiation if the server has listed its capabilities, every request
+ * has been answered, and there are no holds.
+ *
+ * @private
+ */
+Capabilities.prototype._checkEnd = function() {
+	if (this._negotiating && this._listed && !this._pendingReqs &&
+			!this._holds) {
+		this._client.send('CAP', 'END');
+		this._finish();
+	}
+};
+
+/**
+ * Marks negotiation as complete and fires the capEnd event.
+ *
+ * @private
+ */
+Capabilities.prototype._finish = function() {
+	this._negotiating = false;
+	this._done = true;
+	this._client.emit('capEnd', this.getEnabled());
+};
+
+/**
+ * Handles a CAP message from the server.
+ *
+ * @param {Array} args The arguments of the CAP message: the target, the
+ *      subcommand, an optional '*' indicating that more lines will follow,
+ *      and the space-separated list of capabilities
+ * @private
+ */
+Capabilities.prototype._handleCap = function(args) {
+	var self = this,
+		more = args.length > 3 && args[2] == '*',
+		caps = parseCapList(args[args.length - 1]),
+		names = Object.keys(caps);
+	switch (args[1]) {
+		case 'LS':
+			names.forEach(function(name) {
+				self._offered[name] = caps[name];
+			});
+			if (!more) {
+				this._listed = true;
+				this._client.emit('capLs', Object.keys(this._offered));
+				this._requestWanted();
+				this._checkEnd();
+			}
+			break;
+		case 'NEW':
+			names.forEach(function(name) {
+				self._offered[name] = caps[name];
+				delete self._refused[name];
+			});
+			this._requestWanted();
+			break;
+		case 'ACK':
+			names.forEach(function(name) {
+				if (name[0] == '-')
+					delete self._enabled[name.substr(1)];
+				else {
+					delete self._requested[name];
+					self._enabled[name] = true;
+				}
+			});
+			this._pendingReqs--;
+			this._client.emit('capAck', names);
+			this._checkEnd();
+			break;
+		case 'NAK':
+			this._pendingReqs--;
+			names.forEach(function(name) {
+				delete self._requested[name];
+			});
+			if (names.length > 1) {
+				// One refused capability fails the whole request, so retry
+				// them individually to enable all the others.
+				names.forEach(function(name) {
+					self._request([name]);
+				});
+			}
+			else {
+				names.forEach(function(name) {
+					self._refused[name] = true;
+				});
+				this._client.emit('capNak', names);
+			}
+			this._checkEnd();
+			break;
+		case 'DEL':
+			names.forEach(function(name) {
+				delete self._offered[name];
+				delete self._enabled[name];
+			});
+			this._client.emit('capDel', names);
+			break;
+	}
+};
+
+/**
+ * Processes raw messages from the server that relate to capabilities.
+ *
+ * @param {Object} message A message object from the IRC library
+ * @private
+ */
+Capabilities.prototype._handleRaw = function(message) {
+	switch (message.command) {
+		case 'CAP':
+			this._handleCap(message.args);
+			break;
+		case 'err_unknowncommand':
+			if (this._negotiating && message.args[1] == 'CAP')
+				this._finish();
+			break;
+		case 'AWAY':
+			this._client.emit('away', message.nick,
+				message.args.length ? message.args[0] : null, message);
+			break;
+		case 'ACCOUNT':
+			this._client.emit('account', message.nick,
+				message.args[0] == '*' ? null : message.args[0], message);
+			break;
+	}
+};
+
+/**
+ * Sends a CAP REQ for the given capabilities, splitting the list across
+ * multiple requests if it's too long for one line.
+ *
+ * @param {Array} names The capability names to be requested
+ * @private
+ */
+Capabilities.prototype._request = function(names) {
+	var line = '',
+		self = this;
+	function send() {
+		self._pendingReqs++;
+		self._client.send('CAP', 'REQ', line);
+		line = '';
+	}
+	names.forEach(function(name) {
+		if (line.length + name.length + 1 > MAX_REQ_LENGTH)
+			send();
+		line += (line ? ' ' : '') + name;
+		self._requested[name] = true;
+	});
+	if (line)
+		send();
+};
+
+/**
+ * Requests every wanted capability that the server offers and has not yet
+ * enabled, skipping those already requested and those the server has
+ * refused.
+ *
+ * @private
+ */
+Capabilities.prototype._requestWanted = function() {
+	var self = this,
+		names = Object.keys(this._wanted).filter(function(name) {
+			return self._offered.hasOwnProperty(name) &&
+				!self._enabled[name] && !self._requested[name] &&
+				!self._refused[name];
+		});
+	if (names.length)
+		this._request(names);
+};
+
+/**
+ * Gets an array of all capabilities currently enabled on this connection.
+ *
+ * @returns {Array} The enabled capability names
+ */
+Capabilities.prototype.getEnabled = function() {
+	return Object.keys(this._enabled);
+};
+
+/**
+ * Gets the value the server advertised for an offered capability, such as
+ * the list of mechanisms for 'sasl'.
+ *
+ * @param {String} name The capability name
+ * @returns {String|boolean|null} The capability's value, true if it was
+ *      offered without a value, or null if it was not offered
+ */
+Capabilities.prototype.getValue = function(name) {
+	return this._offered.hasOwnProperty(name) ? this._offered[name] : null;
+};
+
+/**
+ * Prevents negotiation from ending until {@link #release} is called.  This
+ * should only be called from a capAck listener, for capabilities that need
+ * an exchange with the server before registration, such as SASL.
+ */
+Capabilities.prototype.hold = function() {
+	this._holds++;
+};
+
+/**
+ * Indicates whether capability negotiation has finished for the current
+ * connection.
+ *
+ * @returns {boolean} true if negotiation is over; false if it's underway or
+ *      the client has not connected
+ */
+Capabilities.prototype.isDone = function() {
+	return this._done;
+};
+
+/**
+ * Indicates whether a capability is enabled on this connection.
+ *
+ * @param {String} name The capability name
+ * @returns {boolean} true if the capability is enabled; false otherwise
+ */
+Capabilities.prototype.isEnabled = function(name) {
+	return !!this._enabled[name];
+};
+
+/**
+ * Indicates whether the server offers a capability, whether or not it has
+ * been enabled.
+ *
+ * @param {String} name The capability name
+ * @returns {boolean} true if the capability is offered; false otherwise
+ */
+Capabilities.prototype.isOffered = function(name) {
+	return this._offered.hasOwnProperty(name);
+};
+
+/**
+ * Indicates whether a capability has been requested and is still awaiting
+ * the server's ACK or NAK.
+ *
+ * @param {String} name The capability name
+ * @returns {boolean} true if the capability's request is pending; false
+ *      otherwise
+ */
+Capabilities.prototype.isPending = function(name) {
+	return !!this._requested[name];
+};
+
+/**
+ * Releases a hold placed with {@link #hold}, ending negotiation if nothing
+ * else is outstanding.
+ */
+Capabilities.prototype.release = function() {
+	if (this._holds > 0)
+		this._holds--;
+	this._checkEnd();
+};
+
+/**
+ * Adds capabilities to the wanted list.  If the server has already listed
+ * its capabilities and offers any of these, they are requested
+ * immediately, unless they're already enabled, awaiting an answer, or were
+ * refused on this connection.
+ *
+ * @param {Array|String} names A capability name or array of names
+ */
+Capabilities.prototype.want = function(names) {
+	var self = this;
+	if (typeof names == 'string')
+		names = [names];
+	names.forEach(function(name) {
+		self._wanted[name] = true;
+	});
+	if (this._listed)
+		this._requestWanted();
+};
+
+/**
+ * Parses a space-separated list of capabilities, some of which may have
+ * values in the format "name=value".
+ *
+ * @param {String} str The capability list
+ * @returns {Object} A mapping of capability names to their values, or true
+ *      for capabilities without a value
+ */
+function parseCapList(str) {
+	var caps = {};
+	str.trim().split(/\s+/).forEach(function(cap) {
+		if (cap) {
+			var eq = cap.indexOf('=');
+			if (eq == -1)
+				caps[cap] = true;
+			else
+				caps[cap.substr(0, eq)] = cap.substr(eq + 1);
+		}
+	});
+	return caps;
+}
+
+module.exports = Capabilities;
@@ -4,30 +4,403 @@
  */
 
 // Dependencies
-var config = require('config'),
-	irc = require('irc');
-
-var client = new irc.Client(
-	config.server.host,
-	config.identity.nick,
-	{
-		userName: config.identity.user,
-		realName: config.identity.name,
-		port: config.server.port || 6667,
-		password: config.server.password || null,
-		debug: true,
-		showErrors: true,
-		autoRejoin: true,
-		autoConnect: false,
-		channels: config.server.channels || [],
-		secure: config.server.ssl || false,
-		selfSigned: true,
-		certExpired: true,
-		floodProtection: !!config.server.floodDelay,
-		floodProtectionDelay: config.server.floodDelay,
-		stripColors: true,
-		channelPrefixes: "&#",
-		messageSplit: config.server.messageLength || 512
+var fs = require('fs'),
+	util = require('util'),
+	irc = require('irc'),
+	parseMessage = require('irc/lib/parse_message'),
+	Capabilities = require('./Capabilities'),
+	SaslAuthenticator = require('./SaslAuthenticator'),
+	SendQueue = require('./SendQueue');
+
+/**
+ * Commands that are handled by Toady during capability negotiation, and
+ * must not reach the IRC library's own partial SASL implementation.
+ * @type {Object}
+ */
+const NEGOTIATION_COMMANDS = {
+	CAP: true,
+	AUTHENTICATE: true,
+	'903': true
+};
+
+/**
+ * Commands that carry a message from a user, and can be dropped by a message
+ * filter
+ * @type {Object}
+ */
+const FILTERED_COMMANDS = {
+	PRIVMSG: true,
+	NOTICE: true,
+	INVITE: true
+};
+
+/**
+ * Commands that are paced by the send queue.  Anything else is sent
+ * immediately.
+ * @type {Object}
+ */
+const QUEUED_COMMANDS = {
+	PRIVMSG: true,
+	NOTICE: true
+};
+
+/**
+ * The escape sequences allowed in IRCv3 message tag values
+ * @type {Object}
+ */
+const TAG_ESCAPES = {
+	':': ';',
+	s: ' ',
+	'\\': '\\',
+	r: '\r',
+	n: '\n'
+};
+
+/**
+ * The Toady IRC client is a node-irc Client, configured from a network's
+ * 'server' and 'identity' config sections, with support for IRCv3
+ * capability negotiation and message tags, and for authenticating with SASL
+ * before registration.  See {@link Capabilities} for the capability
+ * negotiation events, and {@link SaslAuthenticator} for the options accepted
+ * in the identity's 'sasl' section.
+ *
+ * Every message object the client emits, in 'raw' and the events derived
+ * from it, has a 'tags' property: an object mapping the names of the IRCv3
+ * tags sent with the message to their values, or to true for tags without a
+ * value.  Messages sent without tags have an empty 'tags' object.
+ *
+ * Messages and notices sent by the bot are paced by a {@link SendQueue},
+ * configured in the server's 'sendQueue' section.  The say, notice, and
+ * action functions accept a priority as an optional third argument, which
+ * is one of the lanes in {@link SendQueue#PRIORITIES}.
+ *
+ * Messages, notices, and invites from users can be dropped before the IRC
+ * library turns them into events, by registering a filter with
+ * {@link #addMessageFilter}.  They are still emitted in 'raw'.
+ *
+ * @param {Object} netConf A network config object, as returned by
+ *      {@link Networks#getNetworkConfig}
+ * @constructor
+ * @throws {Error} if the SASL configuration is invalid
+ */
+var Client = function(netConf) {
+	var server = netConf.server || {},
+		identity = netConf.identity || {},
+		sasl = identity.sasl,
+		secure = server.ssl || false;
+	if (sasl && (sasl.cert || sasl.key)) {
+		if (!server.ssl) {
+			throw new Error("A SASL certificate requires 'ssl' to be enabled " +
+				"for network '" + netConf.id + "'");
+		}
+		secure = {
+			cert: fs.readFileSync(sasl.cert),
+			key: fs.readFileSync(sasl.key)
+		};
+	}
+	irc.Client.call(this,
+		server.host,
+		identity.nick,
+		{
+			userName: identity.user,
+			realName: identity.name,
+			port: server.port || 6667,
+			password: server.password || null,
+			debug: true,
+			showErrors: true,
+			autoRejoin: true,
+			autoConnect: false,
+			channels: server.channels || [],
+			secure: secure,
+			selfSigned: true,
+			certExpired: true,
+			stripColors: true,
+			channelPrefixes: "&#",
+			messageSplit: server.messageLength || 512
+		});
+
+	/**
+	 * The functions deciding which user messages are dropped
+	 * @type {Array}
+	 * @private
+	 */
+	this._messageFilters = [];
+	this._shieldLibraryRaw();
+
+	/**
+	 * The priority of the text currently being sent by {@link #_speak}
+	 * @type {String|null}
+	 * @private
+	 */
+	this._speakPriority = null;
+
+	/**
+	 * The queue pacing the messages and notices sent by this client
+	 * @type {SendQueue}
+	 */
+	this.sendQueue = new SendQueue(function(line) {
+		irc.Client.prototype.send.apply(this, line);
+	}.bind(this), server.sendQueue);
+
+	/**
+	 * The capability negotiator for this client
+	 * @type {Capabilities}
+	 */
+	this.caps = new Capabilities(this, server.caps);
+
+	/**
+	 * The SASL authenticator for this client, if SASL is configured
+	 * @type {SaslAuthenticator|null}
+	 */
+	this.sasl = sasl ? new SaslAuthenticator(this, sasl) : null;
+};
+util.inherits(Client, irc.Client);
+
+/**
+ * Indicates whether a message from a user should be dropped by one of the
+ * registered message filters.
+ *
+ * @param {Object} message A message object from the IRC library
+ * @returns {boolean} true if the message should be dropped; false otherwise
+ * @private
+ */
+Client.prototype._isFiltered = function(message) {
+	if (!FILTERED_COMMANDS[message.command] || !message.nick)
+		return false;
+	return this._messageFilters.some(function(filter) {
+		return filter(message);
+	});
+};
+
+/**
+ * Wraps the 'raw' listener that the IRC library attaches to itself, so
+ * that capability negotiation messages are handled only by Toady, and
+ * filtered messages aren't handled at all.
+ *
+ * @private
+ */
+Client.prototype._shieldLibraryRaw = function() {
+	var libRaw = this.listeners('raw')[0];
+	this.removeListener('raw', libRaw);
+	this.on('raw', function(message) {
+		// The library would log a CAP that we sent as an unknown command
+		// error, on servers that don't support negotiation.
+		if (!NEGOTIATION_COMMANDS[message.command] &&
+				!(message.command == 'err_unknowncommand' &&
+				message.args[1] == 'CAP') && !this._isFiltered(message)) {
+			libRaw.call(this, message);
+		}
+	});
+};
+
+/**
+ * Registers a function that decides whether a message from a user should
+ * be dropped.  Filters are consulted for every PRIVMSG, NOTICE, and INVITE
+ * sent by a user, and a message that any filter rejects never reaches the
+ * 'message', 'notice', 'ctcp', 'invite', or related events.
+ *
+ * @param {Function} filter A function accepting the IRC library's message
+ *      object, and returning true if the message should be dropped
+ */
+Client.prototype.addMessageFilter = function(filter) {
+	this._messageFilters.push(filter);
+};
+
+/**
+ * Removes a message filter registered with {@link #addMessageFilter}.
+ *
+ * @param {Function} filter The filter to be removed
+ */
+Client.prototype.removeMessageFilter = function(filter) {
+	var idx = this._messageFilters.indexOf(filter);
+	if (idx != -1)
+		this._messageFilters.splice(idx, 1);
+};
+
+/**
+ * Splits text into lines and sends each one with the given priority.  See
+ * the IRC library's _speak.
+ *
+ * @param {String} kind The command to be sent, PRIVMSG or NOTICE
+ * @param {String} target The nick or channel to which the text is sent
+ * @param {String} text The text to be sent
+ * @param {String} [priority] The send queue priority of the text
+ * @private
+ */
+Client.prototype._speak = function(kind, target, text, priority) {
+	this._speakPriority = priority || null;
+	try {
+		irc.Client.prototype._speak.call(this, kind, target, text);
+	}
+	finally {
+		this._speakPriority = null;
+	}
+};
+
+/**
+ * Begins capability negotiation before the IRC library sends the bot's
+ * NICK and USER.  The server holds registration until negotiation ends with
+ * 'CAP END'.
+ *
+ * @private
+ */
+Client.prototype._connectionHandler = function() {
+	this.send('CAP', 'LS', '302');
+	irc.Client.prototype._connectionHandler.call(this);
+};
+
+/**
+ * Replaces the IRC library's handler for incoming data on the current
+ * connection with one that understands IRCv3 message tags, which the
+ * library cannot parse.
+ *
+ * @private
+ */
+Client.prototype._replaceDataHandler = function() {
+	var self = this,
+		buffer = '';
+	this.conn.removeAllListeners('data');
+	this.conn.on('data', function(chunk) {
+		buffer += self.convertEncoding(chunk).toString();
+		var lines = buffer.split(/\r\n|\r|\n/);
+		buffer = lines.pop();
+		lines.forEach(function(line) {
+			if (!line.length)
+				return;
+			var tags = {};
+			if (line[0] == '@') {
+				var space = line.indexOf(' ');
+				tags = parseTags(line.substring(1, space));
+				line = line.substr(space + 1).replace(/^ +/, '');
+			}
+			var message = parseMessage(line, self.opt.stripColors);
+			message.tags = tags;
+			try {
+				self.emit('raw', message);
+			}
+			catch (err) {
+				if (!self.conn.requestedDisconnect)
+					throw err;
+			}
+		});
+	});
+};
+
+/**
+ * Sends an action to a channel or nick, as with /me.
+ *
+ * @param {String} target The nick or channel to which the action is sent
+ * @param {String} text The text of the action
+ * @param {String} [priority] The send queue priority of the action
+ */
+Client.prototype.action = function(target, text, priority) {
+	var self = this;
+	if (typeof text == 'undefined')
+		return;
+	text.toString().split(/\r?\n/).forEach(function(line) {
+		if (line.length)
+			self.say(target, '\u0001ACTION ' + line + '\u0001', priority);
+	});
+};
+
+/**
+ * Opens a connection to the server.  See the IRC library's documentation
+ * for the arguments accepted.  The send queue is cleared whenever the
+ * connection closes.
+ */
+Client.prototype.connect = function() {
+	var self = this,
+		conn;
+	this.sendQueue.clear();
+	irc.Client.prototype.connect.apply(this, arguments);
+	this._replaceDataHandler();
+	conn = this.conn;
+	conn.on('close', function() {
+		if (self.conn == conn)
+			self.sendQueue.clear();
+	});
+};
+
+/**
+ * Sends a notice to a channel or nick.
+ *
+ * @param {String} target The nick or channel to which the notice is sent
+ * @param {String} text The text of the notice
+ * @param {String} [priority] The send queue priority of the notice
+ */
+Client.prototype.notice = function(target, text, priority) {
+	this._speak('NOTICE', target, text, priority);
+};
+
+/**
+ * Sends a message to a channel or nick.
+ *
+ * @param {String} target The nick or channel to which the message is sent
+ * @param {String} text The text of the message
+ * @param {String} [priority] The send queue priority of the message
+ */
+Client.prototype.say = function(target, text, priority) {
+	this._speak('PRIVMSG', target, text, priority);
+};
+
+/**
+ * Sends a line to the server.  Messages and notices are added to the send
+ * queue; anything else is sent at once.  See the IRC library's send.
+ *
+ * @param {String} command The command to be sent, followed by its
+ *      arguments
+ */
+Client.prototype.send = function(command) {
+	var line = Array.prototype.slice.call(arguments);
+	if (QUEUED_COMMANDS[command] && line.length > 1)
+		this.sendQueue.push(line[1], line, this._speakPriority);
+	else {
+		this.sendQueue.spend();
+		irc.Client.prototype.send.apply(this, line);
+	}
+};
+
+/**
+ * Parses the tags section of an IRCv3 message.
+ *
+ * @param {String} str The tags section, without the leading '@'
+ * @returns {Object} A mapping of tag names to their unescaped values, or to
+ *      true for tags without a value
+ */
+function parseTags(str) {
+	var tags = {};
+	str.split(';').forEach(function(tag) {
+		if (!tag)
+			return;
+		var eq = tag.indexOf('=');
+		if (eq == -1)
+			tags[tag] = true;
+		else {
+			tags[tag.substr(0, eq)] = tag.substr(eq + 1).replace(/\\(.?)/g,
+				function(match, chr) {
+					if (TAG_ESCAPES.hasOwnProperty(chr))
+						return TAG_ESCAPES[chr];
+					return chr;
+				});
+		}
 	});
+	return tags;
+}
+
+/**
+ * Creates a new IRC client for a single network.  The client is not
+ * connected automatically.
+ *
+ * @param {Object} netConf A network config object, as returned by
+ *      {@link Networks#getNetworkConfig}
+ * @returns {Client} A new Toady IRC client
+ * @throws {Error} if the network's configuration is invalid
+ */
+function createClient(netConf) {
+	return new Client(netConf);
+}
 
-module.exports = client;
+module.exports = {
+	Client: Client,
+	createClient: createClient
+};
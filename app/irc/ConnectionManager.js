@@ -0,0 +1,380 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var events = require('events'),
+	util = require('util'),
+	objUtil = require('../util/Object');
+
+/**
+ * The states a connection can be in.
+ * @type {Object}
+ */
+const STATES = {
+	IDLE: 'idle',
+	CONNECTING: 'connecting',
+	REGISTERED: 'registered',
+	DISCONNECTED: 'disconnected',
+	BACKING_OFF: 'backoff'
+};
+
+/**
+ * Default reconnection settings, each of which can be overridden in the
+ * 'reconnect' section of a network's 'server' config.
+ * @type {Object}
+ */
+const DEFAULTS = {
+	// Milliseconds to wait before the first reconnection attempt
+	initialDelay: 2000,
+	// The longest that Toady will ever wait between attempts
+	maxDelay: 300000,
+	// The factor by which the delay grows after each failed attempt
+	multiplier: 2,
+	// The fraction by which each delay is randomly lengthened or shortened,
+	// so that several bots dropped by the same netsplit don't all return
+	// at once
+	jitter: 0.2,
+	// The number of consecutive attempts to make before giving up; 0 retries
+	// forever
+	maxAttempts: 0,
+	// Milliseconds to wait for the server to accept our registration before
+	// dropping the connection and trying again
+	registerTimeout: 60000,
+	// Milliseconds of silence from the server after which the connection is
+	// considered dead.  A PING is sent after half this time.  0 to disable.
+	pingTimeout: 240000
+};
+
+/**
+ * The ConnectionManager keeps a network's IRC client connected.  It takes
+ * over reconnection from the IRC library, tracking the connection through
+ * the states in {@link #STATES}:
+ *
+ *      idle -> connecting -> registered -> disconnected -> backoff
+ *                  ^                                          |
+ *                  +------------------------------------------+
+ *
+ * A connection that drops for any reason other than a call to
+ * {@link #disconnect} is retried with exponential backoff.  Every channel the
+ * bot is in when the connection drops, whether it came from the config file
+ * or was joined at runtime, is rejoined once the bot is registered again.
+ *
+ * The ConnectionManager fires the following events:
+ *
+ *   When the connection changes state:
+ *      - state - args: A state descriptor (see below)
+ *      - STATE_NAME - args: A state descriptor (see below)
+ *
+ * A state descriptor is an object with the following properties:
+ *      - {String} state: The new state
+ *      - {String} prevState: The state being left
+ *      - {Number} attempt: The number of consecutive connection attempts
+ *        made without successfully registering; 0 once registered
+ *      - {Number} delay: For the backoff state, the number of milliseconds
+ *        until the next attempt
+ *      - {Error} error: For the disconnected state, the network error that
+ *        caused the disconnect, if one is known
+ *      - {boolean} requested: For the disconnected state, true if the
+ *        disconnect was requested rather than caused by a failure
+ *
+ * @param {Object} client The IRC client to be managed
+ * @param {Object} netConf The config object for the client's network, as
+ *      returned by {@link Networks#getNetworkConfig}
+ * @constructor
+ */
+var ConnectionManager = function(client, netConf) {
+	events.EventEmitter.call(this);
+	var server = netConf.server || {};
+
+	/**
+	 * The managed IRC client
+	 * @type {Object}
+	 * @private
+	 */
+	this._client = client;
+
+	/**
+	 * The ID of the client's network, used for logging
+	 * @type {String}
+	 * @private
+	 */
+	this._netId = netConf.id;
+
+	/**
+	 * The reconnection settings in effect
+	 * @type {Object}
+	 * @private
+	 */
+	this._opts = objUtil.merge(DEFAULTS, server.reconnect);
+
+	/**
+	 * The current state, one of {@link #STATES}
+	 * @type {String}
+	 * @private
+	 */
+	this._state = STATES.IDLE;
+
+	/**
+	 * The number of consecutive attempts made without registering
+	 * @type {Number}
+	 * @private
+	 */
+	this._attempt = 0;
+
+	/**
+	 * The timestamp of the last line received from the server
+	 * @type {Number}
+	 * @private
+	 */
+	this._lastActivity = 0;
+
+	/**
+	 * Pending timeouts and intervals, keyed by purpose
+	 * @type {Object}
+	 * @private
+	 */
+	this._timers = {};
+
+	// Retries are ours now; make the library give up after any close.
+	client.opt.retryCount = 0;
+	this._bindClient();
+};
+util.inherits(ConnectionManager, events.EventEmitter);
+
+/**
+ * Exposes the state names so that listeners can compare against them.
+ * @type {Object}
+ */
+ConnectionManager.STATES = STATES;
+
+/**
+ * Attaches the listeners that allow the manager to track the client's
+ * registration, activity, and channels.
+ *
+ * @private
+ */
+ConnectionManager.prototype._bindClient = function() {
+	var self = this,
+		client = this._client;
+	client.on('registered', function() {
+		self._clearTimer('register');
+		self._attempt = 0;
+		self._setState(STATES.REGISTERED);
+	});
+	client.on('raw', function() {
+		self._lastActivity = Date.now();
+	});
+	client.on('join', function(channel, nick) {
+		if (nick == client.nick)
+			self._trackChannel(channel, true);
+	});
+	client.on('part', function(channel, nick) {
+		if (nick == client.nick)
+			self._trackChannel(channel, false);
+	});
+};
+
+/**
+ * Gets the delay for the next connection attempt, based on the number of
+ * attempts that have already failed.
+ *
+ * @returns {Number} The number of milliseconds to wait
+ * @private
+ */
+ConnectionManager.prototype._getDelay = function() {
+	var opts = this._opts,
+		delay = opts.initialDelay *
+			Math.pow(opts.multiplier, Math.max(this._attempt - 1, 0));
+	delay = Math.min(delay, opts.maxDelay);
+	delay *= 1 - opts.jitter + (Math.random() * 2 * opts.jitter);
+	return Math.round(delay);
+};
+
+/**
+ * Called when the client's socket closes, for any reason.  Unless the
+ * disconnect was requested, this schedules the next connection attempt.
+ *
+ * @param {Object} conn The socket that closed
+ * @param {Error|null} error The last network error on that socket, if any
+ * @private
+ */
+ConnectionManager.prototype._handleClose = function(conn, error) {
+	if (conn != this._client.conn)
+		return;
+	this._clearTimer('register');
+	this._clearTimer('ping');
+	this._setState(STATES.DISCONNECTED, {
+		error: error,
+		requested: !!conn.requestedDisconnect
+	});
+	if (conn.requestedDisconnect)
+		return;
+	if (this._opts.maxAttempts && this._attempt >= this._opts.maxAttempts) {
+		console.log('[' + this._netId + '] Giving up after ' + this._attempt +
+			' connection attempts.');
+		return;
+	}
+	var self = this,
+		delay = this._getDelay();
+	this._setState(STATES.BACKING_OFF, {delay: delay});
+	this._timers.backoff = setTimeout(function() {
+		delete self._timers.backoff;
+		self.connect();
+	}, delay);
+};
+
+/**
+ * Checks the time since the server last sent anything.  After half the
+ * configured pingTimeout, the server is pinged; after the full timeout, the
+ * connection is considered dead and dropped so that it can be retried.
+ *
+ * @private
+ */
+ConnectionManager.prototype._checkActivity = function() {
+	if (this._state != STATES.REGISTERED)
+		return;
+	var idle = Date.now() - this._lastActivity,
+		timeout = this._opts.pingTimeout;
+	if (idle >= timeout) {
+		console.log('[' + this._netId + '] No response from server in ' +
+			idle + 'ms; dropping connection.');
+		this._client.conn.destroy();
+	}
+	else if (idle >= timeout / 2)
+		this._client.send('PING', 'toady');
+};
+
+/**
+ * Cancels a pending timer.
+ *
+ * @param {String} name The name of the timer to be cancelled
+ * @private
+ */
+ConnectionManager.prototype._clearTimer = function(name) {
+	if (this._timers[name]) {
+		clearTimeout(this._timers[name]);
+		clearInterval(this._timers[name]);
+		delete this._timers[name];
+	}
+};
+
+/**
+ * Changes the connection state and fires the appropriate events.
+ *
+ * @param {String} state The new state, one of {@link #STATES}
+ * @param {Object} [info] Additional properties to be included in the
+ *      state descriptor
+ * @private
+ */
+ConnectionManager.prototype._setState = function(state, info) {
+	var desc = objUtil.merge({
+		state: state,
+		prevState: this._state,
+		attempt: this._attempt
+	}, info);
+	this._state = state;
+	this.emit('state', desc);
+	this.emit(state, desc);
+};
+
+/**
+ * Adds or removes a channel from the list the IRC library joins upon
+ * registration, so that channels joined or parted by any means are
+ * remembered across reconnects.
+ *
+ * @param {String} channel The channel name
+ * @param {boolean} joined true if the bot joined the channel; false if it
+ *      left
+ * @private
+ */
+ConnectionManager.prototype._trackChannel = function(channel, joined) {
+	var channels = this._client.opt.channels,
+		lowChan = channel.toLowerCase();
+	for (var i = 0; i < channels.length; i++) {
+		if (channels[i].split(' ')[0].toLowerCase() == lowChan) {
+			if (!joined)
+				channels.splice(i, 1);
+			return;
+		}
+	}
+	if (joined)
+		channels.push(channel);
+};
+
+/**
+ * Opens a new connection to the server.  If a reconnection attempt is
+ * pending, it happens immediately instead.  This has no effect if the
+ * client is already connecting or connected.
+ */
+ConnectionManager.prototype.connect = function() {
+	if (this._state == STATES.CONNECTING || this._state == STATES.REGISTERED)
+		return;
+	var self = this,
+		client = this._client,
+		error = null;
+	this._clearTimer('backoff');
+	this._clearTimer('ping');
+	this._attempt++;
+	this._setState(STATES.CONNECTING);
+	client.connect();
+	var conn = client.conn;
+	conn.on('error', function(err) {
+		error = err;
+	});
+	conn.on('close', function() {
+		self._handleClose(conn, error);
+	});
+	this._lastActivity = Date.now();
+	this._timers.register = setTimeout(function() {
+		delete self._timers.register;
+		console.log('[' + self._netId + '] Registration timed out; ' +
+			'dropping connection.');
+		conn.destroy();
+	}, this._opts.registerTimeout);
+	if (this._opts.pingTimeout) {
+		this._timers.ping = setInterval(this._checkActivity.bind(this),
+			this._opts.pingTimeout / 2);
+	}
+};
+
+/**
+ * Disconnects from the server without reconnecting.  Any pending
+ * reconnection attempt is cancelled.
+ *
+ * @param {String} [message] The quit message to be sent
+ * @param {Function} [cb] A callback function to be executed once the
+ *      connection has closed
+ */
+ConnectionManager.prototype.disconnect = function(message, cb) {
+	this._clearTimer('backoff');
+	if (this._state == STATES.CONNECTING || this._state == STATES.REGISTERED)
+		this._client.disconnect(message, cb);
+	else {
+		this._setState(STATES.DISCONNECTED, {requested: true});
+		if (cb)
+			cb();
+	}
+};
+
+/**
+ * Gets the current connection state.
+ *
+ * @returns {String} One of {@link #STATES}
+ */
+ConnectionManager.prototype.getState = function() {
+	return this._state;
+};
+
+/**
+ * Indicates whether the bot is currently registered with the server, and
+ * therefore able to send and receive messages.
+ *
+ * @returns {boolean} true if registered; false otherwise
+ */
+ConnectionManager.prototype.isConnected = function() {
+	return this._state == STATES.REGISTERED;
+};
+
+module.exports = ConnectionManager;
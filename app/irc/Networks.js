@@ -0,0 +1,94 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var config = require('config'),
+	objUtil = require('../util/Object');
+
+const DEFAULT_NETWORK = 'default';
+const NETWORKS_KEY = 'networks';
+
+/**
+ * Gets an array of the IDs of all configured networks.  If the config file
+ * does not contain a 'networks' section, Toady is running in single-network
+ * mode and the only ID returned will be {@link #DEFAULT_NETWORK}.
+ *
+ * @returns {Array} An array of network ID strings
+ */
+function getNetworkIds() {
+	if (config[NETWORKS_KEY])
+		return Object.keys(config[NETWORKS_KEY]);
+	return [DEFAULT_NETWORK];
+}
+
+/**
+ * Gets the complete configuration for a single network.  The network's
+ * config is built by starting with every top-level section of the config
+ * file (server, identity, mod_*, etc), and deep-merging the matching
+ * section under 'networks' on top of it.  This allows identity and mod
+ * settings to be written once at the top level and overridden only where
+ * a network needs something different:
+ *
+ *      identity:
+ *        nick: Toady
+ *      mod_users:
+ *        owner: Bob
+ *      networks:
+ *        freenode:
+ *          server:
+ *            host: irc.freenode.net
+ *        efnet:
+ *          server:
+ *            host: irc.efnet.org
+ *          mod_users:
+ *            owner: Bobby
+ *
+ * The returned object has one additional property not found in the config
+ * file:
+ *      - {String} id: The ID of the network
+ *
+ * @param {String} netId The ID of the network whose config should be
+ *      returned
+ * @returns {Object|null} The network's config object, or null if no such
+ *      network is configured
+ */
+function getNetworkConfig(netId) {
+	var base = {},
+		netConf;
+	objUtil.forEach(config, function(key, val) {
+		if (key != NETWORKS_KEY)
+			base[key] = val;
+	});
+	if (config[NETWORKS_KEY]) {
+		if (!config[NETWORKS_KEY][netId])
+			return null;
+		netConf = objUtil.deepMerge(base, config[NETWORKS_KEY][netId]);
+	}
+	else if (netId == DEFAULT_NETWORK)
+		netConf = objUtil.clone(base);
+	else
+		return null;
+	netConf.id = netId;
+	return netConf;
+}
+
+/**
+ * Indicates whether Toady has been configured to connect to more than one
+ * network.  This is useful for deciding whether output should be
+ * qualified with the name of the network it refers to.
+ *
+ * @returns {boolean} true if more than one network is configured; false
+ *      otherwise
+ */
+function isMultiNetwork() {
+	return getNetworkIds().length > 1;
+}
+
+module.exports = {
+	DEFAULT_NETWORK: DEFAULT_NETWORK,
+	getNetworkConfig: getNetworkConfig,
+	getNetworkIds: getNetworkIds,
+	isMultiNetwork: isMultiNetwork
+};
@@ -0,0 +1,221 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+const MECHANISMS = {
+	PLAIN: true,
+	EXTERNAL: true
+};
+const CHUNK_SIZE = 400;
+const FAIL_NUMERICS = {
+	'902': "Toady's nick is locked by services",
+	'904': "The server rejected Toady's credentials",
+	'905': "The SASL credentials are too long",
+	'906': "SASL authentication was aborted",
+	'907': "Toady is already authenticated",
+	'908': "The server does not support this SASL mechanism"
+};
+
+/**
+ * The SaslAuthenticator logs the bot into its services account while
+ * connecting, before the bot registers with the server.  This allows the bot
+ * to join channels that require registration (+r) as soon as it connects,
+ * rather than waiting to identify with NickServ.
+ *
+ * Two mechanisms are supported:
+ *      - PLAIN: The bot sends an account name and password
+ *      - EXTERNAL: The bot presents a TLS client certificate (CertFP) that
+ *        has been added to its services account.  This requires the
+ *        connection to use SSL, with the 'cert' and 'key' options set.
+ *
+ * The following options are accepted, usually from the 'sasl' section of a
+ * network's 'identity' config:
+ *      - mechanism (default PLAIN): Either PLAIN or EXTERNAL
+ *      - account (default: the bot's nick): The services account name
+ *      - password: For PLAIN, the services account password
+ *      - cert: For EXTERNAL, the path to the client certificate
+ *      - key: For EXTERNAL, the path to the certificate's private key
+ *      - required (default true): If authentication fails, disconnect
+ *        rather than continuing to connect without being logged in
+ *
+ * The authenticator fires the following events on the IRC client:
+ *      - saslSuccess - args: The name of the account logged into
+ *      - saslFailure - args: An Error object describing the failure
+ *
+ * @param {Object} client The IRC client to be authenticated.  Its 'caps'
+ *      property must be the {@link Capabilities} negotiating for it.
+ * @param {Object} opts The SASL options, as described above
+ * @constructor
+ */
+var SaslAuthenticator = function(client, opts) {
+	var mechanism = (opts.mechanism || 'PLAIN').toUpperCase();
+	if (!MECHANISMS[mechanism])
+		throw new Error("Unknown SASL mechanism '" + opts.mechanism + "'");
+	if (mechanism == 'PLAIN' && !opts.password)
+		throw new Error("SASL PLAIN requires a 'password'");
+
+	/**
+	 * The IRC client being authenticated
+	 * @type {Object}
+	 * @private
+	 */
+	this._client = client;
+
+	/**
+	 * The SASL mechanism in use
+	 * @type {String}
+	 * @private
+	 */
+	this._mechanism = mechanism;
+
+	/**
+	 * The SASL options in effect
+	 * @type {Object}
+	 * @private
+	 */
+	this._opts = opts;
+
+	/**
+	 * true while authentication is underway for the current connection
+	 * @type {boolean}
+	 * @private
+	 */
+	this._pending = false;
+
+	/**
+	 * true while this authenticator is holding capability negotiation open
+	 * @type {boolean}
+	 * @private
+	 */
+	this._holding = false;
+
+	/**
+	 * The account name the bot is logged into, once authenticated
+	 * @type {String|null}
+	 * @private
+	 */
+	this._account = null;
+
+	var self = this;
+	client.caps.want('sasl');
+	client.on('connect', function() {
+		self._pending = true;
+		self._holding = false;
+		self._account = null;
+	});
+	client.on('raw', this._handleRaw.bind(this));
+	client.on('capLs', function(caps) {
+		if (self._pending && caps.indexOf('sasl') == -1)
+			self._fail(new Error("The server does not offer SASL"));
+	});
+	client.on('capAck', function(caps) {
+		if (self._pending && caps.indexOf('sasl') != -1) {
+			self._holding = true;
+			client.caps.hold();
+			client.send('AUTHENTICATE', self._mechanism);
+		}
+	});
+	client.on('capNak', function(caps) {
+		if (self._pending && caps.indexOf('sasl') != -1)
+			self._fail(new Error("The server refused the SASL capability"));
+	});
+	client.on('capEnd', function() {
+		if (self._pending) {
+			self._fail(new Error("The server does not support IRCv3 " +
+				"capability negotiation"));
+		}
+	});
+};
+
+/**
+ * Ends authentication for the current connection, allowing capability
+ * negotiation, and therefore registration, to complete.
+ *
+ * @private
+ */
+SaslAuthenticator.prototype._end = function() {
+	this._pending = false;
+	if (this._holding) {
+		this._holding = false;
+		this._client.caps.release();
+	}
+};
+
+/**
+ * Reports an authentication failure and either disconnects, if SASL is
+ * required, or continues connecting without being logged in.
+ *
+ * @param {Error} err An error describing the failure
+ * @private
+ */
+SaslAuthenticator.prototype._fail = function(err) {
+	err.message = 'SASL authentication failed: ' + err.message;
+	this._client.emit('saslFailure', err);
+	if (this._opts.required !== false) {
+		this._pending = false;
+		this._client.disconnect('SASL authentication failed');
+	}
+	else
+		this._end();
+};
+
+/**
+ * Processes the AUTHENTICATE and SASL numeric replies from the server
+ * during negotiation.
+ *
+ * @param {Object} message A message object from the IRC library
+ * @private
+ */
+SaslAuthenticator.prototype._handleRaw = function(message) {
+	if (!this._pending)
+		return;
+	switch (message.command) {
+		case 'AUTHENTICATE':
+			if (message.args[0] == '+')
+				this._sendCredentials();
+			break;
+		case '900':
+			this._account = message.args[2];
+			break;
+		case '903':
+			this._end();
+			this._client.emit('saslSuccess', this._account);
+			break;
+		default:
+			if (FAIL_NUMERICS[message.command])
+				this._fail(new Error(FAIL_NUMERICS[message.command]));
+	}
+};
+
+/**
+ * Sends the credentials for the configured mechanism, split into chunks
+ * as required by the SASL specification.
+ *
+ * @private
+ */
+SaslAuthenticator.prototype._sendCredentials = function() {
+	var payload = '';
+	if (this._mechanism == 'PLAIN') {
+		var account = this._opts.account || this._client.opt.nick;
+		payload = Buffer.from(account + '\0' + account + '\0' +
+			this._opts.password).toString('base64');
+	}
+	for (var i = 0; i < payload.length; i += CHUNK_SIZE)
+		this._client.send('AUTHENTICATE', payload.substr(i, CHUNK_SIZE));
+	if (payload.length % CHUNK_SIZE === 0)
+		this._client.send('AUTHENTICATE', '+');
+};
+
+/**
+ * Gets the services account the bot logged into during the current
+ * connection.
+ *
+ * @returns {String|null} The account name, or null if the bot is not
+ *      authenticated
+ */
+SaslAuthenticator.prototype.getAccount = function() {
+	return this._account;
+};
+
+module.exports = SaslAuthenticator;
@@ -0,0 +1,265 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var objUtil = require('../util/Object');
+
+/**
+ * The priority lanes of the queue, from first to last served.
+ * @type {Array}
+ */
+const PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * The lane used for messages sent without a priority.
+ * @type {String}
+ */
+const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * Default pacing settings, each of which can be overridden in the
+ * 'sendQueue' section of a network's 'server' config.  The defaults stay
+ * under the flood limits of common ircds, which allow a short burst of
+ * lines and then roughly one line every two seconds.
+ * @type {Object}
+ */
+const DEFAULTS = {
+	// The number of lines that can be sent at once after a quiet period
+	burst: 5,
+	// Milliseconds for the allowance to grow by one line; 0 disables pacing
+	interval: 2000
+};
+
+/**
+ * The SendQueue paces the lines Toady sends to the server, so that it's
+ * never disconnected for flooding.  Pacing follows a token bucket: each line
+ * spends a token, the bucket holds up to 'burst' tokens, and one token is
+ * added every 'interval' milliseconds.
+ *
+ * Queued lines wait in one of the lanes in {@link #PRIORITIES}, and no line
+ * is sent from a lane while a higher lane has lines waiting.  Within a lane,
+ * targets take turns: one line is sent to each target with lines waiting
+ * before a second is sent to any of them, so a long reply to one user
+ * doesn't hold up a short reply to another.
+ *
+ * Lines that bypass the queue, such as PONG, KICK, or MODE, are sent at once
+ * but still spend any token available, so queued lines wait for the server
+ * to catch up.
+ *
+ * @param {Function} write A function that sends a line to the server
+ *      immediately, accepting the command and its arguments as an array
+ * @param {Object} [opts] Pacing settings overriding those in
+ *      {@link #DEFAULTS}
+ * @constructor
+ */
+var SendQueue = function(write, opts) {
+	/**
+	 * The function that sends lines to the server
+	 * @type {Function}
+	 * @private
+	 */
+	this._write = write;
+
+	/**
+	 * The pacing settings in effect
+	 * @type {Object}
+	 * @private
+	 */
+	this._opts = objUtil.merge(DEFAULTS, opts);
+
+	/**
+	 * The lanes, keyed by priority.  Each lane maps lowercase targets to
+	 * arrays of queued lines in 'targets', and lists the targets with
+	 * queued lines in the order they'll be served in 'order'.
+	 * @type {Object}
+	 * @private
+	 */
+	this._lanes = {};
+
+	/**
+	 * The number of lines that can currently be sent
+	 * @type {Number}
+	 * @private
+	 */
+	this._tokens = this._opts.burst;
+
+	/**
+	 * The timestamp at which tokens were last added
+	 * @type {Number}
+	 * @private
+	 */
+	this._lastRefill = Date.now();
+
+	/**
+	 * The timeout that sends the next queued line, if one is pending
+	 * @type {Object|null}
+	 * @private
+	 */
+	this._timer = null;
+
+	this.clear();
+};
+
+/**
+ * Exposes the priority names, from first to last served.
+ * @type {Array}
+ */
+SendQueue.PRIORITIES = PRIORITIES;
+
+/**
+ * Takes the next line to be sent out of the queue.
+ *
+ * @returns {Array|null} The command and arguments of the line, or null if
+ *      the queue is empty
+ * @private
+ */
+SendQueue.prototype._next = function() {
+	for (var i = 0; i < PRIORITIES.length; i++) {
+		var lane = this._lanes[PRIORITIES[i]];
+		if (lane.order.length) {
+			var target = lane.order.shift(),
+				lines = lane.targets[target],
+				line = lines.shift();
+			if (lines.length)
+				lane.order.push(target);
+			else
+				delete lane.targets[target];
+			return line;
+		}
+	}
+	return null;
+};
+
+/**
+ * Adds the tokens earned since the last refill.
+ *
+ * @private
+ */
+SendQueue.prototype._refill = function() {
+	var now = Date.now();
+	if (!this._opts.interval)
+		this._tokens = this._opts.burst;
+	else {
+		this._tokens = Math.min(this._opts.burst, this._tokens +
+			(now - this._lastRefill) / this._opts.interval);
+	}
+	this._lastRefill = now;
+};
+
+/**
+ * Sends as many queued lines as the available tokens allow, and schedules
+ * the next attempt if any lines are left.
+ *
+ * @private
+ */
+SendQueue.prototype._flush = function() {
+	var self = this,
+		line;
+	this._refill();
+	while (this._tokens >= 1 && (line = this._next())) {
+		this._tokens--;
+		this._write(line);
+	}
+	if (!this._timer && this.getDepth().total) {
+		this._timer = setTimeout(function() {
+			self._timer = null;
+			self._flush();
+		}, Math.ceil((1 - this._tokens) * this._opts.interval));
+	}
+};
+
+/**
+ * Removes every queued line for a target.
+ *
+ * @param {String} target The nick or channel whose lines should be removed
+ * @returns {Number} The number of lines removed
+ */
+SendQueue.prototype.cancel = function(target) {
+	var lowTarget = target.toLowerCase(),
+		removed = 0;
+	objUtil.forEach(this._lanes, function(priority, lane) {
+		var idx = lane.order.indexOf(lowTarget);
+		if (idx != -1) {
+			removed += lane.targets[lowTarget].length;
+			lane.order.splice(idx, 1);
+			delete lane.targets[lowTarget];
+		}
+	});
+	return removed;
+};
+
+/**
+ * Removes every queued line and refills the token bucket.  This should be
+ * called whenever the connection to the server is lost, as the lines can't
+ * be sent on a new connection, and the new connection starts with a clean
+ * slate.
+ */
+SendQueue.prototype.clear = function() {
+	var self = this;
+	PRIORITIES.forEach(function(priority) {
+		self._lanes[priority] = {targets: {}, order: []};
+	});
+	this._tokens = this._opts.burst;
+	this._lastRefill = Date.now();
+	if (this._timer) {
+		clearTimeout(this._timer);
+		this._timer = null;
+	}
+};
+
+/**
+ * Gets the number of lines waiting in the queue.
+ *
+ * @returns {Object} An object with the following properties:
+ *      - {Number} total: The number of lines in the queue
+ *      - {Object} lanes: A mapping of each priority to the number of lines
+ *        in its lane
+ *      - {Object} targets: A mapping of each lowercase target with lines
+ *        in the queue to the number of lines waiting for it
+ */
+SendQueue.prototype.getDepth = function() {
+	var depth = {total: 0, lanes: {}, targets: {}};
+	objUtil.forEach(this._lanes, function(priority, lane) {
+		depth.lanes[priority] = 0;
+		objUtil.forEach(lane.targets, function(target, lines) {
+			depth.total += lines.length;
+			depth.lanes[priority] += lines.length;
+			depth.targets[target] = (depth.targets[target] || 0) +
+				lines.length;
+		});
+	});
+	return depth;
+};
+
+/**
+ * Adds a line to the queue, sending it at once if the queue is empty and a
+ * token is available.
+ *
+ * @param {String} target The nick or channel the line is addressed to
+ * @param {Array} line The command and arguments to be sent
+ * @param {String} [priority] One of {@link #PRIORITIES}.  Defaults to
+ *      "normal".
+ */
+SendQueue.prototype.push = function(target, line, priority) {
+	var lane = this._lanes[priority] || this._lanes[DEFAULT_PRIORITY],
+		lowTarget = target.toLowerCase();
+	if (!lane.targets[lowTarget]) {
+		lane.targets[lowTarget] = [];
+		lane.order.push(lowTarget);
+	}
+	lane.targets[lowTarget].push(line);
+	this._flush();
+};
+
+/**
+ * Spends a token, if one is available, for a line that was sent without
+ * being queued.
+ */
+SendQueue.prototype.spend = function() {
+	this._refill();
+	this._tokens = Math.max(this._tokens - 1, 0);
+};
+
+module.exports = SendQueue;
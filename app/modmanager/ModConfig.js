@@ -5,29 +5,40 @@
 
 // Dependencies
 var fs = require('fs'),
-	config = require('config'),
 	objUtil = require('../util/Object'),
+	Networks = require('../irc/Networks'),
 	env = process.env.NODE_ENV || 'default';
 
 const CONFIG_PATH = __dirname + "/../../config/" + env + "-mod_{mod}.json";
+const NET_CONFIG_PATH = __dirname + "/../../config/" + env +
+	"-{net}-mod_{mod}.json";
 const CONFIG_PREFIX = 'mod_';
 
 /**
- * Gets a path to save a config file specific to a mod.
+ * Gets a path to save a config file specific to a mod on a given network.
+ * Mods on the default network save to {@link #CONFIG_PATH}, so that
+ * single-network installations keep using the same files they always have.
+ * Mods on any other network save to {@link #NET_CONFIG_PATH}.
  *
  * @param {String} modId The mod ID to associate with the file
+ * @param {String} [netId] The network ID to associate with the file.  Omit
+ *      for the default network.
  * @returns {String} A path appropriate for a config file for this mod ID
  */
-function getPath(modId) {
-	return CONFIG_PATH.replace('{mod}', modId);
+function getPath(modId, netId) {
+	if (!netId || netId == Networks.DEFAULT_NETWORK)
+		return CONFIG_PATH.replace('{mod}', modId);
+	return NET_CONFIG_PATH.replace('{net}', netId).replace('{mod}', modId);
 }
 
 /**
  * Gets a closure that will JSONify any enumerable properties on 'this' and
- * save it to a file unique to the given modId when called.
+ * save it to a file unique to the given modId and network when called.
  *
  * @param {String} modId The modId for which to generate the closure.  This
  *      determines the filename to which the JSON will be saved.
+ * @param {String} [netId] The network ID for which to generate the closure.
+ *      Omit for the default network.
  * @returns {Function} A closure which, when called, will save the enumerable
  *      local properties of 'this' as JSON to a file.  Arguments are:
  *          - {Array} OPTIONAL: An array of top-level properties to save. If
@@ -36,7 +47,7 @@ function getPath(modId) {
  *            complete.  Arguments:
  *              - {Error} If an error occurred while saving the file.
  */
-var getSaveFunc = function(modId) {
+var getSaveFunc = function(modId, netId) {
 	return function(props, cb) {
 		var serial = this,
 			self = this;
@@ -51,7 +62,7 @@ var getSaveFunc = function(modId) {
 					serial[key] = self[key];
 			});
 		}
-		fs.writeFile(getPath(modId), JSON.stringify(serial, null, '\t'), cb);
+		fs.writeFile(getPath(modId, netId), JSON.stringify(serial, null, '\t'), cb);
 	};
 };
 
@@ -65,8 +76,9 @@ var getSaveFunc = function(modId) {
  *         Note that, when writing a Toady mod, this will be whatever has
  *         been set to module.exports.configDefault (if anything)
  *      2: Deep-merge that with any values set in the mod_MODID section of the
- *         default.yaml file (or, for multiple server configs, the SERVER.yaml
- *         file).  Conflicting properties will be overwritten.
+ *         network's config (see {@link Networks#getNetworkConfig}), which
+ *         comes from the default.yaml file (or, for multiple server configs,
+ *         the SERVER.yaml file).  Conflicting properties will be overwritten.
  *      3: Deep-merge that with any properties that have been set using
  *         config.save() (where 'config' is the object returned in the
  *         callback of this function).  Conflicting properties will be
@@ -106,21 +118,27 @@ var getSaveFunc = function(modId) {
  * @param {Object|null} defaults An object containing default properties
  *      to be set if neither the bot config or the mod config file has
  *      those properties set.
+ * @param {Object} netConf The config object of the network on which the mod
+ *      is being loaded, as returned by {@link Networks#getNetworkConfig}
  * @param {Function} cb A callback function to be executed on completion.
  *      Arguments provided are:
  *          - {Error} An error object, if an error occurred
  *          - {Object} An object containing all this mod's config properties,
  *            as well as a save([cb]) function to save any future changes.
  */
-function getConfig(modId, defaults, cb) {
+function getConfig(modId, defaults, netConf, cb) {
 	var conf = objUtil.deepMerge(defaults || {},
-			config[CONFIG_PREFIX + modId] || {});
-	getModConfigFile(modId, function(err, modFile) {
-		conf = objUtil.deepMerge(conf, modFile);
-		Object.defineProperty(conf, 'save', {
-			value: getSaveFunc(modId).bind(conf)
-		});
-		cb(null, conf);
+			netConf[CONFIG_PREFIX + modId] || {});
+	getModConfigFile(modId, netConf.id, function(err, modFile) {
+		if (err)
+			cb(err);
+		else {
+			conf = objUtil.deepMerge(conf, modFile);
+			Object.defineProperty(conf, 'save', {
+				value: getSaveFunc(modId, netConf.id).bind(conf)
+			});
+			cb(null, conf);
+		}
 	});
 }
 
@@ -135,14 +153,20 @@ function getConfig(modId, defaults, cb) {
  * will be only what the mod itself was responsible for saving manually.
  *
  * @param {String} modId The ID of the mod whose file should be loaded
+ * @param {String} [netId] The ID of the network whose file should be
+ *      loaded.  Omit for the default network.
  * @param {Function} cb A callback function to be executed on completion. Args:
  *      - {Error} An error object, if an error occurred.  Most likely errors
  *          include issues reading the file (excepting the file not existing)
  *          and inability to parse the file's JSON.
  *      - {Object} The parsed config object stored in the file
  */
-function getModConfigFile(modId, cb) {
-	fs.readFile(getPath(modId), function(err, json) {
+function getModConfigFile(modId, netId, cb) {
+	if (typeof netId == 'function') {
+		cb = netId;
+		netId = null;
+	}
+	fs.readFile(getPath(modId, netId), function(err, json) {
 		if (err && err.code != 'ENOENT')
 			cb(err);
 		else {
@@ -165,6 +189,7 @@ function getModConfigFile(modId, cb) {
 
 module.exports = {
 	CONFIG_PATH: CONFIG_PATH,
+	NET_CONFIG_PATH: NET_CONFIG_PATH,
 	CONFIG_PREFIX: CONFIG_PREFIX,
 	getConfig: getConfig,
 	getModConfigFile: getModConfigFile
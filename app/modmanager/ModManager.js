@@ -13,11 +13,17 @@ var events = require("events"),
 	objUtil = require('../util/Object'),
 	ModConfig = require('./ModConfig'),
 	ModLoader = require('./ModLoader'),
-	client = require('../irc/Client'),
 	ribbit = require('../ribbit/Ribbit');
 
 const TOADY_VERSION = require('../../package.json').version;
 
+/**
+ * Separates the mod ID from the command ID in a qualified command name, such
+ * as "weather.stats" or "weather:stats"
+ * @type {RegExp}
+ */
+const QUALIFIED_NAME = /^([^.:]+)[.:](.+)$/;
+
 /**
  * A set of defaults to be applied to any loaded mod. Mods should probably
  * override most of these.
@@ -32,11 +38,19 @@ const MOD_DEFAULTS = {
 	blockReload: false
 };
 
+/**
+ * A mapping of network IDs to the ModManager responsible for that network
+ * @type {Object}
+ */
+var managers = {};
+
 /**
  * The ModManager is responsible for the loading and unloading of mods,
  * management of commands, and acts as the hub for all module
- * intercommunication.  It is passed to each new mod when it's loaded, and
- * fires the following events:
+ * intercommunication.  One ModManager exists for each configured IRC network,
+ * and every mod is loaded separately on each network, receiving that
+ * network's IRC client and ModManager.  The ModManager is passed to each new
+ * mod when it's loaded, and fires the following events:
  *
  *   When a command is loaded:
  *      - cmdloaded - args: command object
@@ -54,9 +68,16 @@ const MOD_DEFAULTS = {
  *   When a command is executed:
  *      - command - args: A command descriptor (see below)
  *      - command:cmd_name - args: A command descriptor (see below)
+ *   When the network connection changes state:
+ *      - connection - args: A state descriptor
+ *      - connection:state_name - args: A state descriptor
+ *     The possible states are 'connecting', 'registered', 'disconnected', and
+ *     'backoff' (waiting to reconnect).  See {@link ConnectionManager} for
+ *     the contents of the state descriptor.
  *
  * A command descriptor is an object with the following properties:
  *      - {String} cmdId: The name of the command
+ *      - {String} network: The ID of the network the command arrived on
  *      - {String} nick: The  nick of the caller
  *      - {String} to: The nick or channel to which the command was sent
  *      - {String} target: If the command has targetNick or targetChannel
@@ -66,44 +87,229 @@ const MOD_DEFAULTS = {
  *        one string (the full text after the command/target).  If a pattern
  *        was specified, this is the result of message.match(pattern)
  *
+ * @param {Object} netConf The config object for the network this manager
+ *      serves, as returned by {@link Networks#getNetworkConfig}
+ * @param {Object} client The IRC client connected to that network
+ * @param {ConnectionManager} connection The manager keeping that client
+ *      connected
  * @constructor
  */
-var ModManager = function() {
+var ModManager = function(netConf, client, connection) {
+	events.EventEmitter.call(this);
+	var self = this;
+
+	/**
+	 * The IRC client for this manager's network
+	 * @type {Object}
+	 * @private
+	 */
+	this._client = client;
+
+	/**
+	 * The ConnectionManager for this manager's network
+	 * @type {ConnectionManager}
+	 * @private
+	 */
+	this._connection = connection;
 
 	/**
-	 * A mapping of all command IDs to their command object
+	 * A mapping of all command IDs to their command object.  When more than
+	 * one mod provides a command, this holds the one the bare command ID
+	 * resolves to.
 	 * @type {Object}
 	 * @private
 	 */
 	this._commands = {};
 
+	/**
+	 * A mapping of every loaded command's qualified ID, in the form
+	 * "modId.cmdId", to its command object
+	 * @type {Object}
+	 * @private
+	 */
+	this._qualified = {};
+
+	/**
+	 * A mapping of command IDs to the ID of the mod whose command the bare
+	 * command ID should resolve to
+	 * @type {Object}
+	 * @private
+	 */
+	this._preferred = {};
+
 	/**
 	 * A mapping of all mod IDs to their mod object
 	 * @type {Object}
 	 * @private
 	 */
 	this._mods = {};
+
+	/**
+	 * A mapping of mod IDs to objects mapping the lowercase IDs of their
+	 * commands to the IDs those commands should be loaded under instead
+	 * @type {Object}
+	 * @private
+	 */
+	this._remaps = {};
+
+	/**
+	 * The config object for this manager's network
+	 * @type {Object}
+	 * @private
+	 */
+	this._network = netConf;
+
+	managers[netConf.id] = this;
+	this.setMaxListeners(0);
+	connection.on('state', function(desc) {
+		self.emit('connection', desc);
+		self.emit('connection:' + desc.state, desc);
+	});
+	client.on('capEnd', function() {
+		objUtil.forEach(self._mods, function(modId, mod) {
+			self._checkModCaps(mod);
+		});
+	});
+	client.on('capNak', function(names) {
+		objUtil.forEach(self._mods, function(modId, mod) {
+			self._checkModCaps(mod, names);
+		});
+	});
 };
 util.inherits(ModManager, events.EventEmitter);
 
 /**
- * Gets a loaded, individual command object.  The command returned will have
- * one additional field not specified by the command itself:
+ * Warns on the console about any capability a mod declared in its 'caps'
+ * array that is not enabled on this network.  This is only done once
+ * capability negotiation has finished; until then, nothing is known about
+ * what the server supports.  Capabilities still awaiting the server's
+ * answer are skipped, and checked again if the server refuses them.
+ *
+ * @param {Object} mod The mod object to be checked
+ * @param {Array} [only] The capability names to check, if not all of the
+ *      mod's capabilities should be
+ * @private
+ */
+ModManager.prototype._checkModCaps = function(mod, only) {
+	var caps = this._client.caps,
+		netId = this._network.id;
+	if (!mod.caps || !caps.isDone())
+		return;
+	mod.caps.forEach(function(cap) {
+		if ((!only || only.indexOf(cap) != -1) && !caps.isEnabled(cap) &&
+				!caps.isPending(cap)) {
+			console.log('[' + netId + "] Mod '" + mod.id +
+				"' requires capability '" + cap +
+				"', which is not available on this network");
+		}
+	});
+};
+
+/**
+ * Gets the ModManager responsible for a given network.
+ *
+ * @param {String} netId The ID of the network whose ModManager should be
+ *      returned
+ * @returns {ModManager|null} The ModManager, or null if no manager has been
+ *      created for that network
+ */
+ModManager.getManager = function(netId) {
+	return managers[netId] || null;
+};
+
+/**
+ * Gets an array of the IDs of every network for which a ModManager has been
+ * created.
+ *
+ * @returns {Array} All network IDs
+ */
+ModManager.getNetworkIds = function() {
+	return Object.keys(managers);
+};
+
+/**
+ * Gets the IRC client connected to this manager's network.  This is the
+ * same client object that each mod on this network receives at load time.
+ *
+ * @returns {Object} The IRC client
+ */
+ModManager.prototype.getClient = function() {
+	return this._client;
+};
+
+/**
+ * Gets the ID under which one of a mod's commands is loaded: the command's
+ * own key, lowercased, unless it has been remapped.
+ *
+ * @param {String} modId The ID of the mod providing the command
+ * @param {String} key The command's key in the mod's 'commands' object
+ * @returns {String} The command ID
+ * @private
+ */
+ModManager.prototype._getCommandId = function(modId, key) {
+	var remaps = this._remaps[modId] || {};
+	key = key.toLowerCase();
+	return remaps[key] || key;
+};
+
+/**
+ * Points a bare command ID at the command that should answer to it: the
+ * command from the mod preferred with {@link #preferCommand} if that mod
+ * provides it, or else the command from whichever loaded mod was loaded
+ * earliest.
+ *
+ * @param {String} cmdId The command ID to be resolved
+ * @private
+ */
+ModManager.prototype._resolveCommand = function(cmdId) {
+	var preferred = this._qualified[this._preferred[cmdId] + '.' + cmdId],
+		self = this;
+	delete this._commands[cmdId];
+	if (preferred)
+		this._commands[cmdId] = preferred;
+	else {
+		Object.keys(this._mods).some(function(modId) {
+			var cmd = self._qualified[modId + '.' + cmdId];
+			if (cmd)
+				self._commands[cmdId] = cmd;
+			return cmd;
+		});
+	}
+};
+
+/**
+ * Gets a loaded, individual command object.  Every command can be retrieved
+ * by its qualified ID, "modId.cmdId" or "modId:cmdId", and the command that
+ * its bare ID resolves to can be retrieved by that ID.  The command returned
+ * will have two additional fields not specified by the command itself:
  *      - {String} id: The cmdId, or key, of this command
+ *      - {String} qualifiedId: The ID of this command's mod and its cmdId,
+ *        separated by a period
  *
- * @param {String} cmdId The name of the command to retrieve
+ * Each subcommand in the command's 'subcommands' map is given the same id
+ * and qualifiedId, its own lowercase key as 'subId', and the command itself
+ * as 'parent'.  Subcommands without a minPermission require the command's.
+ *
+ * @param {String} cmdId The name or qualified name of the command to
+ *      retrieve
  * @returns {Object|null} The command object, or null if no such command
  *      exists.
  */
 ModManager.prototype.getCommand = function(cmdId) {
+	var qualified = cmdId.match(QUALIFIED_NAME);
+	if (qualified)
+		return this._qualified[qualified[1] + '.' + qualified[2]] || null;
 	return this._commands[cmdId] || null;
 };
 
 /**
- * Gets a mapping of all command IDs to their command object.  The commands
- * returned will have one additional field not specified by the commands
- * themselves:
+ * Gets a mapping of all command IDs to their command object.  When more than
+ * one mod provides a command, only the one its bare ID resolves to is
+ * included.  The commands returned will have two additional fields not
+ * specified by the commands themselves:
  *      - {String} id: The cmdId, or key, of the command
+ *      - {String} qualifiedId: The ID of the command's mod and its cmdId,
+ *        separated by a period
  *
  * @returns {Object} The hash of IDs to objects
  */
@@ -111,6 +317,52 @@ ModManager.prototype.getCommands = function() {
 	return this._commands;
 };
 
+/**
+ * Gets the ConnectionManager for this manager's network.  Mods can use it to
+ * check whether the bot is currently online before doing work that needs
+ * the connection, or listen to the 'connection' events on the ModManager to
+ * pause and resume that work.
+ *
+ * @returns {ConnectionManager} The ConnectionManager
+ */
+ModManager.prototype.getConnection = function() {
+	return this._connection;
+};
+
+/**
+ * Gets the ModManager responsible for another network.  Mods that need to
+ * act across networks, such as relays, can use this to reach the client and
+ * mods of any other network.
+ *
+ * @param {String} netId The ID of the network whose ModManager should be
+ *      returned
+ * @returns {ModManager|null} The ModManager, or null if no such network
+ *      exists
+ */
+ModManager.prototype.getManager = function(netId) {
+	return ModManager.getManager(netId);
+};
+
+/**
+ * Gets the config object for this manager's network.  This includes the
+ * 'server' and 'identity' sections in effect for the network, as well as
+ * an 'id' property containing the network ID.
+ *
+ * @returns {Object} The network config object
+ */
+ModManager.prototype.getNetworkConfig = function() {
+	return this._network;
+};
+
+/**
+ * Gets the ID of the network this manager is responsible for.
+ *
+ * @returns {String} The network ID
+ */
+ModManager.prototype.getNetworkId = function() {
+	return this._network.id;
+};
+
 /**
  * Gets an array of the IDs for all loaded mods.
  *
@@ -156,6 +408,26 @@ ModManager.prototype.getMods = function() {
 	return modArray;
 };
 
+/**
+ * Gets every preference set with {@link #preferCommand}.
+ *
+ * @returns {Object} A mapping of command IDs to the IDs of the mods they
+ *      should resolve to
+ */
+ModManager.prototype.getPreferences = function() {
+	return objUtil.clone(this._preferred);
+};
+
+/**
+ * Gets every command remapping set with {@link #remapCommand}.
+ *
+ * @returns {Object} A mapping of mod IDs to objects mapping the lowercase
+ *      IDs of their commands to the IDs they're loaded under
+ */
+ModManager.prototype.getRemaps = function() {
+	return objUtil.clone(this._remaps);
+};
+
 /**
  * Indicates whether a given mod ID is loaded or not.
  *
@@ -193,8 +465,16 @@ ModManager.prototype.loadCoreMods = function(cb) {
  * number of reasons:
  *      - This mod, or a mod with the same ID, has already been loaded
  *      - Failed reading or parsing the mod's config file
- *      - Mod contains a command ID that collides with a previously loaded
- *        command
+ *
+ * A command whose ID is already taken by a previously loaded mod is still
+ * loaded, but can only be reached by its qualified ID, such as
+ * "weather.stats", unless the mod is chosen with {@link #preferCommand}.
+ * Colliding commands can also be loaded under another ID with
+ * {@link #remapCommand}.
+ *
+ * If the mod lists IRCv3 capabilities in its 'caps' array, they are
+ * requested from the server.  A mod is still loaded when a capability it
+ * needs is unavailable, but a warning is logged to the console.
  *
  * If successful, the function can cause the following events to be fired on
  * the ModManager object:
@@ -222,7 +502,7 @@ ModManager.prototype.loadMod = function(modId, cb) {
 	if (!cb)
 		cb = function() {};
 	if (this._mods[modId])
-		cb(new Error("Module '" + modId + "' is already loaded"));
+		return cb(new Error("Module '" + modId + "' is already loaded"));
 	var self = this;
 	Seq()
 		.seq(function getMod() {
@@ -241,7 +521,8 @@ ModManager.prototype.loadMod = function(modId, cb) {
 		.seq(function getModConfig(modFunc, pkgJson) {
 			this.vars.modFunc = modFunc;
 			this.vars.pkgJson = pkgJson;
-			ModConfig.getConfig(modId, modFunc.configDefaults, this);
+			ModConfig.getConfig(modId, modFunc.configDefaults, self._network,
+				this);
 		})
 		.seq(function initMod(modConf) {
 			var modFunc = this.vars.modFunc,
@@ -249,7 +530,7 @@ ModManager.prototype.loadMod = function(modId, cb) {
 				modPkg = {},
 				rawMod, err;
 			try {
-				rawMod = modFunc(modConf, client, self);
+				rawMod = modFunc(modConf, self._client, self);
 			}
 			catch (e) {
 				rawMod = {};
@@ -278,35 +559,39 @@ ModManager.prototype.loadMod = function(modId, cb) {
 			this.vars.mod = mod;
 			this(err, mod);
 		})
-		.seq(function checkCommandCollisions(mod) {
-			var collisions = [],
-				next = this;
-			objUtil.forEach(mod.commands || {}, function(key) {
-				if (self._commands[key])
-					collisions.push(key);
-			});
-			if (collisions.length) {
-				ModLoader.unloadMod(modId, function() {
-					next(new Error("Module '" + modId +
-						"' could not be loaded: The following \
-commands are already registered: " +
-						collisions.join(', ')));
-				});
-			}
-			else
-				this(null, mod);
-		})
 		.seq(function integrateMod(mod) {
+			self._mods[modId] = mod;
 			objUtil.forEach(mod.commands || {}, function(key, val) {
 				val.mod = mod;
-				key = key.toLowerCase();
+				key = self._getCommandId(modId, key);
 				val.id = key;
-				self._commands[key] = val;
+				val.qualifiedId = modId + '.' + key;
+				objUtil.forEach(val.subcommands || {}, function(subKey, sub) {
+					sub.mod = mod;
+					sub.id = key;
+					sub.qualifiedId = val.qualifiedId;
+					sub.subId = subKey.toLowerCase();
+					sub.parent = val;
+					if (sub.minPermission === undefined)
+						sub.minPermission = val.minPermission;
+					if (sub.sensitive === undefined)
+						sub.sensitive = val.sensitive;
+				});
+				self._qualified[val.qualifiedId] = val;
+				self._resolveCommand(key);
+				if (self._commands[key] != val) {
+					console.log('[' + self._network.id + '] Command', key,
+						'is already provided by', self._commands[key].mod.id +
+						'; use', val.qualifiedId, 'instead');
+				}
 				self.emit('cmdloaded', val);
 				self.emit('cmdloaded:' + key, val);
 			});
-			self._mods[modId] = mod;
-			console.log('Loaded mod:', modId);
+			console.log('[' + self._network.id + '] Loaded mod:', modId);
+			if (mod.caps) {
+				self._client.caps.want(mod.caps);
+				self._checkModCaps(mod);
+			}
 			self.emit('modloaded', mod);
 			self.emit('modloaded:' + modId, mod);
 			cb(null, mod);
@@ -424,6 +709,48 @@ ModManager.prototype.reloadMod = function(modId, cb) {
 	}
 };
 
+/**
+ * Chooses the mod whose command a bare command ID resolves to, when more
+ * than one mod provides a command with that ID.  The choice takes effect
+ * immediately if that mod is loaded, and whenever it's loaded later.
+ * Commands from the other mods can still be reached by their qualified IDs.
+ *
+ * @param {String} cmdId The command ID
+ * @param {String|null} modId The ID of the mod whose command should answer
+ *      to the bare ID, or null to go back to the mod that was loaded first
+ */
+ModManager.prototype.preferCommand = function(cmdId, modId) {
+	var lowId = cmdId.toLowerCase();
+	if (modId)
+		this._preferred[lowId] = modId;
+	else
+		delete this._preferred[lowId];
+	this._resolveCommand(lowId);
+};
+
+/**
+ * Loads one of a mod's commands under a different ID, such as when it
+ * collides with a command from another mod.  The remapping takes effect the
+ * next time the mod is loaded.
+ *
+ * @param {String} modId The ID of the mod providing the command
+ * @param {String} key The command's key in the mod's 'commands' object
+ * @param {String|null} newId The ID the command should be loaded under, or
+ *      null to load it under its own key again
+ */
+ModManager.prototype.remapCommand = function(modId, key, newId) {
+	var lowKey = key.toLowerCase();
+	if (newId) {
+		this._remaps[modId] = this._remaps[modId] || {};
+		this._remaps[modId][lowKey] = newId.toLowerCase();
+	}
+	else if (this._remaps[modId]) {
+		delete this._remaps[modId][lowKey];
+		if (!Object.keys(this._remaps[modId]).length)
+			delete this._remaps[modId];
+	}
+};
+
 /**
  * Unloads a given mod, removing it and its commands from the manager.
  * Unloading a mod causes the mod's 'unload' function to be called (if it
@@ -466,9 +793,9 @@ ModManager.prototype.unloadMod = function(modId, force, cb) {
 		cb(new Error("Module '" + modId + "' can not be unloaded"));
 	else {
 		if (mod.commands) {
-			objUtil.forEach(mod.commands, function(key) {
-				if (self._commands[key])
-					delete self._commands[key];
+			objUtil.forEach(mod.commands, function(key, cmd) {
+				delete self._qualified[cmd.qualifiedId];
+				self._resolveCommand(cmd.id);
 			});
 		}
 		if (mod.unload)
@@ -486,5 +813,4 @@ ModManager.prototype.unloadMod = function(modId, force, cb) {
 	}
 };
 
-module.exports = new ModManager();
-module.exports.setMaxListeners(0);
+module.exports = ModManager;
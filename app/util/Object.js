@@ -36,6 +36,8 @@ function clone(obj) {
 /**
  * Performs a deep merge of two objects.  The given objects will be cloned
  * when necessary to avoid variable reference issues in the returned result.
+ * Arrays are treated as values rather than merged element-by-element, so an
+ * array in obj2 will replace an array in obj1 entirely.
  *
  * @param {Object} obj1 The first object to be merged.
  * @param {Object} obj2 The second object to be merged.  If this object
@@ -56,8 +58,7 @@ function deepMerge(obj1, obj2, resolveConflict) {
 	for (key in obj2) {
 		if (obj2.hasOwnProperty(key)) {
 			if (obj1.hasOwnProperty(key)) {
-				if (typeof obj2[key] == 'object' &&
-					typeof obj1[key] == "object") {
+				if (isMergeable(obj1[key]) && isMergeable(obj2[key])) {
 					merged[key] = deepMerge(obj1[key], obj2[key],
 						resolveConflict);
 				}
@@ -112,6 +113,17 @@ function forEach(obj, cb) {
 	}
 }
 
+/**
+ * Determines whether a value is an object that can be deep-merged with
+ * another: that is, a non-null object that is not an array.
+ *
+ * @param {*} val The value to be checked
+ * @returns {boolean} true if the value can be deep-merged; false otherwise
+ */
+function isMergeable(val) {
+	return val !== null && typeof val == 'object' && !(val instanceof Array);
+}
+
 /**
  * Performs a shallow merge of all object arguments.
  *
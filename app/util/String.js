@@ -3,6 +3,90 @@
  * Copyright 2013 Tom Frost
  */
 
+/**
+ * The number of milliseconds in each unit a duration can be given in
+ * @type {Object}
+ */
+const DURATION_UNITS = {
+	w: 604800000,
+	d: 86400000,
+	h: 3600000,
+	m: 60000,
+	s: 1000
+};
+
+/**
+ * Counts the single-character insertions, deletions, substitutions, and
+ * swaps of adjacent characters needed to turn one string into another.
+ *
+ * @param {String} a The first string
+ * @param {String} b The second string
+ * @returns {Number} The edit distance between the strings
+ */
+function editDistance(a, b) {
+	var rows = [];
+	for (var i = 0; i <= a.length; i++) {
+		rows[i] = [i];
+		for (var j = 1; j <= b.length; j++) {
+			if (!i) {
+				rows[i][j] = j;
+				continue;
+			}
+			rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1,
+				rows[i - 1][j - 1] + (a[i - 1] == b[j - 1] ? 0 : 1));
+			if (i > 1 && j > 1 && a[i - 1] == b[j - 2] &&
+					a[i - 2] == b[j - 1])
+				rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+		}
+	}
+	return rows[a.length][b.length];
+}
+
+/**
+ * Finds the candidates that a string could be a mistyped or shortened
+ * version of.  A candidate matches if the string is a prefix of it, or if
+ * it's within an edit distance of a third of the string's length.  Strings
+ * shorter than three characters only match as prefixes.  Prefix matches
+ * come first, then the rest by edit distance, with ties sorted
+ * alphabetically.  The comparison is case-insensitive.
+ *
+ * @param {String} str The string to be matched
+ * @param {Array} candidates The strings that str could have meant
+ * @param {Number} [limit] The maximum number of matches to return.
+ *      Omit to return every match.
+ * @returns {Array} The matching candidates, closest first
+ */
+function findSimilar(str, candidates, limit) {
+	var lowStr = str.toLowerCase(),
+		maxDist = lowStr.length < 3 ? 0 :
+			Math.max(1, Math.floor(lowStr.length / 3)),
+		matches = [];
+	if (!lowStr)
+		return [];
+	candidates.forEach(function(candidate) {
+		var lowCand = candidate.toLowerCase(),
+			dist;
+		if (lowCand == lowStr)
+			return;
+		if (lowCand.indexOf(lowStr) === 0)
+			dist = 0;
+		else
+			dist = editDistance(lowStr, lowCand);
+		if (dist <= maxDist)
+			matches.push({str: candidate, dist: dist});
+	});
+	matches.sort(function(a, b) {
+		if (a.dist != b.dist)
+			return a.dist - b.dist;
+		return a.str > b.str ? 1 : (a.str < b.str ? -1 : 0);
+	});
+	if (limit)
+		matches = matches.slice(0, limit);
+	return matches.map(function(match) {
+		return match.str;
+	});
+}
+
 /**
  * Makes a string fit the specified space, either by right-padding it with
  * spaces or by truncating it.
@@ -24,6 +108,44 @@ function fit(str, len, truncOnly) {
 	return str;
 }
 
+/**
+ * Converts a duration such as "2h" or "1d12h" to milliseconds.  The units
+ * available are w, d, h, m, and s.
+ *
+ * @param {String} str The duration to be converted
+ * @returns {Number|null} The duration in milliseconds, or null if the
+ *      string is not a valid duration
+ */
+function parseDuration(str) {
+	var total = 0;
+	if (!/^(\d+[wdhms])+$/i.test(str))
+		return null;
+	str.toLowerCase().replace(/(\d+)([wdhms])/g, function(match, num, unit) {
+		total += parseInt(num, 10) * DURATION_UNITS[unit];
+	});
+	return total || null;
+}
+
+/**
+ * Formats a number of milliseconds as a short duration, such as "1h 30m",
+ * rounded up to the nearest minute.
+ *
+ * @param {Number} ms The duration to be formatted
+ * @returns {String} The formatted duration
+ */
+function formatDuration(ms) {
+	var mins = Math.ceil(ms / 60000),
+		parts = [];
+	[['d', 1440], ['h', 60], ['m', 1]].forEach(function(unit) {
+		var count = Math.floor(mins / unit[1]);
+		if (count) {
+			parts.push(count + unit[0]);
+			mins -= count * unit[1];
+		}
+	});
+	return parts.join(' ') || '0m';
+}
+
 /**
  * Scans an array of strings for the longest string length it contains.
  *
@@ -39,7 +161,81 @@ function maxLen(ary) {
 	return maxLen;
 }
 
+/**
+ * Splits a line of text into lines no longer than the given width, breaking
+ * at spaces where possible.  Words longer than the width are broken up.
+ *
+ * @param {String} text The line of text to be wrapped
+ * @param {Number} width The maximum length of each line, or 0 for no
+ *      maximum
+ * @returns {Array} The wrapped lines
+ */
+function wrap(text, width) {
+	var lines = [],
+		cut;
+	if (!width)
+		return [text];
+	while (text.length > width) {
+		cut = text.lastIndexOf(' ', width);
+		if (cut <= 0)
+			cut = width;
+		lines.push(text.substr(0, cut));
+		text = text.substr(cut).replace(/^ /, '');
+	}
+	lines.push(text);
+	return lines;
+}
+
+/**
+ * Tests a string against a wildcard pattern, such as an IRC hostmask.  In
+ * the pattern, '*' matches any number of characters and '?' matches exactly
+ * one.  The comparison is case-insensitive.
+ *
+ * The pattern is walked alongside the string rather than compiled to a
+ * regex.  On a mismatch, only the most recent '*' is retried, one character
+ * further along, so no pattern can take more than the product of the two
+ * lengths to test.
+ *
+ * @param {String} pattern The wildcard pattern
+ * @param {String} str The string to be tested
+ * @returns {boolean} true if the string matches the pattern; false otherwise
+ */
+function wildcardMatch(pattern, str) {
+	var p = 0,
+		s = 0,
+		star = -1,
+		starS = 0;
+	pattern = pattern.toLowerCase();
+	str = str.toLowerCase();
+	while (s < str.length) {
+		if (p < pattern.length && pattern[p] == '*') {
+			star = p++;
+			starS = s;
+		}
+		else if (p < pattern.length &&
+				(pattern[p] == '?' || pattern[p] == str[s])) {
+			p++;
+			s++;
+		}
+		else if (star != -1) {
+			p = star + 1;
+			s = ++starS;
+		}
+		else
+			return false;
+	}
+	while (pattern[p] == '*')
+		p++;
+	return p == pattern.length;
+}
+
 module.exports = {
+	editDistance: editDistance,
+	findSimilar: findSimilar,
 	fit: fit,
-	maxLen: maxLen
+	formatDuration: formatDuration,
+	maxLen: maxLen,
+	parseDuration: parseDuration,
+	wildcardMatch: wildcardMatch,
+	wrap: wrap
 };
@@ -0,0 +1,111 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	argParser = require('../../../app/coremods/commandrunner/ArgParser'),
+	runCases = require('../../lib/runCases');
+
+const SCHEMA = [
+	{name: 'channel', type: 'channel', optional: true},
+	{name: 'nick', type: 'nick'},
+	{name: 'count', type: 'number', min: 1, max: 10, default: 1},
+	{name: 'reason', type: 'text', optional: true},
+	{name: 'quiet', type: 'boolean', flag: true},
+	{name: 'for', type: 'duration', flag: true}
+];
+
+/**
+ * Parses text against a schema, and returns its result synchronously.
+ *
+ * @param {Array} schema The argument definitions
+ * @param {String} text The text to be parsed
+ * @returns {Object} An object with the parse 'error', if any, and the
+ *      parsed 'args'
+ */
+function parse(schema, text) {
+	var result;
+	argParser.parse(schema, text, function(err, args) {
+		result = {error: err, args: args};
+	});
+	return result;
+}
+
+const CASES = {
+	'Arguments are converted to their types': function(cb) {
+		var res = parse(SCHEMA, '#toady Bob 3 being rude');
+		assert.ifError(res.error);
+		assert.deepEqual(res.args, {
+			channel: '#toady',
+			nick: 'Bob',
+			count: 3,
+			reason: 'being rude',
+			quiet: false,
+			for: undefined
+		});
+		cb();
+	},
+	'Optional arguments are skipped and defaults filled in': function(cb) {
+		var res = parse(SCHEMA, 'Bob');
+		assert.ifError(res.error);
+		assert.strictEqual(res.args.channel, undefined);
+		assert.equal(res.args.nick, 'Bob');
+		assert.equal(res.args.count, 1);
+		cb();
+	},
+	'Flags are read anywhere, with or without an equals sign': function(cb) {
+		var res = parse(SCHEMA, '--quiet Bob --for 2h 4 --for=1d');
+		assert.ifError(res.error);
+		assert.strictEqual(res.args.quiet, true);
+		assert.equal(res.args.for, 86400000);
+		assert.equal(res.args.count, 4);
+		cb();
+	},
+	'Quotes keep words together and backslashes escape': function(cb) {
+		var res = parse([{name: 'a'}, {name: 'b'}],
+			'"two words" \'it\\\'s\'');
+		assert.ifError(res.error);
+		assert.deepEqual(res.args, {a: 'two words', b: "it's"});
+		cb();
+	},
+	'A double dash stops flag parsing': function(cb) {
+		var res = parse(SCHEMA, 'Bob 2 -- --quiet');
+		assert.ifError(res.error);
+		assert.strictEqual(res.args.quiet, false);
+		assert.equal(res.args.reason, '--quiet');
+		cb();
+	},
+	'Bad input is explained': function(cb) {
+		assert.equal(parse(SCHEMA, '').error.message, 'nick is missing');
+		assert.equal(parse(SCHEMA, 'Bob 11').error.message,
+			"count can't be more than 10");
+		assert.equal(parse(SCHEMA, 'Bob --loud').error.message,
+			"'--loud' isn't an option");
+		assert.equal(parse(SCHEMA, 'Bob --for soon').error.message,
+			"for must be a duration like 30m or 1d12h, not 'soon'");
+		assert.equal(parse(SCHEMA, '"Bob').error.message,
+			"there's a quote that was never closed");
+		assert.equal(parse([{name: 'a'}], 'x y').error.message,
+			'there are too many arguments');
+		cb();
+	},
+	'Variadic and enum arguments': function(cb) {
+		var res = parse([
+			{name: 'mode', type: 'enum', values: ['On', 'Off']},
+			{name: 'nicks', type: 'nick', variadic: true, optional: true}
+		], 'on Bob Carl');
+		assert.ifError(res.error);
+		assert.deepEqual(res.args, {mode: 'On', nicks: ['Bob', 'Carl']});
+		cb();
+	},
+	'The format line describes every argument': function(cb) {
+		assert.equal(argParser.format({targetNick: true, args: SCHEMA}),
+			'Format: {cmd} <nick> [channel] <nick> <count> [reason...] ' +
+			'[--quiet] [--for <duration>]');
+		cb();
+	}
+};
+
+runCases(CASES);
@@ -0,0 +1,153 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	CommandContext = require(
+		'../../../app/coremods/commandrunner/CommandContext'),
+	runCases = require('../../lib/runCases');
+
+/**
+ * Creates a stand-in for the IRC client that records everything sent
+ * through it.
+ *
+ * @returns {Object} The fake client, with each call in 'sent' as an array
+ *      of the method, target, text, and priority
+ */
+function fakeClient() {
+	var client = {sent: []};
+	['say', 'notice', 'action'].forEach(function(method) {
+		client[method] = function(target, text, priority) {
+			client.sent.push([method, target, text, priority]);
+		};
+	});
+	return client;
+}
+
+/**
+ * Creates a context for Bob's 'test' command, said in #room unless the
+ * given props say otherwise.
+ *
+ * @param {Object} [props] Props overriding the defaults
+ * @returns {CommandContext} The context, with its fake client in 'client'
+ */
+function context(props) {
+	var client = fakeClient(),
+		all = {
+			network: 'test',
+			nick: 'Bob',
+			to: '#room',
+			target: null,
+			args: [],
+			cmd: {id: 'test', desc: 'Tests things'},
+			inChan: true,
+			message: {}
+		};
+	Object.keys(props || {}).forEach(function(key) {
+		all[key] = props[key];
+	});
+	var ctx = new CommandContext(client, all);
+	ctx.client = client;
+	return ctx;
+}
+
+const CASES = {
+	'Replies go where the preferences say': function(cb) {
+		var sent = [];
+		[
+			{},
+			{prefs: {replymethod: 'message'}},
+			{prefs: {replyin: 'private'}},
+			{inChan: false, to: 'Toady'}
+		].forEach(function(props) {
+			var ctx = context(props);
+			ctx.reply('hi', 'high');
+			sent = sent.concat(ctx.client.sent);
+		});
+		assert.deepEqual(sent, [
+			['notice', '#room', 'hi', 'high'],
+			['say', '#room', 'hi', 'high'],
+			['notice', 'Bob', 'hi', 'high'],
+			['notice', 'Bob', 'hi', 'high']
+		]);
+		cb();
+	},
+	'Errors are always notices, sent where replies go': function(cb) {
+		var inChan = context({prefs: {replymethod: 'message'}}),
+			privately = context({prefs: {replymethod: 'message',
+				replyin: 'private'}});
+		inChan.error('oops');
+		privately.error('oops');
+		assert.deepEqual(inChan.client.sent,
+			[['notice', '#room', 'oops', undefined]]);
+		assert.deepEqual(privately.client.sent,
+			[['notice', 'Bob', 'oops', undefined]]);
+		cb();
+	},
+	'Private replies go to the user with their reply method': function(cb) {
+		var ctx = context({prefs: {replymethod: 'message'}});
+		ctx.replyPrivately('psst');
+		ctx.action('waves');
+		assert.deepEqual(ctx.client.sent, [
+			['say', 'Bob', 'psst', undefined],
+			['action', '#room', 'waves', undefined]
+		]);
+		cb();
+	},
+	'Long and multi-line replies are split': function(cb) {
+		var ctx = context({messageLength: 10});
+		ctx.reply('one two three four\nfive');
+		assert.deepEqual(ctx.client.sent.map(function(call) {
+			return call[2];
+		}), ['one two', 'three four', 'five']);
+		cb();
+	},
+	'Piped output is collected instead of sent': function(cb) {
+		var output = [],
+			ctx = context({output: output});
+		ctx.reply('a');
+		ctx.action('b');
+		ctx.paginate(['c', 'd']);
+		ctx.replyPrivately('e');
+		ctx.error('f');
+		ctx.paginate(['g'], true);
+		assert.deepEqual(output, ['a', 'b', 'c', 'd']);
+		assert.deepEqual(ctx.client.sent, [
+			['notice', 'Bob', 'e', undefined],
+			['notice', '#room', 'f', undefined],
+			['notice', 'Bob', 'g', 'low']
+		]);
+		assert.strictEqual(ctx.stopPiping(), output);
+		assert.strictEqual(ctx.stopPiping(), null);
+		ctx.reply('h');
+		assert.deepEqual(output, ['a', 'b', 'c', 'd']);
+		assert.equal(ctx.client.sent.length, 4);
+		cb();
+	},
+	'Paginated lines go through the pager at low priority': function(cb) {
+		var paged = null,
+			ctx = context({pager: function(lines, send) {
+				paged = lines;
+				send(lines[0]);
+			}});
+		ctx.paginate(['one', 'two']);
+		assert.deepEqual(paged, ['one', 'two']);
+		assert.deepEqual(ctx.client.sent,
+			[['notice', '#room', 'one', 'low']]);
+		ctx = context();
+		ctx.paginate(['one', 'two']);
+		assert.equal(ctx.client.sent.length, 2);
+		cb();
+	},
+	'The command\'s properties are exposed': function(cb) {
+		var ctx = context({args: ['x']});
+		assert.equal(ctx.id, 'test');
+		assert.equal(ctx.desc, 'Tests things');
+		assert.deepEqual(ctx.args, ['x']);
+		cb();
+	}
+};
+
+runCases(CASES);
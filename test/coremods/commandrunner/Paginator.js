@@ -0,0 +1,69 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	Paginator = require('../../../app/coremods/commandrunner/Paginator'),
+	runCases = require('../../lib/runCases');
+
+const LINES = ['one', 'two', 'three', 'four', 'five'];
+
+/**
+ * A stand-in for the function a reply's lines are sent with.
+ */
+function send() {}
+
+const CASES = {
+	'Short replies are sent whole and buffer nothing': function(cb) {
+		var pager = new Paginator(5, 0),
+			page = pager.start('Bob', LINES, send);
+		assert.deepEqual(page.lines, LINES);
+		assert.equal(page.remaining, 0);
+		assert.strictEqual(pager.next('Bob'), null);
+		cb();
+	},
+	'Long replies are read a page at a time': function(cb) {
+		var pager = new Paginator(2, 0),
+			page = pager.start('Bob', LINES, send);
+		assert.deepEqual(page.lines, ['one', 'two']);
+		assert.equal(page.remaining, 3);
+		assert.strictEqual(page.send, send);
+		page = pager.next('BOB');
+		assert.deepEqual(page.lines, ['three', 'four']);
+		assert.equal(page.remaining, 1);
+		page = pager.next('bob');
+		assert.deepEqual(page.lines, ['five']);
+		assert.equal(page.remaining, 0);
+		assert.strictEqual(pager.next('Bob'), null);
+		cb();
+	},
+	'A page size of 0 turns pagination off': function(cb) {
+		var pager = new Paginator(0, 0);
+		assert.equal(pager.getPageSize(), 0);
+		assert.equal(pager.start('Bob', LINES, send).lines.length, 5);
+		cb();
+	},
+	'A new reply replaces the buffer, and clear discards it': function(cb) {
+		var pager = new Paginator(2, 0);
+		pager.start('Bob', LINES, send);
+		pager.start('Bob', ['a', 'b', 'c'], send);
+		assert.deepEqual(pager.next('Bob').lines, ['c']);
+		pager.start('Bob', LINES, send);
+		assert.strictEqual(pager.clear('Bob'), true);
+		assert.strictEqual(pager.clear('Bob'), false);
+		assert.strictEqual(pager.next('Bob'), null);
+		cb();
+	},
+	'Buffers expire after the TTL': function(cb) {
+		var pager = new Paginator(2, 20);
+		pager.start('Bob', LINES, send);
+		setTimeout(function() {
+			assert.strictEqual(pager.next('Bob'), null);
+			cb();
+		}, 40);
+	}
+};
+
+runCases(CASES);
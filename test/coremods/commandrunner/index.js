@@ -0,0 +1,69 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	splitLine = require('../../../app/coremods/commandrunner').splitLine,
+	runCases = require('../../lib/runCases');
+
+const COMMANDS = ['say', 'roll', 'join'];
+
+/**
+ * A stand-in for the Command Runner's check that the text following a
+ * separator starts with a command, knowing only {@link #COMMANDS}.
+ *
+ * @param {String} text The text following the separator
+ * @returns {boolean} true if the first word is a known command
+ */
+function isCommand(text) {
+	return COMMANDS.indexOf(text.trim().split(/\s+/)[0]) != -1;
+}
+
+const CASES = {
+	'splitLine chains with semicolons and pipes with bars': function(cb) {
+		assert.deepEqual(splitLine('roll 2d6 | say #room ; join #other',
+			isCommand), [['roll 2d6', 'say #room'], ['join #other']]);
+		cb();
+	},
+	'splitLine only splits before a command': function(cb) {
+		assert.deepEqual(splitLine('say hi ; there', isCommand),
+			[['say hi ; there']]);
+		assert.deepEqual(splitLine('say a | b ; say c', isCommand),
+			[['say a | b'], ['say c']]);
+		cb();
+	},
+	'splitLine splits at every separator without a check': function(cb) {
+		assert.deepEqual(splitLine('say hi ; there'),
+			[['say hi'], ['there']]);
+		cb();
+	},
+	'splitLine needs separators to stand between spaces': function(cb) {
+		assert.deepEqual(splitLine('say a;say b|say c', isCommand),
+			[['say a;say b|say c']]);
+		cb();
+	},
+	'splitLine ignores separators inside quotes': function(cb) {
+		assert.deepEqual(splitLine('say "a ; say b" | say \'c | roll\'',
+			isCommand), [['say "a ; say b"', 'say \'c | roll\'']]);
+		cb();
+	},
+	'splitLine keeps escaped quotes inside quotes': function(cb) {
+		assert.deepEqual(splitLine('say "a \\" ; say b" ; say c',
+			isCommand), [['say "a \\" ; say b"'], ['say c']]);
+		cb();
+	},
+	'splitLine only opens quotes at the start of a word': function(cb) {
+		assert.deepEqual(splitLine("say don't ; say it", isCommand),
+			[["say don't"], ['say it']]);
+		cb();
+	},
+	'splitLine drops empty commands': function(cb) {
+		assert.deepEqual(splitLine(' ; say a ;  ; say b ; '),
+			[['say a'], ['say b']]);
+		cb();
+	}
+};
+
+runCases(CASES);
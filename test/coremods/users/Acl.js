@@ -0,0 +1,70 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	Acl = require('../../../app/coremods/users/Acl'),
+	runCases = require('../../lib/runCases');
+
+const CASES = {
+	'Allowing a user removes their denial, and the reverse': function(cb) {
+		var config = {},
+			acl = new Acl(config);
+		acl.deny('Say', 'Bob');
+		assert.ok(acl.isDenied('say', 'bob'));
+		acl.allow('say', 'BOB');
+		assert.ok(!acl.isDenied('say', 'bob'));
+		assert.ok(acl.isAllowed('SAY', 'Bob'));
+		assert.deepEqual(config.acl, {say: {allow: ['bob']}});
+		acl.deny('say', 'bob');
+		assert.ok(!acl.isAllowed('say', 'bob'));
+		assert.deepEqual(config.acl, {say: {deny: ['bob']}});
+		cb();
+	},
+	'Channel permissions override the command per channel': function(cb) {
+		var acl = new Acl({});
+		acl.setChanPerm('say', '#Toady', '@');
+		assert.equal(acl.getChanPerm('say', '#toady'), '@');
+		assert.strictEqual(acl.getChanPerm('say', '#other'), null);
+		assert.deepEqual(acl.getChanPerms('say'), {'#toady': '@'});
+		acl.setChanPerm('say', '#toady', null);
+		assert.strictEqual(acl.getEntry('say'), null);
+		cb();
+	},
+	'Clearing removes one user or the whole entry': function(cb) {
+		var acl = new Acl({});
+		acl.allow('say', 'bob');
+		acl.deny('say', 'carl');
+		assert.strictEqual(acl.clear('say', 'bob'), true);
+		assert.strictEqual(acl.clear('say', 'bob'), false);
+		assert.deepEqual(acl.getCommandIds(), ['say']);
+		assert.strictEqual(acl.clear('say'), true);
+		assert.strictEqual(acl.clear('say'), false);
+		assert.deepEqual(acl.getCommandIds(), []);
+		cb();
+	},
+	'Purging a name removes it from every entry': function(cb) {
+		var acl = new Acl({});
+		acl.allow('say', 'group:ops');
+		acl.allow('join', 'group:ops');
+		acl.allow('join', 'bob');
+		acl.setChanPerm('part', '#toady', 'group:ops');
+		assert.ok(acl.hasAllowance('group:ops'));
+		acl.purge('group:ops');
+		assert.ok(!acl.hasAllowance('group:ops'));
+		assert.deepEqual(acl.getCommandIds(), ['join']);
+		assert.deepEqual(acl.getEntry('join'), {allow: ['bob']});
+		cb();
+	},
+	'Entries are copies': function(cb) {
+		var acl = new Acl({});
+		acl.allow('say', 'bob');
+		acl.getEntry('say').allow.push('carl');
+		assert.ok(!acl.isAllowed('say', 'carl'));
+		cb();
+	}
+};
+
+runCases(CASES);
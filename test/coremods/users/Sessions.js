@@ -0,0 +1,118 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	events = require('events'),
+	Sessions = require('../../../app/coremods/users/Sessions'),
+	runCases = require('../../lib/runCases');
+
+/**
+ * Creates a stand-in for the IRC client, in #room with Bob and Carl.
+ *
+ * @returns {EventEmitter} The fake client
+ */
+function fakeClient() {
+	var client = new events.EventEmitter();
+	client.nick = 'Toady';
+	client.chans = {'#room': {users: {Toady: '', Bob: '', Carl: ''}}};
+	return client;
+}
+
+/**
+ * Relays a message from a user to the client, as the server would.
+ *
+ * @param {EventEmitter} client The fake client
+ * @param {String} nick The nick the message is from
+ * @param {String} userHost The nick's user@host
+ */
+function seen(client, nick, userHost) {
+	var split = userHost.split('@');
+	client.emit('raw', {command: 'PRIVMSG', nick: nick, user: split[0],
+		host: split[1], args: ['Toady', 'hi']});
+}
+
+/**
+ * Creates a Sessions object on a fake client.
+ *
+ * @returns {Sessions} The Sessions object, with its fake client in 'client'
+ */
+function sessions() {
+	var client = fakeClient(),
+		s = new Sessions(client, 0);
+	s.client = client;
+	return s;
+}
+
+const CASES = {
+	'Sessions are bound to the user@host they were created with':
+		function(cb) {
+			var s = sessions();
+			assert.strictEqual(s.create('Dan', 'dan', 'Password'), null);
+			seen(s.client, 'Bob', 'b@h');
+			assert.equal(s.create('Bob', 'bob', 'Password').hostmask,
+				'Bob!b@h');
+			seen(s.client, 'Bob', 'b@elsewhere');
+			assert.strictEqual(s.get('bob'), null);
+			s.unload();
+			cb();
+		},
+	'Leaving the last shared channel forgets the user': function(cb) {
+		var s = sessions();
+		seen(s.client, 'Bob', 'b@h');
+		s.create('Bob', 'bob', 'Password');
+		s.client.emit('part', '#room', 'Bob');
+		assert.strictEqual(s.get('Bob'), null);
+		assert.strictEqual(s.create('Bob', 'bob', 'Password'), null);
+		s.unload();
+		cb();
+	},
+	'Users still in another channel are remembered': function(cb) {
+		var s = sessions();
+		s.client.chans['#other'] = {users: {Toady: '', Bob: ''}};
+		seen(s.client, 'Bob', 'b@h');
+		s.create('Bob', 'bob', 'Password');
+		s.client.emit('kick', '#room', 'Bob', 'Carl');
+		assert.ok(s.get('Bob'));
+		s.unload();
+		cb();
+	},
+	'The bot leaving forgets everyone left without a channel':
+		function(cb) {
+			var s = sessions();
+			s.client.chans['#other'] = {users: {Toady: '', Carl: ''}};
+			seen(s.client, 'Bob', 'b@h');
+			seen(s.client, 'Carl', 'c@h');
+			s.create('Bob', 'bob', 'Password');
+			s.create('Carl', 'carl', 'Password');
+			s.client.emit('part', '#room', 'Toady');
+			assert.strictEqual(s.get('Bob'), null);
+			assert.ok(s.get('Carl'));
+			s.unload();
+			cb();
+		},
+	'Sweeps forget idle users seen only in private': function(cb) {
+		var s = sessions(),
+			now = Date.now;
+		seen(s.client, 'Dan', 'd@h');
+		seen(s.client, 'Eve', 'e@h');
+		s.create('Eve', 'eve', 'Password');
+		seen(s.client, 'Bob', 'b@h');
+		Date.now = function() {
+			return now() + 3600000;
+		};
+		try {
+			s._sweep();
+		}
+		finally {
+			Date.now = now;
+		}
+		assert.deepEqual(Object.keys(s._hosts).sort(), ['bob', 'eve']);
+		s.unload();
+		cb();
+	}
+};
+
+runCases(CASES);
@@ -0,0 +1,123 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	events = require('events'),
+	Capabilities = require('../../app/irc/Capabilities'),
+	runCases = require('../lib/runCases');
+
+/**
+ * Creates a stand-in for the IRC client that records every line sent to
+ * the server.
+ *
+ * @returns {EventEmitter} The fake client, with the lines it sent in 'sent'
+ */
+function fakeClient() {
+	var client = new events.EventEmitter();
+	client.sent = [];
+	client.send = function() {
+		client.sent.push(Array.prototype.slice.call(arguments).join(' '));
+	};
+	return client;
+}
+
+/**
+ * Feeds a CAP message from the server to the client.
+ *
+ * @param {EventEmitter} client The fake client
+ * @param {String} sub The CAP subcommand, such as 'LS' or 'ACK'
+ * @param {String} list The space-separated capability list
+ */
+function cap(client, sub, list) {
+	client.emit('raw', {command: 'CAP', args: ['Toady', sub, list]});
+}
+
+/**
+ * Connects a fake client and finishes negotiation with the server offering
+ * the given capabilities and refusing none of them.
+ *
+ * @param {String} offered The space-separated capabilities the server offers
+ * @returns {Object} The Capabilities object, with its fake client in
+ *      'client'
+ */
+function negotiated(offered) {
+	var client = fakeClient(),
+		caps = new Capabilities(client, []);
+	caps.client = client;
+	client.emit('connect');
+	cap(client, 'LS', offered);
+	cap(client, 'ACK', client.sent[0].replace(/^CAP REQ /, ''));
+	client.sent = [];
+	return caps;
+}
+
+const CASES = {
+	'A wanted capability is requested once while it awaits an answer':
+		function(cb) {
+			var caps = negotiated('cap-notify multi-prefix');
+			caps.want('multi-prefix');
+			caps.want('multi-prefix');
+			assert.deepEqual(caps.client.sent, ['CAP REQ multi-prefix']);
+			assert.ok(caps.isPending('multi-prefix'));
+			cap(caps.client, 'ACK', 'multi-prefix');
+			assert.ok(!caps.isPending('multi-prefix'));
+			assert.ok(caps.isEnabled('multi-prefix'));
+			caps.want('multi-prefix');
+			assert.equal(caps.client.sent.length, 1);
+			cb();
+		},
+	'A refused capability is not requested again': function(cb) {
+		var caps = negotiated('cap-notify multi-prefix'),
+			naks = [];
+		caps.client.on('capNak', function(names) {
+			naks.push(names);
+		});
+		caps.want('multi-prefix');
+		cap(caps.client, 'NAK', 'multi-prefix');
+		assert.deepEqual(naks, [['multi-prefix']]);
+		assert.ok(!caps.isPending('multi-prefix'));
+		caps.want('multi-prefix');
+		assert.deepEqual(caps.client.sent, ['CAP REQ multi-prefix']);
+		cb();
+	},
+	'A refused capability is requested when offered anew': function(cb) {
+		var caps = negotiated('cap-notify multi-prefix');
+		caps.want('multi-prefix');
+		cap(caps.client, 'NAK', 'multi-prefix');
+		cap(caps.client, 'NEW', 'multi-prefix');
+		assert.deepEqual(caps.client.sent, ['CAP REQ multi-prefix',
+			'CAP REQ multi-prefix']);
+		cb();
+	},
+	'A refused request is retried one capability at a time': function(cb) {
+		var caps = negotiated('cap-notify multi-prefix userhost-in-names');
+		caps.want(['multi-prefix', 'userhost-in-names']);
+		cap(caps.client, 'NAK', 'multi-prefix userhost-in-names');
+		assert.deepEqual(caps.client.sent, [
+			'CAP REQ multi-prefix userhost-in-names',
+			'CAP REQ multi-prefix',
+			'CAP REQ userhost-in-names'
+		]);
+		assert.ok(caps.isPending('multi-prefix'));
+		cap(caps.client, 'NAK', 'multi-prefix');
+		cap(caps.client, 'ACK', 'userhost-in-names');
+		caps.want(['multi-prefix', 'userhost-in-names']);
+		assert.equal(caps.client.sent.length, 3);
+		cb();
+	},
+	'Refusals are forgotten on reconnecting': function(cb) {
+		var caps = negotiated('cap-notify multi-prefix');
+		caps.want('multi-prefix');
+		cap(caps.client, 'NAK', 'multi-prefix');
+		caps.client.emit('connect');
+		cap(caps.client, 'LS', 'cap-notify multi-prefix');
+		assert.equal(caps.client.sent[caps.client.sent.length - 1],
+			'CAP REQ cap-notify multi-prefix');
+		cb();
+	}
+};
+
+runCases(CASES);
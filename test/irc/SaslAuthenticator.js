@@ -0,0 +1,149 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	ircClient = require('../../app/irc/Client'),
+	FakeIrcd = require('../lib/FakeIrcd'),
+	runCases = require('../lib/runCases');
+
+const NICK = 'Toady';
+const CASE_TIMEOUT = 5000;
+
+/**
+ * Plays the server's side of capability negotiation and SASL, offering
+ * only the 'sasl' capability and answering the credentials with the given
+ * numerics.
+ *
+ * @param {Array} result The lines to be sent once the client has sent its
+ *      credentials, such as a 900 and a 903 for a successful login
+ * @returns {Function} A responder for {@link FakeIrcd}
+ */
+function saslServer(result) {
+	return function(line) {
+		var req = line.match(/^CAP REQ :?(.*)$/),
+			auth = line.match(/^AUTHENTICATE (\S+)$/);
+		if (line == 'CAP LS 302')
+			return ':irc.test CAP * LS :sasl';
+		if (req)
+			return ':irc.test CAP * ACK :' + req[1];
+		if (auth && (auth[1] == 'PLAIN' || auth[1] == 'EXTERNAL'))
+			return 'AUTHENTICATE +';
+		if (auth)
+			return result;
+		if (line == 'CAP END')
+			return ':irc.test 001 ' + NICK + ' :Welcome';
+	};
+}
+
+/**
+ * Connects a Toady client with the given SASL options to a fake IRCd, and
+ * calls back once the connection has ended or the client has registered.
+ *
+ * @param {Object} sasl The 'sasl' section of the client's identity config
+ * @param {Array} result The lines the server answers the credentials with
+ * @param {Function} cb A callback function to be executed on completion.
+ *      Arguments provided are:
+ *          - {Array} Every line the server received
+ *          - {Object} The events fired by the client: 'success' holds the
+ *            account from saslSuccess, and 'failure' the saslFailure error
+ */
+function connect(sasl, result, cb) {
+	var ircd = new FakeIrcd(saslServer(result)),
+		events = {},
+		done = false;
+	ircd.listen(function(port) {
+		var client = ircClient.createClient({
+			id: 'test',
+			server: {host: '127.0.0.1', port: port},
+			identity: {nick: NICK, user: 'toady', name: 'Toady', sasl: sasl}
+		});
+		var timer = setTimeout(finish, CASE_TIMEOUT);
+		function finish() {
+			if (done)
+				return;
+			done = true;
+			clearTimeout(timer);
+			client.conn.requestedDisconnect = true;
+			client.conn.destroy();
+			ircd.close(function() {
+				cb(ircd.lines, events);
+			});
+		}
+		client.opt.debug = false;
+		client.opt.showErrors = false;
+		client.on('error', function() {});
+		client.on('saslSuccess', function(account) {
+			events.success = account;
+		});
+		client.on('saslFailure', function(err) {
+			events.failure = err;
+		});
+		client.on('registered', finish);
+		client.connect();
+		client.conn.on('close', finish);
+	});
+}
+
+const CASES = {
+	'PLAIN sends the credentials and ends negotiation on 903': function(cb) {
+		connect({account: 'toadyacct', password: 'hunter2'}, [
+			':irc.test 900 ' + NICK + ' ' + NICK + '!t@h toadyacct :Logged in',
+			':irc.test 903 ' + NICK + ' :SASL authentication successful'
+		], function(lines, events) {
+			var auth = lines.indexOf('AUTHENTICATE PLAIN'),
+				payload = lines[auth + 1].split(' ')[1];
+			assert.ok(auth != -1, 'PLAIN was not requested');
+			assert.equal(Buffer.from(payload, 'base64').toString(),
+				'toadyacct\0toadyacct\0hunter2');
+			assert.ok(lines.indexOf('CAP END') > auth + 1,
+				'CAP END was not sent after authenticating');
+			assert.equal(events.success, 'toadyacct');
+			assert.ok(!events.failure);
+			cb();
+		});
+	},
+	'EXTERNAL sends an empty response and ends negotiation on 903':
+		function(cb) {
+			connect({mechanism: 'EXTERNAL'}, [
+				':irc.test 903 ' + NICK + ' :SASL authentication successful'
+			], function(lines, events) {
+				var auth = lines.indexOf('AUTHENTICATE EXTERNAL');
+				assert.ok(auth != -1, 'EXTERNAL was not requested');
+				assert.equal(lines[auth + 1], 'AUTHENTICATE +');
+				assert.ok(lines.indexOf('CAP END') > auth + 1,
+					'CAP END was not sent after authenticating');
+				assert.ok(!events.failure);
+				cb();
+			});
+		},
+	'A required login disconnects on 904': function(cb) {
+		connect({password: 'wrong'}, [
+			':irc.test 904 ' + NICK + ' :SASL authentication failed'
+		], function(lines, events) {
+			assert.ok(events.failure, 'saslFailure was not fired');
+			assert.ok(/rejected/.test(events.failure.message));
+			assert.equal(lines.indexOf('CAP END'), -1,
+				'CAP END was sent despite the failure');
+			assert.ok(lines.some(function(line) {
+				return /^QUIT/.test(line);
+			}), 'The client did not quit');
+			cb();
+		});
+	},
+	'An optional login continues connecting on 904': function(cb) {
+		connect({password: 'wrong', required: false}, [
+			':irc.test 904 ' + NICK + ' :SASL authentication failed'
+		], function(lines, events) {
+			assert.ok(events.failure, 'saslFailure was not fired');
+			assert.ok(lines.indexOf('CAP END') != -1,
+				'CAP END was not sent after the failure');
+			assert.ok(events.success === undefined);
+			cb();
+		});
+	}
+};
+
+runCases(CASES);
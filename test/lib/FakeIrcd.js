@@ -0,0 +1,118 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var net = require('net');
+
+/**
+ * FakeIrcd is a minimal IRC server for tests.  It accepts one client
+ * connection at a time, records every line the client sends, and answers
+ * each line with whatever the test's responder returns.  It knows nothing
+ * of IRC itself; the responder plays the server's part.
+ *
+ * @param {Function} responder A function called with each line the client
+ *      sends, without its line ending.  Returns a line or an array of lines
+ *      to be sent back, or nothing.
+ * @constructor
+ */
+var FakeIrcd = function(responder) {
+	/**
+	 * Every line received from the client, in order
+	 * @type {Array}
+	 */
+	this.lines = [];
+
+	/**
+	 * The function answering the client's lines
+	 * @type {Function}
+	 * @private
+	 */
+	this._responder = responder;
+
+	/**
+	 * The socket of the connected client, or null
+	 * @type {Object|null}
+	 * @private
+	 */
+	this._sock = null;
+
+	/**
+	 * The listening server
+	 * @type {Object}
+	 * @private
+	 */
+	this._server = net.createServer(this._handleConnection.bind(this));
+};
+
+/**
+ * Starts listening on a free port on the loopback interface.
+ *
+ * @param {Function} cb A callback function to be executed once listening.
+ *      Arguments provided are:
+ *          - {Number} The port being listened on
+ */
+FakeIrcd.prototype.listen = function(cb) {
+	var server = this._server;
+	server.listen(0, '127.0.0.1', function() {
+		cb(server.address().port);
+	});
+};
+
+/**
+ * Sends a line to the connected client.
+ *
+ * @param {String} line The line to be sent, without a line ending
+ */
+FakeIrcd.prototype.send = function(line) {
+	if (this._sock)
+		this._sock.write(line + '\r\n');
+};
+
+/**
+ * Disconnects the client, if any, and stops listening.
+ *
+ * @param {Function} [cb] A callback function to be executed once the server
+ *      has closed
+ */
+FakeIrcd.prototype.close = function(cb) {
+	if (this._sock)
+		this._sock.destroy();
+	this._server.close(cb);
+};
+
+/**
+ * Reads lines from a newly connected client and passes them to the
+ * responder.
+ *
+ * @param {Object} sock The client's socket
+ * @private
+ */
+FakeIrcd.prototype._handleConnection = function(sock) {
+	var self = this,
+		buffer = '';
+	this._sock = sock;
+	sock.setEncoding('utf8');
+	sock.on('error', function() {});
+	sock.on('data', function(chunk) {
+		var lines = (buffer + chunk).split(/\r?\n/);
+		buffer = lines.pop();
+		lines.forEach(function(line) {
+			var replies;
+			if (!line)
+				return;
+			self.lines.push(line);
+			replies = self._responder(line);
+			if (typeof replies == 'string')
+				replies = [replies];
+			(replies || []).forEach(self.send, self);
+		});
+	});
+	sock.on('close', function() {
+		if (self._sock == sock)
+			self._sock = null;
+	});
+};
+
+module.exports = FakeIrcd;
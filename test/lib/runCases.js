@@ -0,0 +1,64 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+/**
+ * Runs a file's test cases one at a time, printing "ok" or "not ok" for
+ * each, and exits once every case has run: with 0 if they all passed, or 1
+ * otherwise.  Each case is a function accepting a callback, which it calls
+ * once its assertions have passed.  A case fails by throwing, even from
+ * inside a socket or timer callback.
+ *
+ * @param {Object} cases A mapping of case descriptions to case functions
+ */
+module.exports = function(cases) {
+	var names = Object.keys(cases),
+		current = -1,
+		finished = true,
+		failed = 0;
+
+	/**
+	 * Ends the current case and moves on to the next one.  A case can only
+	 * end once, so a case that fails after calling back isn't counted twice.
+	 *
+	 * @param {Error} [err] The error the case failed with, if it failed
+	 */
+	function finish(err) {
+		if (finished)
+			return;
+		finished = true;
+		if (err) {
+			failed++;
+			console.log('not ok - ' + names[current] + '\n' + err.stack);
+		}
+		else
+			console.log('ok - ' + names[current]);
+		setImmediate(next);
+	}
+
+	/**
+	 * Runs the next test case, or reports the results and exits once every
+	 * case has run.
+	 */
+	function next() {
+		if (++current >= names.length) {
+			console.log(names.length - failed + ' passed, ' + failed +
+				' failed');
+			return process.exit(failed ? 1 : 0);
+		}
+		finished = false;
+		try {
+			cases[names[current]](function() {
+				finish();
+			});
+		}
+		catch (e) {
+			finish(e);
+		}
+	}
+
+	// Assertions fail inside socket callbacks, so failures are caught here.
+	process.on('uncaughtException', finish);
+	next();
+};
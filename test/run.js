@@ -0,0 +1,61 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var childProcess = require('child_process'),
+	fs = require('fs'),
+	path = require('path');
+
+// Helpers shared by the tests, which aren't tests themselves
+const SKIP_DIRS = ['lib'];
+
+/**
+ * Finds every test file under a directory, in sorted order.
+ *
+ * @param {String} dir The directory to be searched
+ * @returns {Array} The paths of the test files
+ */
+function findTests(dir) {
+	var files = [];
+	fs.readdirSync(dir).sort().forEach(function(name) {
+		var file = path.join(dir, name);
+		if (fs.statSync(file).isDirectory()) {
+			if (SKIP_DIRS.indexOf(name) == -1)
+				files = files.concat(findTests(file));
+		}
+		else if (/\.js$/.test(name) && file != __filename)
+			files.push(file);
+	});
+	return files;
+}
+
+var files = findTests(__dirname),
+	failed = [];
+
+/**
+ * Runs each test file in its own process, one after another, and exits
+ * with 1 if any of them failed.
+ *
+ * @param {Number} idx The index of the file to be run
+ */
+function run(idx) {
+	var file = files[idx];
+	if (!file) {
+		console.log('\n' + (files.length - failed.length) + ' of ' +
+			files.length + ' test files passed');
+		failed.forEach(function(name) {
+			console.log('FAILED: ' + name);
+		});
+		return process.exit(failed.length ? 1 : 0);
+	}
+	console.log('# ' + path.relative(__dirname, file));
+	childProcess.spawn(process.execPath, [file], {stdio: 'inherit'})
+		.on('exit', function(code) {
+			if (code)
+				failed.push(path.relative(__dirname, file));
+			run(idx + 1);
+		});
+}
+run(0);
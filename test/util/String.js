@@ -0,0 +1,77 @@
+/*
+ * Toady
+ * Copyright 2013 Tom Frost
+ */
+
+// Dependencies
+var assert = require('assert'),
+	strUtil = require('../../app/util/String'),
+	runCases = require('../lib/runCases');
+
+const COMMANDS = ['help', 'join', 'part', 'say', 'setconfig', 'viewconfig'];
+
+const CASES = {
+	'findSimilar puts prefix matches before typos': function(cb) {
+		assert.deepEqual(strUtil.findSimilar('viewcnofig', COMMANDS),
+			['viewconfig']);
+		assert.deepEqual(strUtil.findSimilar('set',
+			['sat', 'setup', 'setconfig']), ['setconfig', 'setup', 'sat']);
+		cb();
+	},
+	'findSimilar is case-insensitive and skips exact matches': function(cb) {
+		assert.deepEqual(strUtil.findSimilar('JION', COMMANDS), ['join']);
+		assert.deepEqual(strUtil.findSimilar('help', COMMANDS), []);
+		cb();
+	},
+	'findSimilar only matches short strings as prefixes': function(cb) {
+		assert.deepEqual(strUtil.findSimilar('sy', COMMANDS), []);
+		assert.deepEqual(strUtil.findSimilar('sa', COMMANDS), ['say']);
+		assert.deepEqual(strUtil.findSimilar('', COMMANDS), []);
+		cb();
+	},
+	'findSimilar sorts ties alphabetically and honors the limit':
+		function(cb) {
+			var cands = ['pert', 'part', 'port'];
+			assert.deepEqual(strUtil.findSimilar('purt', cands),
+				['part', 'pert', 'port']);
+			assert.deepEqual(strUtil.findSimilar('purt', cands, 2),
+				['part', 'pert']);
+			cb();
+		},
+	'wildcardMatch matches * and ? case-insensitively': function(cb) {
+		assert.ok(strUtil.wildcardMatch('*!*@*.Example.com',
+			'Bob!bob@host.example.COM'));
+		assert.ok(strUtil.wildcardMatch('b?b!*', 'bob!b@h'));
+		assert.ok(strUtil.wildcardMatch('***', ''));
+		assert.ok(!strUtil.wildcardMatch('b?b!*', 'bb!b@h'));
+		assert.ok(!strUtil.wildcardMatch('*!*@host', 'bob!b@host.example'));
+		assert.ok(!strUtil.wildcardMatch('a.c', 'abc'));
+		assert.ok(strUtil.wildcardMatch('[a](b)+', '[A](B)+'));
+		cb();
+	},
+	'wildcardMatch finishes quickly on pathological masks': function(cb) {
+		var start = Date.now(),
+			str = new Array(5001).join('a') + '!~u@host.example';
+		assert.ok(!strUtil.wildcardMatch('*a*a*a*a*a*a*a*a*a*a*a*a*!',
+			str));
+		assert.ok(strUtil.wildcardMatch('*a*a*a*a*a*a*a*a*a*a*a*a*!*',
+			str));
+		assert.ok(Date.now() - start < 1000, 'Took ' +
+			(Date.now() - start) + 'ms');
+		cb();
+	},
+	'parseDuration adds up every unit': function(cb) {
+		assert.equal(strUtil.parseDuration('30m'), 1800000);
+		assert.equal(strUtil.parseDuration('1d12h'), 129600000);
+		assert.equal(strUtil.parseDuration('1W2s'), 604802000);
+		cb();
+	},
+	'parseDuration refuses anything else': function(cb) {
+		['', '10', 'm', '5x', '1h 30m', '-1h', '0m'].forEach(function(str) {
+			assert.strictEqual(strUtil.parseDuration(str), null, str);
+		});
+		cb();
+	}
+};
+
+runCases(CASES);